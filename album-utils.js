@@ -0,0 +1,53 @@
+// album-utils.js - Server album catalog for album autocomplete
+
+// How long the cached album catalog is used before it is fetched again
+const ALBUM_CATALOG_TTL = 30 * 60 * 1000;
+
+// Albums requested per page when fetching the catalog
+const ALBUM_CATALOG_PAGE_SIZE = 500;
+
+/**
+ * Fetches every album of an instance, page by page.
+ * Entries use `name` for the title so they can be ranked with rankLabelSuggestions.
+ * @param {PhotoPrismClient} client - API client of the instance
+ * @returns {Promise<Array<{uid: string, name: string, photoCount: number, favorite: boolean}>>}
+ */
+async function fetchAlbumCatalog(client) {
+    const albums = await client.fetchAllPages(page => client.searchAlbums('', page), ALBUM_CATALOG_PAGE_SIZE);
+
+    return albums.map(album => ({
+        uid: album.UID,
+        name: album.Title,
+        photoCount: album.PhotoCount || 0,
+        favorite: !!album.Favorite
+    }));
+}
+
+/**
+ * Gets the cached album catalog of an instance, fetching it when missing or older than ALBUM_CATALOG_TTL.
+ * @param {PhotoPrismClient} client - API client of the instance
+ * @param {boolean} [forceRefresh] - Fetch even if the cache is fresh
+ * @returns {Promise<Array<Object>>} Catalog albums
+ */
+async function getAlbumCatalog(client, forceRefresh = false) {
+    const cached = await getInstanceData('albumCatalog', null, client.baseUrl);
+
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < ALBUM_CATALOG_TTL) {
+        return cached.albums;
+    }
+
+    const albums = await fetchAlbumCatalog(client);
+    await setInstanceData('albumCatalog', { albums: albums, fetchedAt: Date.now() }, client.baseUrl);
+    return albums;
+}
+
+/**
+ * Finds a catalog album by its title, ignoring case.
+ * @param {string} title - Album title
+ * @param {Array<{name: string}>} albums - Catalog albums
+ * @returns {Object|undefined}
+ */
+function findAlbumByTitle(title, albums) {
+    const normalized = title.trim().toLowerCase();
+    return albums.find(album => album.name.toLowerCase() === normalized);
+}
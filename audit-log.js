@@ -0,0 +1,213 @@
+// audit-log.js - Per-photo audit log of every operation, kept in IndexedDB
+//
+// Unlike the execution history (last 50 jobs, counts only), the audit log keeps one
+// entry per photo and operation with its outcome and HTTP status, for all instances.
+// Entries look like:
+// {id, instanceId, executionId, jobId, timestamp, type, action, target, parameters,
+//  uid, outcome: 'success' | 'unchanged' | 'failed', status, error}
+
+const AUDIT_DB_NAME = 'photoprismHelperAudit';
+const AUDIT_DB_VERSION = 1;
+const AUDIT_STORE = 'entries';
+
+// Columns of the CSV export, in order
+const AUDIT_CSV_COLUMNS = ['timestamp', 'instanceId', 'executionId', 'type', 'action', 'target', 'uid', 'outcome', 'status', 'error', 'parameters'];
+
+let auditDbPromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request's result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens the audit database, creating the store and its indexes on first use.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAuditDb() {
+    if (!auditDbPromise) {
+        const request = indexedDB.open(AUDIT_DB_NAME, AUDIT_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(AUDIT_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('instanceId', 'instanceId');
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('executionId', 'executionId');
+        };
+        auditDbPromise = promisifyRequest(request).catch(error => {
+            auditDbPromise = null;
+            throw error;
+        });
+    }
+    return auditDbPromise;
+}
+
+/**
+ * Adds entries to the audit log in one transaction.
+ * @param {Array<Object>} entries - Audit entries without an ID
+ * @returns {Promise<void>}
+ */
+async function addAuditEntries(entries) {
+    if (entries.length === 0) return;
+
+    const db = await openAuditDb();
+    const transaction = db.transaction(AUDIT_STORE, 'readwrite');
+    const store = transaction.objectStore(AUDIT_STORE);
+    entries.forEach(entry => store.add(entry));
+
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Builds the audit entries of a finished job, one per photo and operation.
+ * @param {Object} job - The finished job
+ * @param {string} executionId - ID of the history entry the job produced
+ * @returns {Array<Object>}
+ */
+function buildAuditEntries(job, executionId) {
+    const timestamp = new Date().toISOString();
+
+    return job.operations.flatMap(operation => {
+        // Restore data of undo jobs can be large and is already in the history entry
+        const { restoreValues, restoreLabels, ...parameters } = getOperationDefinition(operation);
+        const successUids = new Set(operation.successUids);
+        const unchangedUids = new Set(operation.unchangedUids);
+        const failures = operation.failures || {};
+
+        return operation.uids.map(uid => {
+            let outcome = 'failed';
+            let status = failures[uid]?.status ?? null;
+            let error = failures[uid]?.error ?? operation.error ?? null;
+
+            if (unchangedUids.has(uid)) {
+                outcome = 'unchanged';
+            } else if (successUids.has(uid)) {
+                outcome = 'success';
+            }
+            if (outcome !== 'failed') {
+                // The PhotoPrism API answers successful requests with 200 OK
+                status = 200;
+                error = null;
+            }
+
+            return {
+                instanceId: job.instanceId,
+                executionId: executionId,
+                jobId: job.id,
+                timestamp: timestamp,
+                type: parameters.type,
+                action: parameters.action,
+                target: describeOperation(operation),
+                parameters: parameters,
+                uid: uid,
+                outcome: outcome,
+                status: status,
+                error: error
+            };
+        });
+    });
+}
+
+/**
+ * Reads audit entries of an instance that match the given filters, newest first.
+ * @param {string} instanceId - Instance identifier
+ * @param {{from?: string, to?: string, target?: string, type?: string, action?: string, outcome?: string, uid?: string}} [filters]
+ *   `from` and `to` are ISO dates (inclusive); `target` matches the label, album or field description case-insensitively
+ * @returns {Promise<Array<Object>>}
+ */
+async function queryAuditEntries(instanceId, filters = {}) {
+    const db = await openAuditDb();
+    const store = db.transaction(AUDIT_STORE, 'readonly').objectStore(AUDIT_STORE);
+    const entries = await promisifyRequest(store.index('instanceId').getAll(instanceId));
+
+    const target = (filters.target || '').trim().toLowerCase();
+    const uid = (filters.uid || '').trim();
+
+    return entries
+        .filter(entry => !filters.from || entry.timestamp >= filters.from)
+        .filter(entry => !filters.to || entry.timestamp <= filters.to)
+        .filter(entry => !target || entry.target.toLowerCase().includes(target))
+        .filter(entry => !filters.type || entry.type === filters.type)
+        .filter(entry => !filters.action || entry.action === filters.action)
+        .filter(entry => !filters.outcome || entry.outcome === filters.outcome)
+        .filter(entry => !uid || entry.uid === uid)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id - a.id);
+}
+
+/**
+ * Lists the instances that have audit entries.
+ * @returns {Promise<string[]>}
+ */
+async function getAuditInstances() {
+    const db = await openAuditDb();
+    const index = db.transaction(AUDIT_STORE, 'readonly').objectStore(AUDIT_STORE).index('instanceId');
+    const instances = [];
+
+    await new Promise((resolve, reject) => {
+        const request = index.openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            instances.push(cursor.key);
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    return instances;
+}
+
+/**
+ * Deletes all audit entries of an instance.
+ * @param {string} instanceId - Instance identifier
+ * @returns {Promise<void>}
+ */
+async function clearAuditLog(instanceId) {
+    const db = await openAuditDb();
+    const index = db.transaction(AUDIT_STORE, 'readwrite').objectStore(AUDIT_STORE).index('instanceId');
+
+    await new Promise((resolve, reject) => {
+        const request = index.openCursor(instanceId);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            cursor.delete();
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Formats audit entries as CSV, with parameters as JSON.
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {string}
+ */
+function auditEntriesToCsv(entries) {
+    const escape = value => {
+        const text = value === null || value === undefined ? '' :
+            typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        AUDIT_CSV_COLUMNS.join(','),
+        ...entries.map(entry => AUDIT_CSV_COLUMNS.map(column => escape(entry[column])).join(','))
+    ].join('\r\n');
+}
@@ -0,0 +1,66 @@
+// auth-utils.js - Per-instance credentials shared by the popup and background worker
+//
+// Credentials are configured on the config page and stored under INSTANCE_CREDENTIALS_KEY,
+// keyed by configured domain: {method: 'appPassword', appPassword} or
+// {method: 'clientCredentials', clientId, clientSecret}. Without credentials the
+// session token of the open PhotoPrism tab is used.
+
+const INSTANCE_CREDENTIALS_KEY = 'instanceCredentials';
+
+// Access tokens are renewed this long before they expire
+const ACCESS_TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Gets the credentials configured for an instance.
+ * @param {string} instanceId - Instance identifier
+ * @returns {Promise<Object|null>} Credentials, or null to use the page's session
+ */
+async function getInstanceCredentials(instanceId) {
+    const result = await chrome.storage.local.get(INSTANCE_CREDENTIALS_KEY);
+    const credentials = findInstanceEntry(result[INSTANCE_CREDENTIALS_KEY] || {}, instanceId);
+    return credentials && credentials.method ? credentials : null;
+}
+
+/**
+ * Gets the token to call an instance's API with. Configured credentials take precedence
+ * over the page's session token; access tokens from the client credentials flow are
+ * cached in instance storage until shortly before they expire.
+ * @param {string} instanceId - Instance identifier
+ * @param {string|null} sessionToken - Session token from the PhotoPrism tab, if any
+ * @returns {Promise<string>}
+ */
+async function getAuthToken(instanceId, sessionToken) {
+    const credentials = await getInstanceCredentials(instanceId);
+
+    if (credentials?.method === 'appPassword') {
+        return credentials.appPassword;
+    }
+
+    if (credentials?.method === 'clientCredentials') {
+        const cached = await getInstanceData('accessToken', null, instanceId);
+        if (cached && cached.expiresAt - ACCESS_TOKEN_EXPIRY_MARGIN > Date.now()) {
+            return cached.token;
+        }
+
+        const response = await PhotoPrismClient.createAccessToken(instanceId, credentials.clientId, credentials.clientSecret);
+        await setInstanceData('accessToken', {
+            token: response.access_token,
+            expiresAt: Date.now() + (response.expires_in || 0) * 1000
+        }, instanceId);
+        return response.access_token;
+    }
+
+    if (sessionToken) {
+        return sessionToken;
+    }
+    throw new Error('Not logged in to PhotoPrism. Log in on the PhotoPrism page, ' +
+        'or add an app password or client credentials for this instance in Settings.');
+}
+
+/**
+ * Forgets the cached access token of an instance, e.g. after PhotoPrism rejected it.
+ * @param {string} instanceId - Instance identifier
+ */
+async function clearAccessToken(instanceId) {
+    await chrome.storage.local.remove(createInstanceKey('accessToken', instanceId));
+}
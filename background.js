@@ -0,0 +1,907 @@
+// background.js - PhotoPrism Helper background service worker
+//
+// Owns the persistent job queue so batch operations keep running after the popup closes.
+// Jobs are stored in chrome.storage.local and resumed from their pending UIDs whenever
+// the worker is restarted.
+
+importScripts('storage-utils.js', 'photoprism-api.js', 'job-utils.js', 'metadata-utils.js', 'auth-utils.js', 'audit-log.js', 'profile-utils.js', 'instance-access.js');
+
+const JOB_QUEUE_KEY = 'jobQueue';
+
+// While an operation runs, its progress is saved at most this often, in milliseconds. Jobs are
+// always saved when an operation ends; a resumed job just repeats the photos since the last save.
+const JOB_PROGRESS_SAVE_INTERVAL = 500;
+
+let isProcessingQueue = false;
+let saveChain = Promise.resolve();
+
+// Pending throttled progress saves by job ID
+const progressSaveTimers = new Map();
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'submitJob') {
+        enqueueJob(request.job)
+            .then(job => sendResponse({ success: true, jobId: job.id }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    // Label jobs from the in-page toolbar, typed like the popup's label input
+    if (request.action === 'submitLabelJob') {
+        const { labelText, labelAction, ...jobRequest } = request.job || {};
+        enqueueJob({ ...jobRequest, operations: parseLabelOperations(labelText || '', labelAction) })
+            .then(job => sendResponse({ success: true, jobId: job.id }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    // Shortcut lookups for the in-page listener and the popup
+    if (request.action === 'getQuickLabel') {
+        getQuickLabel(request.instanceId, request.slot)
+            .then(quickLabel => sendResponse({ success: true, quickLabel: quickLabel }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getLastAction') {
+        getInstanceData('lastAction', null, request.instanceId)
+            .then(lastAction => sendResponse({ success: true, lastAction: lastAction }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    // Sent by the popup after the user granted access to an instance
+    if (request.action === 'syncContentScripts') {
+        syncContentScripts()
+            .then(() => sendResponse({ success: true }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+
+    if (request.action === 'getInstanceProfile') {
+        getInstanceProfile(request.instanceId)
+            .then(profile => sendResponse({
+                success: true,
+                name: getProfileName(profile, request.instanceId),
+                writeMode: profile.writeMode
+            }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+    }
+});
+
+// Keyboard commands from manifest.json run in the active PhotoPrism tab, which can
+// confirm with the user and show the result
+chrome.commands.onCommand.addListener(async (command) => {
+    if (command !== 'repeat-last-action') return;
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+    chrome.tabs.sendMessage(tab.id, { action: 'runShortcut', shortcut: 'repeatLastAction' }).catch(() => {
+        // Not a PhotoPrism tab
+    });
+});
+
+// The context menu follows the active tab's instance and its recent labels
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+chrome.tabs.onActivated.addListener(updateContextMenu);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (tab.active && changeInfo.url) updateContextMenu();
+});
+chrome.windows.onFocusChanged.addListener(updateContextMenu);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (Object.keys(changes).some(key => key === 'pluginConfig' || key.startsWith('recentLabels_'))) {
+        updateContextMenu();
+    }
+});
+
+// The content script runs on configured instances the user granted access to
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.pluginConfig) syncContentScripts();
+});
+chrome.permissions.onAdded.addListener(syncContentScripts);
+chrome.permissions.onRemoved.addListener(syncContentScripts);
+chrome.runtime.onInstalled.addListener(checkInstanceAccessAfterUpdate);
+chrome.runtime.onInstalled.addListener(syncContentScripts);
+
+chrome.runtime.onStartup.addListener(processJobQueue);
+chrome.runtime.onInstalled.addListener(processJobQueue);
+chrome.runtime.onInstalled.addListener(updateContextMenu);
+
+// Resume anything left over from a previous worker lifetime
+processJobQueue();
+
+// --- Job Queue ---
+
+/**
+ * Adds a job to the persistent queue and starts processing.
+ * @param {Object} jobRequest - Job submitted by the popup or the in-page toolbar
+ * @returns {Promise<Object>} The queued job
+ */
+async function enqueueJob(jobRequest) {
+    if (!jobRequest || !jobRequest.instanceId || !Array.isArray(jobRequest.uids) ||
+        !Array.isArray(jobRequest.operations) || jobRequest.operations.length === 0) {
+        throw new Error('Invalid job request.');
+    }
+
+    // Read-only profiles and label defaults are applied here so that no entry point can bypass them
+    const profile = await getInstanceProfile(jobRequest.instanceId);
+    assertProfileWritable(profile, jobRequest.instanceId);
+
+    const job = {
+        ...jobRequest,
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        status: 'queued',
+        operations: jobRequest.operations.map(operation => {
+            const uids = operation.uids || jobRequest.uids;
+            return {
+                ...applyLabelDefaults(operation, profile),
+                uids: uids,
+                pendingUids: [...uids],
+                successCount: 0,
+                failedCount: 0,
+                successUids: [],
+                failedUids: [],
+                unchangedUids: [],
+                removedLabels: {},
+                previousValues: {},
+                failures: {},
+                error: null
+            };
+        }),
+        startTime: new Date().toISOString()
+    };
+
+    await updateJobQueue(queue => [...queue, job]);
+    await saveJob(job);
+
+    // Remembered for the "repeat last action" shortcut; retries and undos only make sense once,
+    // and label catalog changes don't apply to a photo selection
+    if (!job.isRetry && !job.undoOf && !job.operations.some(operation => operation.type === 'labelCatalog')) {
+        await setInstanceData('lastAction', {
+            operations: job.operations.map(getOperationDefinition),
+            description: describeOperations(job.operations)
+        }, job.instanceId);
+    }
+
+    processJobQueue();
+    return job;
+}
+
+/**
+ * Chains a storage write after all previously scheduled ones so concurrent
+ * progress updates never overwrite each other.
+ * @param {function(): Promise<void>} writeFn - The write to perform
+ * @returns {Promise<void>}
+ */
+function scheduleWrite(writeFn) {
+    saveChain = saveChain
+        .then(writeFn)
+        .catch(error => console.error('Error saving job state:', error));
+    return saveChain;
+}
+
+/**
+ * Applies a change to the stored job queue.
+ * @param {function(Object[]): Object[]} updateFn - Receives and returns the queue
+ * @returns {Promise<void>}
+ */
+function updateJobQueue(updateFn) {
+    return scheduleWrite(async () => {
+        const result = await chrome.storage.local.get(JOB_QUEUE_KEY);
+        const queue = result[JOB_QUEUE_KEY] || [];
+        await chrome.storage.local.set({ [JOB_QUEUE_KEY]: updateFn(queue) });
+    });
+}
+
+/**
+ * Persists the current state of a job in the queue and mirrors its progress
+ * into instance storage so the popup can attach to it.
+ * @param {Object} job - The job to save
+ * @param {Object} [result] - Final execution result once the job has finished
+ * @returns {Promise<void>}
+ */
+function saveJob(job, result = null) {
+    clearTimeout(progressSaveTimers.get(job.id));
+    progressSaveTimers.delete(job.id);
+
+    const snapshot = JSON.parse(JSON.stringify(job));
+    const processed = job.operations.reduce(
+        (sum, operation) => sum + operation.uids.length - operation.pendingUids.length, 0
+    );
+    const progress = {
+        id: job.id,
+        description: describeOperations(job.operations),
+        status: job.status,
+        processed: processed,
+        total: job.operations.reduce((sum, operation) => sum + operation.uids.length, 0),
+        result: result
+    };
+
+    updateBadge(progress);
+
+    return scheduleWrite(async () => {
+        const stored = await chrome.storage.local.get(JOB_QUEUE_KEY);
+        const queue = stored[JOB_QUEUE_KEY] || [];
+        await chrome.storage.local.set({
+            [JOB_QUEUE_KEY]: queue.map(queued => queued.id === job.id ? snapshot : queued)
+        });
+        await setInstanceData('activeJob', progress, job.instanceId);
+    });
+}
+
+/**
+ * Saves a job's progress once the save interval has passed, combining the updates of all
+ * photos finished in between into one write.
+ * @param {Object} job - The running job
+ */
+function saveJobProgress(job) {
+    if (progressSaveTimers.has(job.id)) return;
+    progressSaveTimers.set(job.id, setTimeout(() => saveJob(job), JOB_PROGRESS_SAVE_INTERVAL));
+}
+
+/**
+ * Runs queued jobs one at a time until the queue is empty.
+ */
+async function processJobQueue() {
+    if (isProcessingQueue) return;
+    isProcessingQueue = true;
+
+    try {
+        let job;
+        while ((job = await getNextJob())) {
+            await runJob(job);
+            await updateJobQueue(queue => queue.filter(queued => queued.id !== job.id));
+        }
+    } catch (error) {
+        console.error('Error processing job queue:', error);
+    } finally {
+        isProcessingQueue = false;
+    }
+}
+
+/**
+ * Gets the oldest unfinished job from the queue.
+ * @returns {Promise<Object|undefined>}
+ */
+async function getNextJob() {
+    await saveChain;
+    const result = await chrome.storage.local.get(JOB_QUEUE_KEY);
+    const queue = result[JOB_QUEUE_KEY] || [];
+    return queue.find(job => job.status === 'queued' || job.status === 'running');
+}
+
+// --- Badge ---
+
+/**
+ * Shows the progress of the running job on the extension icon; a red "!" after a job
+ * with failures stays until the next job starts.
+ * @param {Object} progress - Progress snapshot written by saveJob
+ */
+function updateBadge(progress) {
+    if (progress.status === 'queued' || progress.status === 'running') {
+        const percentage = progress.total > 0 ? Math.floor((progress.processed / progress.total) * 100) : 0;
+        chrome.action.setBadgeBackgroundColor({ color: '#007bff' });
+        chrome.action.setBadgeText({ text: `${percentage}%` });
+    } else if (progress.result && (progress.result.failedCount > 0 || progress.result.error)) {
+        chrome.action.setBadgeBackgroundColor({ color: '#dc3545' });
+        chrome.action.setBadgeText({ text: '!' });
+    } else {
+        chrome.action.setBadgeText({ text: '' });
+    }
+}
+
+// --- Content Script Registration ---
+
+const CONTENT_SCRIPT_ID = 'photoprism-helper';
+
+let contentScriptChain = Promise.resolve();
+
+/**
+ * Registers the content script for the configured instances the extension has access to,
+ * and injects it into their open tabs. Runs one sync at a time.
+ * @returns {Promise<void>}
+ */
+function syncContentScripts() {
+    contentScriptChain = contentScriptChain
+        .then(registerContentScripts)
+        .catch(error => console.error('Error registering content scripts:', error));
+    return contentScriptChain;
+}
+
+/**
+ * Opens the settings page after an update if configured instances lost access, so they can
+ * be granted there (see getInstancesWithoutAccess). Until then the extension does nothing on them.
+ * @param {{reason: string}} details - Why onInstalled fired
+ */
+async function checkInstanceAccessAfterUpdate(details) {
+    if (details.reason !== 'update') return;
+
+    try {
+        const result = await chrome.storage.local.get('pluginConfig');
+        const missing = await getInstancesWithoutAccess(result.pluginConfig?.allowedDomains || []);
+        if (missing.length === 0) return;
+
+        console.warn(`No access to ${missing.join(', ')} after the update, opening the settings`);
+        await chrome.tabs.create({ url: chrome.runtime.getURL('config.html') });
+    } catch (error) {
+        console.error('Error checking instance access:', error);
+    }
+}
+
+/**
+ * Replaces the registered content script with one matching the current configuration.
+ */
+async function registerContentScripts() {
+    const result = await chrome.storage.local.get('pluginConfig');
+    const matches = [];
+
+    for (const domain of result.pluginConfig?.allowedDomains || []) {
+        const pattern = getOriginPattern(domain);
+        if (!pattern) {
+            console.warn(`Cannot register the content script for ${domain}: not a valid match pattern`);
+        } else if (await chrome.permissions.contains({ origins: [pattern] })) {
+            matches.push(pattern);
+        }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+    if (matches.length === 0) return;
+
+    await chrome.scripting.registerContentScripts([{
+        id: CONTENT_SCRIPT_ID,
+        matches: matches,
+        js: ['shortcut-utils.js', 'content.js'],
+        runAt: 'document_idle',
+        persistAcrossSessions: true
+    }]);
+
+    // Tabs opened before access was granted get the script without a reload
+    const tabs = await chrome.tabs.query({ url: matches });
+    for (const tab of tabs) {
+        const hasContentScript = await chrome.tabs.sendMessage(tab.id, { action: 'ping' }).catch(() => false);
+        if (!hasContentScript) {
+            await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['shortcut-utils.js', 'content.js'] })
+                .catch(error => console.warn(`Could not inject the content script into tab ${tab.id}:`, error.message));
+        }
+    }
+}
+
+// --- Context Menu ---
+
+// Recent labels offered under "Add label" and "Remove label"
+const CONTEXT_MENU_LABELS = 10;
+
+let contextMenuChain = Promise.resolve();
+
+/**
+ * Rebuilds the context menu for the active tab: recent labels of its instance on
+ * configured PhotoPrism instances, no menu elsewhere. Rebuilds run one at a time.
+ */
+function updateContextMenu() {
+    contextMenuChain = contextMenuChain
+        .then(buildContextMenu)
+        .catch(error => console.error('Error updating context menu:', error));
+    return contextMenuChain;
+}
+
+/**
+ * Replaces the context menu items with those for the active tab's instance.
+ */
+async function buildContextMenu() {
+    await chrome.contextMenus.removeAll();
+
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    let instanceId;
+    try {
+        const url = new URL(tab?.url || '');
+        instanceId = `${url.protocol}//${url.host}`;
+    } catch (error) {
+        return;
+    }
+
+    const result = await chrome.storage.local.get('pluginConfig');
+    const allowedDomains = Object.fromEntries((result.pluginConfig?.allowedDomains || []).map(domain => [domain, true]));
+    if (!findInstanceEntry(allowedDomains, instanceId)) return;
+
+    const recentLabels = (await getInstanceData('recentLabels', [], instanceId)).slice(0, CONTEXT_MENU_LABELS);
+    const contexts = ['page', 'image', 'link'];
+
+    chrome.contextMenus.create({ id: 'photoprism-helper', title: 'PhotoPrism Helper', contexts: contexts });
+    ['add', 'remove'].forEach(action => {
+        const parentId = `${action}-label`;
+        chrome.contextMenus.create({
+            id: parentId,
+            parentId: 'photoprism-helper',
+            title: action === 'add' ? 'Add label' : 'Remove label',
+            contexts: contexts
+        });
+
+        if (recentLabels.length === 0) {
+            chrome.contextMenus.create({
+                id: `${parentId}-none`,
+                parentId: parentId,
+                title: 'No recent labels',
+                enabled: false,
+                contexts: contexts
+            });
+        }
+        recentLabels.forEach(label => {
+            // The label is part of the ID so clicks work after a worker restart
+            chrome.contextMenus.create({ id: `${action}:${label}`, parentId: parentId, title: label, contexts: contexts });
+        });
+    });
+}
+
+/**
+ * Runs the clicked label action in the tab, which reads the selection, confirms if the
+ * profile asks for it and submits the job.
+ * @param {Object} info - Clicked menu item
+ * @param {Object} tab - Tab the menu was opened in
+ */
+function handleContextMenuClick(info, tab) {
+    const separator = info.menuItemId.indexOf(':');
+    if (separator < 0 || !tab) return;
+
+    chrome.tabs.sendMessage(tab.id, {
+        action: 'runShortcut',
+        shortcut: 'label',
+        labelAction: info.menuItemId.slice(0, separator),
+        labelText: info.menuItemId.slice(separator + 1)
+    }).catch(error => console.error('Could not run context menu action:', error.message));
+}
+
+// --- Job Execution ---
+
+// Runs one operation of a job over its pending UIDs, by operation type
+const OPERATION_RUNNERS = {
+    label: runLabelOperation,
+    album: runAlbumOperation,
+    flag: runFlagOperation,
+    metadata: runMetadataOperation,
+    labelCatalog: runLabelCatalogOperation
+};
+
+/**
+ * Runs each operation of a job over its pending UIDs and records the outcome.
+ * @param {Object} job - The job to run
+ */
+async function runJob(job) {
+    job.status = 'running';
+    await saveJob(job);
+
+    const settings = await getBatchSettings(job.instanceId);
+
+    // Configured credentials replace the session token the job was submitted with
+    let client = null;
+    try {
+        client = await PhotoPrismClient.forInstance(job.instanceId, job.token);
+    } catch (error) {
+        job.authError = error.message;
+        job.operations.forEach(operation => {
+            operation.error = error.message;
+            operation.pendingUids = [];
+        });
+    }
+
+    for (const operation of job.operations) {
+        // Skip operations finished before a worker restart
+        if (operation.error || operation.pendingUids.length === 0) continue;
+
+        try {
+            const runOperation = OPERATION_RUNNERS[operation.type || 'label'];
+            if (!runOperation) {
+                throw new Error(`Unknown operation type: ${operation.type}`);
+            }
+            await runOperation(job, operation, settings, client);
+        } catch (error) {
+            console.error(`Operation failed: ${operation.action} "${describeOperation(operation)}": ${error.message}`);
+            operation.error = error.message;
+            operation.pendingUids = [];
+        }
+        await saveJob(job);
+    }
+
+    if (job.authError) {
+        await clearAccessToken(job.instanceId);
+    }
+
+    job.status = 'completed';
+    const executionResult = await recordJobResult(job);
+    await saveJob(job, executionResult);
+}
+
+/**
+ * Creates the callback that records each UID's outcome on an operation and saves progress
+ * (throttled, see saveJobProgress).
+ * A 401 response is kept as the job's auth error so the popup can ask the user to log in again.
+ * @param {Object} job - The job the operation belongs to
+ * @param {Object} operation - The operation being run
+ * @returns {function(string, boolean, Error=): void}
+ */
+function createItemTracker(job, operation) {
+    return (uid, success, error) => {
+        if (error?.status === 401) {
+            job.authError = AUTH_FAILED_MESSAGE;
+        }
+        if (error) {
+            operation.failures[uid] = describeFailure(error);
+        }
+        operation.pendingUids = operation.pendingUids.filter(pending => pending !== uid);
+        if (success) {
+            operation.successCount++;
+            operation.successUids.push(uid);
+        } else {
+            operation.failedCount++;
+            operation.failedUids.push(uid);
+        }
+        saveJobProgress(job);
+    };
+}
+
+/**
+ * Adds or removes a single label on the operation's pending UIDs.
+ * Before a label is removed, its priority and uncertainty on the photo are captured
+ * in `operation.removedLabels` so an undo can restore them. Undo jobs pass those
+ * values back in `operation.restoreLabels`. Photos that already carry the label (on add)
+ * or don't carry it (on remove) are skipped and counted in `operation.unchangedUids`, so an
+ * undo only reverts real changes. If a removal finds the label on none of the photos, the
+ * cached label ID may be stale (the label was deleted or renamed outside the extension), so
+ * the ID is resolved once more and those photos are tried again with the new one.
+ * @param {Object} job - The job the operation belongs to
+ * @param {Object} operation - The label operation to run
+ * @param {Object} settings - Batch limits for the instance
+ * @param {PhotoPrismClient} client - API client of the job's instance
+ */
+async function runLabelOperation(job, operation, settings, client) {
+    const { action, labelName } = operation;
+    const restoreLabels = operation.restoreLabels || {};
+    const onItemDone = createItemTracker(job, operation);
+
+    const labelOptions = { priority: operation.priority, uncertainty: operation.uncertainty };
+
+    if (action === 'add') {
+        await batchProcess(operation.pendingUids, async (uid) => {
+            if (findPhotoLabel(await client.getPhoto(uid), labelName)) {
+                operation.unchangedUids.push(uid);
+                return;
+            }
+            await client.addLabel(uid, labelName, restoreLabels[uid] || labelOptions);
+        }, onItemDone, settings);
+    } else if (action === 'upgrade') {
+        // PhotoPrism only replaces a photo label's uncertainty with a lower one, which also makes it manual
+        await batchProcess(operation.pendingUids, async (uid) => {
+            const photoLabel = findPhotoLabel(await client.getPhoto(uid), labelName);
+            if (!photoLabel || photoLabel.LabelSrc === 'manual') {
+                operation.unchangedUids.push(uid);
+                return;
+            }
+            await client.addLabel(uid, labelName, { ...labelOptions, uncertainty: labelOptions.uncertainty ?? 0 });
+        }, onItemDone, settings);
+    } else if (action === 'remove') {
+        if (operation.labelId === undefined) {
+            operation.labelId = await client.getLabelId(labelName, operation.uids);
+            await saveJob(job);
+        }
+        const removeFromPhoto = async (uid) => {
+            const photoLabel = await client.getPhotoLabel(uid, operation.labelId);
+            if (!photoLabel || photoLabel.Uncertainty >= 100) {
+                operation.unchangedUids.push(uid);
+                return;
+            }
+            if (!await client.removeLabel(uid, operation.labelId)) {
+                operation.unchangedUids.push(uid);
+                return;
+            }
+            operation.removedLabels[uid] = {
+                priority: photoLabel.Label?.Priority ?? 0,
+                uncertainty: photoLabel.Uncertainty
+            };
+        };
+
+        const uids = operation.pendingUids;
+        const unchangedBefore = operation.unchangedUids.length;
+        await batchProcess(uids, removeFromPhoto, onItemDone, settings);
+
+        const missedUids = operation.unchangedUids.slice(unchangedBefore);
+        if (uids.length > 0 && missedUids.length === uids.length) {
+            await client.forgetLabelId(labelName);
+            let labelId;
+            try {
+                labelId = await client.getLabelId(labelName, missedUids);
+            } catch (error) {
+                // The label is gone, so the photos really don't carry it
+                console.warn(`Could not resolve label "${labelName}" again: ${error.message}`);
+                return;
+            }
+            if (labelId === operation.labelId) return;
+
+            // Count the photos again instead of as unchanged
+            operation.labelId = labelId;
+            operation.unchangedUids = operation.unchangedUids.slice(0, unchangedBefore);
+            operation.successUids = operation.successUids.filter(uid => !missedUids.includes(uid));
+            operation.successCount -= missedUids.length;
+            operation.pendingUids = missedUids;
+            await saveJob(job);
+            await batchProcess(missedUids, removeFromPhoto, onItemDone, settings);
+        }
+    } else {
+        throw new Error(`Unknown action: ${action}`);
+    }
+}
+
+/**
+ * Adds the operation's pending UIDs to an album or removes them from it, one photo per
+ * request so failures are tracked per photo. An album without a UID is looked up by
+ * title and created if it doesn't exist yet. Photos whose membership already matches
+ * are counted in `operation.unchangedUids`.
+ * @param {Object} job - The job the operation belongs to
+ * @param {Object} operation - The album operation to run
+ * @param {Object} settings - Batch limits for the instance
+ * @param {PhotoPrismClient} client - API client of the job's instance
+ */
+async function runAlbumOperation(job, operation, settings, client) {
+    if (operation.action !== 'add' && operation.action !== 'remove') {
+        throw new Error(`Unknown action: ${operation.action}`);
+    }
+
+    if (!operation.albumUid) {
+        const albums = await client.searchAlbums(operation.albumTitle);
+        const existing = albums.find(album => album.Title.toLowerCase() === operation.albumTitle.toLowerCase());
+
+        if (existing) {
+            operation.albumUid = existing.UID;
+        } else if (operation.action === 'add') {
+            const album = await client.createAlbum(operation.albumTitle);
+            operation.albumUid = album.UID;
+            operation.albumCreated = true;
+        } else {
+            throw new Error(`Album "${operation.albumTitle}" not found.`);
+        }
+        await saveJob(job);
+    }
+
+    // Photos already in the album (on add) or not in it (on remove) are left alone, so an
+    // undo doesn't take out photos that were in the album before
+    const memberUids = new Set(operation.albumCreated ? [] : await client.getAlbumPhotoUids(operation.albumUid));
+    await batchProcess(operation.pendingUids, async (uid) => {
+        if (memberUids.has(uid) === (operation.action === 'add')) {
+            operation.unchangedUids.push(uid);
+            return;
+        }
+        await client.updateAlbumPhotos(operation.albumUid, [uid], operation.action);
+    }, createItemTracker(job, operation), settings);
+}
+
+/**
+ * Sets ('add') or clears ('remove') a photo flag on the operation's pending UIDs.
+ * Each photo is checked first; photos that already have the requested state are
+ * skipped and counted in `operation.unchangedUids`, so an undo only reverts real changes.
+ * @param {Object} job - The job the operation belongs to
+ * @param {Object} operation - The flag operation to run
+ * @param {Object} settings - Batch limits for the instance
+ * @param {PhotoPrismClient} client - API client of the job's instance
+ */
+async function runFlagOperation(job, operation, settings, client) {
+    const { action, flag } = operation;
+
+    if (!PHOTO_FLAGS[flag]?.[action]) {
+        throw new Error(`Unknown flag action: ${action} ${flag}`);
+    }
+    const enabled = action === 'add';
+
+    await batchProcess(operation.pendingUids, async (uid) => {
+        const photo = await client.getPhoto(uid);
+        if (hasPhotoFlag(photo, flag) === enabled) {
+            operation.unchangedUids.push(uid);
+            return;
+        }
+        await client.setPhotoFlag(uid, flag, enabled);
+    }, createItemTracker(job, operation), settings);
+}
+
+/**
+ * Applies metadata edits to the operation's pending UIDs. Each photo is fetched first so
+ * append edits build on its current values; photos the edits don't change are counted in
+ * `operation.unchangedUids`. The replaced values are kept in `operation.previousValues`
+ * so an undo can restore them. Undo jobs pass them back in `operation.restoreValues`.
+ * @param {Object} job - The job the operation belongs to
+ * @param {Object} operation - The metadata operation to run
+ * @param {Object} settings - Batch limits for the instance
+ * @param {PhotoPrismClient} client - API client of the job's instance
+ */
+async function runMetadataOperation(job, operation, settings, client) {
+    if (operation.action !== 'update') {
+        throw new Error(`Unknown action: ${operation.action}`);
+    }
+
+    await batchProcess(operation.pendingUids, async (uid) => {
+        if (operation.restoreValues) {
+            await client.updatePhoto(uid, operation.restoreValues[uid]);
+            return;
+        }
+
+        const photo = await client.getPhoto(uid);
+        const { changes, update, previous } = applyMetadataEdits(photo, operation.edits);
+        if (changes.length === 0) {
+            operation.unchangedUids.push(uid);
+            return;
+        }
+        await client.updatePhoto(uid, update);
+        operation.previousValues[uid] = previous;
+    }, createItemTracker(job, operation), settings);
+}
+
+/**
+ * Changes the instance's labels themselves. 'rename' and 'delete' run on label UIDs.
+ * 'merge' runs on photo UIDs: photos with any of the `sources` labels get the target label,
+ * with the lowest uncertainty of their sources, and lose the sources. What changed on each
+ * photo is kept in `operation.mergedLabels` so an undo can move it back. Once every photo
+ * was moved the sources are deleted; if that fails they are left unused. Cached label IDs
+ * and the label catalog are dropped afterwards since they may name changed labels.
+ * @param {Object} job - The job the operation belongs to
+ * @param {Object} operation - The label catalog operation to run
+ * @param {Object} settings - Batch limits for the instance
+ * @param {PhotoPrismClient} client - API client of the job's instance
+ */
+async function runLabelCatalogOperation(job, operation, settings, client) {
+    const onItemDone = createItemTracker(job, operation);
+
+    if (operation.action === 'rename') {
+        await batchProcess(operation.pendingUids, (labelUid) => client.renameLabel(labelUid, operation.newName), onItemDone, settings);
+    } else if (operation.action === 'delete') {
+        await batchProcess(operation.pendingUids, (labelUid) => client.deleteLabels([labelUid]), onItemDone, settings);
+    } else if (operation.action === 'merge') {
+        operation.mergedLabels = operation.mergedLabels || {};
+        await batchProcess(operation.pendingUids, (uid) => mergePhotoLabels(operation, uid, client), onItemDone, settings);
+
+        if (operation.failedCount === 0) {
+            try {
+                await client.deleteLabels(operation.sources.map(source => source.uid));
+            } catch (error) {
+                console.warn(`Merged labels were not deleted: ${error.message}`);
+            }
+        }
+    } else {
+        throw new Error(`Unknown action: ${operation.action}`);
+    }
+
+    await client.clearLabelCache();
+    await setInstanceData('labelCatalog', null, job.instanceId);
+}
+
+/**
+ * Moves a photo from the source labels of a merge operation to its target label.
+ * Photos without any source label are counted in `operation.unchangedUids`.
+ * @param {Object} operation - The merge operation
+ * @param {string} uid - Photo UID
+ * @param {PhotoPrismClient} client - API client of the job's instance
+ */
+async function mergePhotoLabels(operation, uid, client) {
+    const photo = await client.getPhoto(uid);
+    const sourceLabels = operation.sources
+        .map(source => ({
+            source: source,
+            photoLabel: photo.Labels?.find(l => (l.LabelID === source.id || l.Label?.ID === source.id) && l.Uncertainty < 100)
+        }))
+        .filter(({ photoLabel }) => photoLabel);
+
+    if (sourceLabels.length === 0) {
+        operation.unchangedUids.push(uid);
+        return;
+    }
+
+    const merged = { targetAdded: false, removed: {} };
+    if (!findPhotoLabel(photo, operation.labelName)) {
+        await client.addLabel(uid, operation.labelName, {
+            uncertainty: Math.min(...sourceLabels.map(({ photoLabel }) => photoLabel.Uncertainty))
+        });
+        merged.targetAdded = true;
+    }
+    for (const { source, photoLabel } of sourceLabels) {
+        await client.removeLabel(uid, source.id);
+        merged.removed[source.name] = { priority: photoLabel.Label?.Priority ?? 0, uncertainty: photoLabel.Uncertainty };
+    }
+    operation.mergedLabels[uid] = merged;
+}
+
+/**
+ * Saves a finished job to execution history, failed operations and recent labels.
+ * A job produces one combined history entry with a per-operation breakdown in `labels`.
+ * @param {Object} job - The finished job
+ * @returns {Promise<Object>} The saved execution result
+ */
+async function recordJobResult(job) {
+    const { instanceId, operations } = job;
+
+    const labels = operations.map(operation => ({
+        ...getOperationDefinition(operation),
+        totalCount: operation.uids.length,
+        successCount: operation.successCount,
+        failedCount: operation.failedCount,
+        unchangedCount: operation.unchangedUids.length,
+        unchangedUids: operation.unchangedUids,
+        successUids: operation.successUids,
+        failedUids: operation.failedUids,
+        removedLabels: operation.removedLabels,
+        previousValues: operation.previousValues,
+        mergedLabels: operation.mergedLabels,
+        error: operation.error
+    }));
+    const errors = [...new Set([
+        ...labels.filter(label => label.error).map(label => label.error),
+        ...(job.authError ? [job.authError] : [])
+    ])];
+    const types = [...new Set(labels.map(label => label.type))];
+
+    const executionResult = {
+        type: types.length === 1 ? types[0] : 'mixed',
+        action: operations.length === 1 ? operations[0].action : 'mixed',
+        labelName: describeOperations(operations),
+        labels: labels,
+        totalCount: labels.reduce((sum, label) => sum + label.totalCount, 0),
+        successCount: labels.reduce((sum, label) => sum + label.successCount, 0),
+        failedCount: labels.reduce((sum, label) => sum + label.failedCount, 0),
+        unchangedCount: labels.reduce((sum, label) => sum + label.unchangedCount, 0),
+        failedUids: [...new Set(labels.flatMap(label => label.failedUids))],
+        startTime: job.startTime,
+        duration: Date.now() - new Date(job.startTime).getTime(),
+        error: errors.length > 0 ? errors.join('\n') : null
+    };
+    if (job.authError) {
+        executionResult.authFailed = true;
+    }
+    if (job.isRetry) {
+        executionResult.isRetry = true;
+    }
+    if (job.undoOf) {
+        executionResult.undoOf = job.undoOf;
+    }
+
+    const savedResult = await saveExecutionResult(executionResult, instanceId);
+
+    try {
+        await addAuditEntries(buildAuditEntries(job, savedResult.id));
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+
+    // An undo with failures can be retried from the failed operations or run again
+    if (job.undoOf && executionResult.failedCount === 0 && !executionResult.error) {
+        await markExecutionUndone(job.undoOf, instanceId);
+    }
+
+    for (const operation of operations) {
+        if (operation.error) continue;
+
+        if (job.isRetry) {
+            await updateFailedOperationAfterRetry(operation, instanceId);
+        } else if (operation.failedUids.length > 0) {
+            const failedOperation = {
+                ...getOperationDefinition(operation),
+                failedUids: operation.failedUids,
+                failures: operation.failures,
+                timestamp: new Date().toISOString(),
+                retryCount: 0
+            };
+            // A retried undo restores the failed photos' labels as they were
+            if (failedOperation.restoreLabels) {
+                failedOperation.restoreLabels = Object.fromEntries(
+                    operation.failedUids.map(uid => [uid, operation.restoreLabels[uid]]).filter(([, values]) => values));
+            }
+            await saveFailedOperation(failedOperation, instanceId);
+        } else {
+            await removeFailedOperation(operation, instanceId);
+        }
+
+        if (!operation.type || operation.type === 'label') {
+            await addToRecentLabels(operation.labelName, instanceId);
+        }
+    }
+
+    return savedResult;
+}
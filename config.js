@@ -6,15 +6,26 @@ const DEFAULT_CONFIG = {
         'https://demo.photoprism.app'
     ],
     debugEnabled: false,
+    instanceSettings: {},
+    quickLabels: [],
+    labelRules: [],
     version: '1.0.0'
 };
 
+// Settings bundle read from the import file, waiting for the user to confirm
+let pendingImportBundle = null;
+
+// Configured domains without host access, listed in the access notice
+let domainsWithoutAccess = [];
+
 /**
  * Load current configuration when page loads
  */
 document.addEventListener('DOMContentLoaded', async () => {
     await loadConfiguration();
     await loadDebugSettings();
+    await loadShortcuts();
+    await loadLabelRules();
     
     console.log('Config page loaded, setting up event listeners');
     
@@ -24,6 +35,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const clearCacheBtn = document.getElementById('clear-cache-btn');
     
     if (addBtn) addBtn.addEventListener('click', addDomain);
+    document.getElementById('grant-all-btn').addEventListener('click', grantMissingAccess);
     if (debugCheckbox) debugCheckbox.addEventListener('change', saveDebugSettings);
     if (clearCacheBtn) clearCacheBtn.addEventListener('click', clearAllCache);
     
@@ -38,6 +50,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (clearHistoryBtn) clearHistoryBtn.addEventListener('click', clearExecutionHistory);
     if (clearFailedBtn) clearFailedBtn.addEventListener('click', clearFailedOperations);
     
+    // Label rules
+    document.getElementById('add-rule-btn').addEventListener('click', () => {
+        document.getElementById('rule-list').appendChild(createRuleElement({
+            id: Date.now().toString(36),
+            name: '',
+            enabled: true,
+            match: 'all',
+            conditions: [{ field: '', operator: 'equals', value: '' }],
+            actions: [{ action: 'add', labelName: '' }]
+        }));
+    });
+    document.getElementById('save-rules-btn').addEventListener('click', saveLabelRules);
+    
+    // Keyboard shortcuts
+    document.getElementById('save-quick-labels-btn').addEventListener('click', saveQuickLabels);
+    document.getElementById('edit-commands-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    
+    // Backup and restore
+    const importFileInput = document.getElementById('import-file');
+    document.getElementById('export-settings-btn').addEventListener('click', exportSettings);
+    document.getElementById('import-settings-btn').addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', handleImportFile);
+    document.getElementById('import-apply-btn').addEventListener('click', importSettings);
+    
     // Allow Enter key to add domain
     const newDomainInput = document.getElementById('new-domain');
     if (newDomainInput) {
@@ -62,11 +100,12 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadConfiguration() {
     try {
-        const result = await chrome.storage.local.get('pluginConfig');
+        const result = await chrome.storage.local.get(['pluginConfig', INSTANCE_CREDENTIALS_KEY]);
         const config = result.pluginConfig || DEFAULT_CONFIG;
         
         // Display the domains
-        displayDomains(config.allowedDomains || []);
+        displayDomains(config.allowedDomains || [], config.instanceSettings || {}, result[INSTANCE_CREDENTIALS_KEY] || {});
+        await displayAccessNotice(config.allowedDomains || []);
         
         showStatus('Configuration loaded successfully', false);
     } catch (error) {
@@ -78,8 +117,10 @@ async function loadConfiguration() {
 /**
  * Display the list of configured domains
  * @param {string[]} domains - Array of domain URLs
+ * @param {Object} instanceSettings - Profiles (batch limits, display name, labels, write mode) keyed by domain
+ * @param {Object} instanceCredentials - Login credentials keyed by domain
  */
-function displayDomains(domains) {
+function displayDomains(domains, instanceSettings = {}, instanceCredentials = {}) {
     const domainList = document.getElementById('domain-list');
     const emptyState = document.getElementById('empty-domains');
     
@@ -92,13 +133,72 @@ function displayDomains(domains) {
     }
     
     domains.forEach((domain, index) => {
+        const settings = { ...DEFAULT_PROFILE, ...DEFAULT_BATCH_SETTINGS, ...(instanceSettings[domain] || {}) };
         const domainItem = document.createElement('div');
         domainItem.className = 'domain-item';
+        domainItem.style.borderLeftColor = settings.color;
         domainItem.innerHTML = `
-            <span class="domain-url">${domain}</span>
-            <button class="remove-btn" data-index="${index}">Remove</button>
+            <div class="domain-row">
+                <span class="domain-url"></span>
+                <button class="grant-btn" style="display: none;">Grant access</button>
+                <button class="remove-btn" data-index="${index}">Remove</button>
+            </div>
+            <div class="batch-settings profile-settings">
+                <label>Name <input type="text" class="name-input" placeholder="e.g. Production"></label>
+                <label>Color <input type="color" class="color-input"></label>
+                <label>Safety
+                    <select class="write-mode-select">
+                        <option value="normal">Allow changes</option>
+                        <option value="confirm">Confirm before changes</option>
+                        <option value="readOnly">Read-only</option>
+                    </select>
+                </label>
+            </div>
+            <div class="batch-settings profile-settings">
+                <label>Default labels <input type="text" class="default-labels-input" placeholder="e.g. inbox"></label>
+                <label>Favorite labels <input type="text" class="favorite-labels-input" placeholder="e.g. family, travel"></label>
+                <label title="Priority, and optionally uncertainty (0-100), these labels are added with">Label defaults
+                    <input type="text" class="label-defaults-input" placeholder="e.g. family=10, travel=5/20"></label>
+            </div>
+            <div class="batch-settings">
+                <label>Concurrency <input type="number" class="concurrency-input" min="1" max="32" value="${settings.concurrency}"></label>
+                <label>Requests/sec <input type="number" class="rate-input" min="0" max="100" step="0.5" value="${settings.requestsPerSecond}"></label>
+                <label>Max retries <input type="number" class="retries-input" min="0" max="10" value="${settings.maxRetries}"></label>
+                <button class="save-settings-btn save-profile-btn">Save profile</button>
+            </div>
+            <div class="batch-settings auth-settings">
+                <label>Login
+                    <select class="auth-method">
+                        <option value="">Page session</option>
+                        <option value="appPassword">App password</option>
+                        <option value="clientCredentials">Client credentials</option>
+                    </select>
+                </label>
+                <input type="password" class="app-password-input" placeholder="App password" autocomplete="off">
+                <input type="text" class="client-id-input" placeholder="Client ID" autocomplete="off">
+                <input type="password" class="client-secret-input" placeholder="Client secret" autocomplete="off">
+                <button class="save-settings-btn save-auth-btn">Save login</button>
+            </div>
         `;
         
+        // Fill in the profile; user-entered text is set as values, not markup
+        domainItem.querySelector('.domain-url').textContent = settings.displayName
+            ? `${settings.displayName} (${domain})`
+            : domain;
+        domainItem.querySelector('.name-input').value = settings.displayName;
+        domainItem.querySelector('.color-input').value = settings.color;
+        domainItem.querySelector('.write-mode-select').value = settings.writeMode;
+        domainItem.querySelector('.default-labels-input').value = settings.defaultLabels.join(', ');
+        domainItem.querySelector('.favorite-labels-input').value = settings.favoriteLabels.join(', ');
+        domainItem.querySelector('.label-defaults-input').value = formatLabelDefaults(settings.labelDefaults);
+        
+        // Offer to grant access the extension doesn't have yet
+        const grantBtn = domainItem.querySelector('.grant-btn');
+        hasInstanceAccess(domain).then(hasAccess => {
+            grantBtn.style.display = hasAccess ? 'none' : '';
+        });
+        grantBtn.addEventListener('click', () => requestInstanceAccess(domain));
+        
         // Add event listener for remove button
         const removeBtn = domainItem.querySelector('.remove-btn');
         removeBtn.addEventListener('click', (e) => {
@@ -106,6 +206,50 @@ function displayDomains(domains) {
             removeDomain(index);
         });
         
+        // Fill in and toggle the login fields for the chosen method
+        const credentials = instanceCredentials[domain] || {};
+        const authMethodSelect = domainItem.querySelector('.auth-method');
+        const appPasswordInput = domainItem.querySelector('.app-password-input');
+        const clientIdInput = domainItem.querySelector('.client-id-input');
+        const clientSecretInput = domainItem.querySelector('.client-secret-input');
+        authMethodSelect.value = credentials.method || '';
+        appPasswordInput.value = credentials.appPassword || '';
+        clientIdInput.value = credentials.clientId || '';
+        clientSecretInput.value = credentials.clientSecret || '';
+        
+        const updateAuthInputs = () => {
+            appPasswordInput.style.display = authMethodSelect.value === 'appPassword' ? '' : 'none';
+            clientIdInput.style.display = authMethodSelect.value === 'clientCredentials' ? '' : 'none';
+            clientSecretInput.style.display = authMethodSelect.value === 'clientCredentials' ? '' : 'none';
+        };
+        updateAuthInputs();
+        authMethodSelect.addEventListener('change', updateAuthInputs);
+        
+        domainItem.querySelector('.save-auth-btn').addEventListener('click', () => {
+            saveInstanceCredentials(domain, {
+                method: authMethodSelect.value,
+                appPassword: appPasswordInput.value.trim(),
+                clientId: clientIdInput.value.trim(),
+                clientSecret: clientSecretInput.value.trim()
+            });
+        });
+        
+        // Add event listener for the profile
+        const saveProfileBtn = domainItem.querySelector('.save-profile-btn');
+        saveProfileBtn.addEventListener('click', () => {
+            saveInstanceSettings(domain, {
+                displayName: domainItem.querySelector('.name-input').value.trim(),
+                color: domainItem.querySelector('.color-input').value,
+                writeMode: domainItem.querySelector('.write-mode-select').value,
+                defaultLabels: parseLabelList(domainItem.querySelector('.default-labels-input').value),
+                favoriteLabels: parseLabelList(domainItem.querySelector('.favorite-labels-input').value),
+                labelDefaults: parseLabelDefaults(domainItem.querySelector('.label-defaults-input').value),
+                concurrency: parseInt(domainItem.querySelector('.concurrency-input').value, 10),
+                requestsPerSecond: parseFloat(domainItem.querySelector('.rate-input').value),
+                maxRetries: parseInt(domainItem.querySelector('.retries-input').value, 10)
+            });
+        });
+        
         domainList.appendChild(domainItem);
     });
 }
@@ -134,8 +278,17 @@ function addDomain() {
     const normalizedUrl = normalizeUrl(url);
     console.log('Normalized URL:', normalizedUrl);
     
+    if (!getOriginPattern(normalizedUrl)) {
+        showValidation('Wildcards are only supported as the first part of the host (e.g., https://*.example.com)');
+        return;
+    }
+    
+    // Asked right away, while the click still counts as a user gesture; without access
+    // the instance is listed with a "Grant access" button
+    requestInstanceAccess(normalizedUrl);
+    
     // Get current domains from storage
-    chrome.storage.local.get('pluginConfig', (result) => {
+    chrome.storage.local.get(['pluginConfig', INSTANCE_CREDENTIALS_KEY], (result) => {
         if (chrome.runtime.lastError) {
             console.error('Chrome storage error:', chrome.runtime.lastError);
             showStatus('Error saving configuration', true);
@@ -157,7 +310,7 @@ function addDomain() {
         
         chrome.storage.local.set({ pluginConfig: newConfig }, () => {
             console.log('Saved new config:', newConfig);
-            displayDomains(domains);
+            displayDomains(domains, newConfig.instanceSettings || {}, result[INSTANCE_CREDENTIALS_KEY] || {});
             input.value = '';
             hideValidation();
             showStatus('Instance added successfully', false);
@@ -173,7 +326,7 @@ function addDomain() {
  * @param {number} index - Index of the domain to remove
  */
 function removeDomain(index) {
-    chrome.storage.local.get('pluginConfig', (result) => {
+    chrome.storage.local.get(['pluginConfig', INSTANCE_CREDENTIALS_KEY], (result) => {
         if (chrome.runtime.lastError) {
             console.error('Chrome storage error:', chrome.runtime.lastError);
             showStatus('Error removing instance', true);
@@ -185,10 +338,23 @@ function removeDomain(index) {
         
         if (index >= 0 && index < domains.length) {
             const removedDomain = domains.splice(index, 1)[0];
-            const newConfig = { ...config, allowedDomains: domains };
+            const instanceSettings = { ...(config.instanceSettings || {}) };
+            delete instanceSettings[removedDomain];
+            const newConfig = { ...config, allowedDomains: domains, instanceSettings: instanceSettings };
+            
+            const instanceCredentials = { ...(result[INSTANCE_CREDENTIALS_KEY] || {}) };
+            delete instanceCredentials[removedDomain];
+            
+            // Wildcard domains may cover other configured instances, so their access is kept
+            const removedPattern = getOriginPattern(removedDomain);
+            if (removedPattern && !removedDomain.includes('*')) {
+                chrome.permissions.remove({ origins: [removedPattern] }).catch(() => {
+                    // Access is still covered by a broader grant
+                });
+            }
             
-            chrome.storage.local.set({ pluginConfig: newConfig }, () => {
-                displayDomains(domains);
+            chrome.storage.local.set({ pluginConfig: newConfig, [INSTANCE_CREDENTIALS_KEY]: instanceCredentials }, () => {
+                displayDomains(domains, instanceSettings, instanceCredentials);
                 showStatus(`Removed ${removedDomain}`, false);
                 
                 // Update content scripts
@@ -198,6 +364,188 @@ function removeDomain(index) {
     });
 }
 
+/**
+ * Save the login credentials for a configured instance, or clear them to use the page session
+ * @param {string} domain - The configured domain
+ * @param {{method: string, appPassword: string, clientId: string, clientSecret: string}} credentials - The new credentials
+ */
+async function saveInstanceCredentials(domain, credentials) {
+    if (credentials.method === 'appPassword' && !credentials.appPassword) {
+        showStatus('Please enter an app password', true);
+        return;
+    }
+    if (credentials.method === 'clientCredentials' && (!credentials.clientId || !credentials.clientSecret)) {
+        showStatus('Please enter a client ID and client secret', true);
+        return;
+    }
+    
+    try {
+        const result = await chrome.storage.local.get(INSTANCE_CREDENTIALS_KEY);
+        const instanceCredentials = { ...(result[INSTANCE_CREDENTIALS_KEY] || {}) };
+        
+        if (credentials.method === 'appPassword') {
+            instanceCredentials[domain] = { method: 'appPassword', appPassword: credentials.appPassword };
+        } else if (credentials.method === 'clientCredentials') {
+            instanceCredentials[domain] = {
+                method: 'clientCredentials',
+                clientId: credentials.clientId,
+                clientSecret: credentials.clientSecret
+            };
+        } else {
+            delete instanceCredentials[domain];
+        }
+        
+        await chrome.storage.local.set({ [INSTANCE_CREDENTIALS_KEY]: instanceCredentials });
+        // Drop the access token cached for the old credentials
+        await clearAccessToken(domain);
+        showStatus(credentials.method ? `Login saved for ${domain}` : `${domain} will use the page session`, false);
+    } catch (error) {
+        console.error('Error saving credentials:', error);
+        showStatus('Error saving login', true);
+    }
+}
+
+/**
+ * Show a notice for configured instances without access, e.g. after updating from a version
+ * that could access every site, with one button granting all of them
+ * @param {string[]} domains - Configured domains
+ */
+async function displayAccessNotice(domains) {
+    domainsWithoutAccess = await getInstancesWithoutAccess(domains);
+    
+    document.getElementById('access-notice').style.display = domainsWithoutAccess.length > 0 ? '' : 'none';
+    document.getElementById('access-notice-text').textContent =
+        `The extension needs access to ${domainsWithoutAccess.join(', ')} and does nothing there until it is granted.`;
+}
+
+/**
+ * Ask Chrome for access to every configured domain listed in the access notice
+ */
+async function grantMissingAccess() {
+    try {
+        const granted = await chrome.permissions.request({ origins: domainsWithoutAccess.map(getOriginPattern) });
+        await loadConfiguration();
+        if (granted) {
+            showStatus('Access granted', false);
+        } else {
+            showStatus(`Access was not granted; the extension won't work on those instances until it is`, true);
+        }
+    } catch (error) {
+        console.error('Error requesting access:', error);
+        showStatus('Error requesting access', true);
+    }
+}
+
+/**
+ * Ask Chrome for access to a configured domain and show the result
+ * @param {string} domain - The configured domain
+ */
+async function requestInstanceAccess(domain) {
+    try {
+        const granted = await chrome.permissions.request({ origins: [getOriginPattern(domain)] });
+        await loadConfiguration();
+        if (granted) {
+            showStatus(`Access granted for ${domain}`, false);
+        } else {
+            showStatus(`Access to ${domain} was not granted; the extension won't work there until it is`, true);
+        }
+    } catch (error) {
+        console.error('Error requesting access:', error);
+        showStatus('Error requesting access', true);
+    }
+}
+
+/**
+ * Split a comma-separated list of labels, dropping blanks and duplicates
+ * @param {string} text - e.g. "family, travel"
+ * @returns {string[]}
+ */
+function parseLabelList(text) {
+    const labels = text.split(',').map(label => label.trim()).filter(Boolean);
+    return labels.filter((label, index) =>
+        labels.findIndex(other => other.toLowerCase() === label.toLowerCase()) === index
+    );
+}
+
+/**
+ * Parse per-label defaults, one "label=priority" or "label=priority/uncertainty" per comma
+ * @param {string} text - e.g. "family=10, travel=5/20"
+ * @returns {Array<{labelName: string, priority: number, uncertainty?: number}>} Malformed entries
+ *   get a NaN priority so saving reports them
+ */
+function parseLabelDefaults(text) {
+    const entries = text.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const match = entry.match(/^(.+?)\s*=\s*(-?\d+)(?:\s*\/\s*(\d+))?$/);
+        if (!match) {
+            return { labelName: entry, priority: NaN };
+        }
+        const labelDefaults = { labelName: match[1], priority: parseInt(match[2], 10) };
+        if (match[3] !== undefined) {
+            labelDefaults.uncertainty = parseInt(match[3], 10);
+        }
+        return labelDefaults;
+    });
+    // A later entry for the same label wins
+    return entries.filter((entry, index) =>
+        entries.findLastIndex(other => other.labelName.toLowerCase() === entry.labelName.toLowerCase()) === index
+    );
+}
+
+/**
+ * Format per-label defaults for editing, the reverse of parseLabelDefaults
+ * @param {Array<Object>} labelDefaults - Per-label defaults of a profile
+ * @returns {string}
+ */
+function formatLabelDefaults(labelDefaults) {
+    return labelDefaults
+        .map(entry => `${entry.labelName}=${entry.priority}${entry.uncertainty !== undefined ? `/${entry.uncertainty}` : ''}`)
+        .join(', ');
+}
+
+/**
+ * Save the profile of a configured instance
+ * @param {string} domain - The configured domain
+ * @param {Object} settings - The new profile: displayName, color, writeMode, defaultLabels,
+ *   favoriteLabels, labelDefaults and the batch limits concurrency, requestsPerSecond and maxRetries
+ */
+async function saveInstanceSettings(domain, settings) {
+    if (!Number.isInteger(settings.concurrency) || settings.concurrency < 1) {
+        showStatus('Concurrency must be a whole number of at least 1', true);
+        return;
+    }
+    if (isNaN(settings.requestsPerSecond) || settings.requestsPerSecond < 0) {
+        showStatus('Requests per second must be 0 (unlimited) or more', true);
+        return;
+    }
+    if (!Number.isInteger(settings.maxRetries) || settings.maxRetries < 0) {
+        showStatus('Max retries must be a whole number of at least 0', true);
+        return;
+    }
+    if (!/^#[0-9a-f]{6}$/i.test(settings.color)) {
+        showStatus('Please choose a profile color', true);
+        return;
+    }
+    const invalidDefaults = settings.labelDefaults.find(entry =>
+        isNaN(entry.priority) || entry.uncertainty > 100);
+    if (invalidDefaults) {
+        showStatus(`Label default "${invalidDefaults.labelName}" must look like label=priority or label=priority/uncertainty (0-100)`, true);
+        return;
+    }
+    
+    try {
+        const result = await chrome.storage.local.get('pluginConfig');
+        const config = result.pluginConfig || DEFAULT_CONFIG;
+        const instanceSettings = { ...(config.instanceSettings || {}), [domain]: settings };
+        
+        await chrome.storage.local.set({ pluginConfig: { ...config, instanceSettings: instanceSettings } });
+        await loadConfiguration();
+        showStatus(`Profile saved for ${domain}`, false);
+    } catch (error) {
+        console.error('Error saving instance settings:', error);
+        showStatus('Error saving profile', true);
+    }
+}
+
 /**
  * Update content scripts with new configuration
  * @param {object} config - The new configuration
@@ -439,3 +787,423 @@ async function clearAllCache() {
     }
 }
 
+/**
+ * Show the browser commands with their keys and the editable quick-label slots
+ */
+async function loadShortcuts() {
+    try {
+        const commands = await chrome.commands.getAll();
+        const commandList = document.getElementById('command-list');
+        commandList.innerHTML = '';
+        
+        commands.forEach(command => {
+            const row = document.createElement('tr');
+            const keyCell = document.createElement('td');
+            const descriptionCell = document.createElement('td');
+            
+            if (command.shortcut) {
+                const key = document.createElement('kbd');
+                key.textContent = command.shortcut;
+                keyCell.appendChild(key);
+            } else {
+                keyCell.textContent = 'Not set';
+            }
+            descriptionCell.textContent = command.name === '_execute_action'
+                ? 'Open PhotoPrism Helper'
+                : command.description;
+            
+            row.appendChild(keyCell);
+            row.appendChild(descriptionCell);
+            commandList.appendChild(row);
+        });
+        
+        const result = await chrome.storage.local.get('pluginConfig');
+        const quickLabels = (result.pluginConfig || DEFAULT_CONFIG).quickLabels || [];
+        const quickLabelList = document.getElementById('quick-label-list');
+        quickLabelList.innerHTML = '';
+        
+        for (let slot = 1; slot <= QUICK_LABEL_SLOTS; slot++) {
+            const quickLabel = quickLabels[slot - 1] || {};
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><kbd>Alt+${slot}</kbd></td>
+                <td><input type="text" class="quick-label-input" placeholder="Favorite label ${slot}" autocomplete="off"></td>
+                <td>
+                    <select class="quick-label-action">
+                        <option value="add">Add</option>
+                        <option value="remove">Remove</option>
+                    </select>
+                </td>
+            `;
+            row.querySelector('.quick-label-input').value = quickLabel.labels || '';
+            row.querySelector('.quick-label-action').value = quickLabel.action || 'add';
+            quickLabelList.appendChild(row);
+        }
+    } catch (error) {
+        console.error('Error loading shortcuts:', error);
+        showStatus('Error loading shortcuts', true);
+    }
+}
+
+/**
+ * Save the quick-label slots
+ */
+async function saveQuickLabels() {
+    try {
+        const quickLabels = Array.from(document.querySelectorAll('#quick-label-list tr')).map(row => ({
+            labels: row.querySelector('.quick-label-input').value.trim(),
+            action: row.querySelector('.quick-label-action').value
+        }));
+        
+        const result = await chrome.storage.local.get('pluginConfig');
+        const config = result.pluginConfig || DEFAULT_CONFIG;
+        
+        await chrome.storage.local.set({ pluginConfig: { ...config, quickLabels: quickLabels } });
+        showStatus('Shortcuts saved', false);
+    } catch (error) {
+        console.error('Error saving shortcuts:', error);
+        showStatus('Error saving shortcuts', true);
+    }
+}
+
+/**
+ * Show the label rules for editing
+ */
+async function loadLabelRules() {
+    try {
+        const result = await chrome.storage.local.get('pluginConfig');
+        const rules = (result.pluginConfig || DEFAULT_CONFIG).labelRules || [];
+        
+        const fieldList = document.getElementById('rule-fields');
+        fieldList.innerHTML = '';
+        RULE_FIELD_SUGGESTIONS.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field;
+            fieldList.appendChild(option);
+        });
+        
+        const ruleList = document.getElementById('rule-list');
+        ruleList.innerHTML = '';
+        rules.forEach(rule => ruleList.appendChild(createRuleElement(rule)));
+    } catch (error) {
+        console.error('Error loading label rules:', error);
+        showStatus('Error loading label rules', true);
+    }
+}
+
+/**
+ * Build the editor of one label rule
+ * @param {Object} rule - The rule
+ * @returns {HTMLElement}
+ */
+function createRuleElement(rule) {
+    const ruleItem = document.createElement('div');
+    ruleItem.className = 'rule-item';
+    ruleItem.dataset.id = rule.id;
+    ruleItem.innerHTML = `
+        <div class="rule-header">
+            <input type="checkbox" class="rule-enabled" title="Enabled">
+            <input type="text" class="rule-name" placeholder="Rule name, e.g. Screenshots">
+            <button class="remove-btn rule-delete-btn">Delete</button>
+        </div>
+        <div class="rule-row">
+            If
+            <select class="rule-match">
+                <option value="all">all</option>
+                <option value="any">any</option>
+            </select>
+            of these conditions match:
+        </div>
+        <div class="rule-conditions"></div>
+        <button class="rule-add-row rule-add-condition">+ Condition</button>
+        <div class="rule-row">then</div>
+        <div class="rule-actions"></div>
+        <button class="rule-add-row rule-add-action">+ Label</button>
+    `;
+    
+    const enabledCheckbox = ruleItem.querySelector('.rule-enabled');
+    enabledCheckbox.checked = rule.enabled !== false;
+    ruleItem.classList.toggle('disabled', !enabledCheckbox.checked);
+    enabledCheckbox.addEventListener('change', () => ruleItem.classList.toggle('disabled', !enabledCheckbox.checked));
+    ruleItem.querySelector('.rule-name').value = rule.name || '';
+    ruleItem.querySelector('.rule-match').value = rule.match === 'any' ? 'any' : 'all';
+    
+    const conditionList = ruleItem.querySelector('.rule-conditions');
+    const actionList = ruleItem.querySelector('.rule-actions');
+    rule.conditions.forEach(condition => conditionList.appendChild(createConditionRow(condition)));
+    rule.actions.forEach(action => actionList.appendChild(createRuleActionRow(action)));
+    
+    ruleItem.querySelector('.rule-add-condition').addEventListener('click', () => {
+        conditionList.appendChild(createConditionRow({ field: '', operator: 'equals', value: '' }));
+    });
+    ruleItem.querySelector('.rule-add-action').addEventListener('click', () => {
+        actionList.appendChild(createRuleActionRow({ action: 'add', labelName: '' }));
+    });
+    ruleItem.querySelector('.rule-delete-btn').addEventListener('click', () => ruleItem.remove());
+    
+    return ruleItem;
+}
+
+/**
+ * Build the editor row of one rule condition
+ * @param {{field: string, operator: string, value: string}} condition - The condition
+ * @returns {HTMLElement}
+ */
+function createConditionRow(condition) {
+    const row = document.createElement('div');
+    row.className = 'rule-row rule-condition';
+    row.innerHTML = `
+        <input type="text" class="condition-field" list="rule-fields" placeholder="Field, e.g. Camera.Model">
+        <select class="condition-operator"></select>
+        <input type="text" class="condition-value" placeholder="Value">
+        <button class="rule-row-remove" title="Remove condition">&times;</button>
+    `;
+    
+    const operatorSelect = row.querySelector('.condition-operator');
+    const valueInput = row.querySelector('.condition-value');
+    Object.entries(RULE_OPERATORS).forEach(([operator, definition]) => {
+        const option = document.createElement('option');
+        option.value = operator;
+        option.textContent = definition.label;
+        operatorSelect.appendChild(option);
+    });
+    
+    row.querySelector('.condition-field').value = condition.field || '';
+    operatorSelect.value = condition.operator in RULE_OPERATORS ? condition.operator : 'equals';
+    valueInput.value = condition.value || '';
+    
+    const updateValueInput = () => {
+        valueInput.style.visibility = RULE_OPERATORS[operatorSelect.value].noValue ? 'hidden' : 'visible';
+    };
+    updateValueInput();
+    operatorSelect.addEventListener('change', updateValueInput);
+    row.querySelector('.rule-row-remove').addEventListener('click', () => row.remove());
+    
+    return row;
+}
+
+/**
+ * Build the editor row of one label a rule adds or removes
+ * @param {{action: string, labelName: string}} action - The label action
+ * @returns {HTMLElement}
+ */
+function createRuleActionRow(action) {
+    const row = document.createElement('div');
+    row.className = 'rule-row rule-action';
+    row.innerHTML = `
+        <select class="action-type">
+            <option value="add">Add label</option>
+            <option value="remove">Remove label</option>
+        </select>
+        <input type="text" class="action-label" placeholder="Label, e.g. screenshot">
+        <button class="rule-row-remove" title="Remove label">&times;</button>
+    `;
+    
+    row.querySelector('.action-type').value = action.action === 'remove' ? 'remove' : 'add';
+    row.querySelector('.action-label').value = action.labelName || '';
+    row.querySelector('.rule-row-remove').addEventListener('click', () => row.remove());
+    
+    return row;
+}
+
+/**
+ * Read the label rules from the editor
+ * @returns {Array<Object>}
+ */
+function readLabelRules() {
+    return Array.from(document.querySelectorAll('#rule-list .rule-item')).map(ruleItem => ({
+        id: ruleItem.dataset.id,
+        name: ruleItem.querySelector('.rule-name').value.trim(),
+        enabled: ruleItem.querySelector('.rule-enabled').checked,
+        match: ruleItem.querySelector('.rule-match').value,
+        conditions: Array.from(ruleItem.querySelectorAll('.rule-condition')).map(row => {
+            const operator = row.querySelector('.condition-operator').value;
+            return {
+                field: row.querySelector('.condition-field').value.trim(),
+                operator: operator,
+                value: RULE_OPERATORS[operator].noValue ? '' : row.querySelector('.condition-value').value.trim()
+            };
+        }),
+        actions: Array.from(ruleItem.querySelectorAll('.rule-action')).map(row => ({
+            action: row.querySelector('.action-type').value,
+            labelName: row.querySelector('.action-label').value.trim()
+        })).filter(action => action.labelName)
+    }));
+}
+
+/**
+ * Validate and save the label rules
+ */
+async function saveLabelRules() {
+    const rules = readLabelRules();
+    const errors = rules.flatMap(validateRule);
+    const errorList = document.getElementById('rule-errors');
+    
+    errorList.innerHTML = '';
+    errorList.style.display = errors.length > 0 ? 'block' : 'none';
+    if (errors.length > 0) {
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            errorList.appendChild(item);
+        });
+        showStatus('Please fix the label rules', true);
+        return;
+    }
+    
+    try {
+        const result = await chrome.storage.local.get('pluginConfig');
+        const config = result.pluginConfig || DEFAULT_CONFIG;
+        
+        await chrome.storage.local.set({ pluginConfig: { ...config, labelRules: rules } });
+        showStatus(`Saved ${rules.length} label rule(s)`, false);
+    } catch (error) {
+        console.error('Error saving label rules:', error);
+        showStatus('Error saving label rules', true);
+    }
+}
+
+/**
+ * Download the settings and per-instance data as a JSON bundle
+ */
+async function exportSettings() {
+    try {
+        const includeCredentials = document.getElementById('export-credentials').checked;
+        const bundle = await buildSettingsBundle({ includeCredentials });
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `photoprism-helper-settings-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showStatus(`Exported settings and data of ${Object.keys(bundle.instances).length} instance(s)`, false);
+    } catch (error) {
+        console.error('Error exporting settings:', error);
+        showStatus('Error exporting settings', true);
+    }
+}
+
+/**
+ * Read and validate the chosen import file, then let the user pick what to import
+ * @param {Event} event - Change event of the file input
+ */
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    const errorList = document.getElementById('import-errors');
+    
+    pendingImportBundle = null;
+    errorList.innerHTML = '';
+    errorList.style.display = 'none';
+    document.getElementById('import-panel').style.display = 'none';
+    document.getElementById('import-file-name').textContent = file ? file.name : '';
+    // Allow choosing the same file again after fixing it
+    event.target.value = '';
+    if (!file) return;
+    
+    let errors;
+    let bundle;
+    try {
+        bundle = JSON.parse(await file.text());
+        errors = validateSettingsBundle(bundle);
+    } catch (error) {
+        errors = [`The file is not valid JSON: ${error.message}`];
+    }
+    
+    if (errors.length > 0) {
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            errorList.appendChild(item);
+        });
+        errorList.style.display = 'block';
+        showStatus('The file cannot be imported', true);
+        return;
+    }
+    
+    pendingImportBundle = bundle;
+    showImportPanel(bundle);
+}
+
+/**
+ * Show what a bundle contains, with a checkbox per instance
+ * @param {Object} bundle - A validated settings bundle
+ */
+function showImportPanel(bundle) {
+    const instanceList = document.getElementById('import-instances');
+    const domainCount = (bundle.pluginConfig.allowedDomains || []).length;
+    
+    document.getElementById('import-summary').textContent =
+        `Exported ${new Date(bundle.exportedAt).toLocaleString()} from version ${bundle.extensionVersion || 'unknown'}: ` +
+        `${domainCount} configured instance(s).`;
+    document.getElementById('import-credentials-note').textContent =
+        bundle.credentials ? ' (includes logins)' : '';
+    
+    instanceList.innerHTML = '';
+    Object.entries(bundle.instances).forEach(([suffix, instance]) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = suffix;
+        checkbox.checked = true;
+        
+        const counts = [
+            [instance.data.recentLabels, 'recent labels'],
+            [instance.data.executionHistory, 'history entries'],
+            [instance.data.failedOperations, 'failed operations']
+        ].filter(([list]) => list).map(([list, name]) => `${list.length} ${name}`);
+        
+        label.appendChild(checkbox);
+        label.append(` ${instance.instanceId || suffix}` + (counts.length ? ` (${counts.join(', ')})` : ''));
+        instanceList.appendChild(label);
+    });
+    
+    if (instanceList.children.length === 0) {
+        instanceList.textContent = 'The file has no instance data.';
+    }
+    
+    document.getElementById('import-panel').style.display = 'block';
+}
+
+/**
+ * Import the pending bundle with the chosen instances and mode
+ */
+async function importSettings() {
+    if (!pendingImportBundle) return;
+    
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    const includeSettings = document.getElementById('import-include-settings').checked;
+    const instances = Array.from(document.querySelectorAll('#import-instances input:checked')).map(input => input.value);
+    
+    if (!includeSettings && instances.length === 0) {
+        showStatus('Nothing selected to import', true);
+        return;
+    }
+    if (mode === 'replace' &&
+        !confirm('Replace the existing settings and data of the selected instances? This cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        const result = await applySettingsBundle(pendingImportBundle, { mode, instances, includeSettings });
+        
+        if (result.settings) {
+            const { pluginConfig } = await chrome.storage.local.get('pluginConfig');
+            updateContentScripts(pluginConfig);
+            await loadConfiguration();
+            await loadDebugSettings();
+            await loadShortcuts();
+            await loadLabelRules();
+        }
+        
+        pendingImportBundle = null;
+        document.getElementById('import-panel').style.display = 'none';
+        document.getElementById('import-file-name').textContent = '';
+        showStatus(`Imported ${result.settings ? 'settings and ' : ''}data of ${result.instances} instance(s)`, false);
+    } catch (error) {
+        console.error('Error importing settings:', error);
+        showStatus('Error importing settings', true);
+    }
+}
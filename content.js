@@ -54,6 +54,7 @@ isPluginEnabled().then(enabled => {
     if (enabled) {
         console.log('PhotoPrism Helper enabled for this page');
         setupMessageListener();
+        startSelectionToolbar();
     } else {
         console.log('PhotoPrism Helper disabled for this page');
     }
@@ -63,18 +64,35 @@ function setupMessageListener() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         console.log('Content script received message:', request);
         
+        if (request.action === "ping") {
+            sendResponse({ success: true });
+            return;
+        }
+        
         if (request.action === "getPhotoPrismData") {
             handleGetPhotoPrismData(request, sender, sendResponse);
             return true;
         }
         
+        if (request.action === "runShortcut") {
+            runShortcut(request.shortcut, {
+                slot: request.slot,
+                labelText: request.labelText,
+                labelAction: request.labelAction
+            });
+            sendResponse({ success: true });
+            return;
+        }
+        
         if (request.action === "updateConfig") {
             console.log('Configuration updated, re-evaluating page enablement');
             isPluginEnabled().then(enabled => {
                 if (enabled) {
                     console.log('Plugin remains enabled after config update');
+                    startSelectionToolbar();
                 } else {
                     console.log('Plugin disabled after config update');
+                    stopSelectionToolbar();
                 }
             });
             sendResponse({ success: true });
@@ -99,20 +117,14 @@ async function handleGetPhotoPrismData(request, sender, sendResponse) {
         console.log('Found UIDs:', uids);
         console.log('Token found:', !!token);
 
-        if (token) {
-            sendResponse({
-                success: true,
-                data: {
-                    uids: uids,
-                    token: token
-                }
-            });
-        } else {
-            sendResponse({
-                success: false,
-                error: "Authentication token not found. Please log in to PhotoPrism."
-            });
-        }
+        // Without a session the popup falls back to credentials configured for the instance
+        sendResponse({
+            success: true,
+            data: {
+                uids: uids,
+                token: token
+            }
+        });
     } catch (e) {
         console.error('Error reading localStorage:', e);
         sendResponse({
@@ -121,3 +133,535 @@ async function handleGetPhotoPrismData(request, sender, sendResponse) {
         });
     }
 }
+
+// --- Selection Toolbar ---
+//
+// A floating toolbar with the popup's label controls, shown while photos are selected.
+// It lives in a shadow root so PhotoPrism's Vuetify styles and ours don't affect each other.
+// Jobs are submitted to the background worker like the popup's.
+
+// PhotoPrism keeps its selection in localStorage, whose changes fire no event in the
+// window that made them, so the selection is polled
+const SELECTION_POLL_INTERVAL = 500;
+const TOOLBAR_RECENT_LABELS = 5;
+const TOAST_DURATION = 4000;
+
+let toolbar = null;
+let selectionPollTimer = null;
+let lastSelection = null;
+let toolbarDismissed = false;
+
+// Jobs started with a keyboard shortcut or the context menu, whose result is shown as a toast
+const shortcutJobIds = new Set();
+
+/**
+ * Gets the instance identifier of this page, as the popup derives it from the tab URL
+ * @returns {string}
+ */
+function getPageInstanceId() {
+    return `${window.location.protocol}//${window.location.host}`;
+}
+
+/**
+ * Gets the storage key of this instance's data, like createInstanceKey in storage-utils.js
+ * @param {string} baseKey - Base storage key
+ * @returns {string}
+ */
+function getPageInstanceKey(baseKey) {
+    return `${baseKey}_${getPageInstanceId().replace(/[^a-zA-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Reads the UIDs of the photos selected in PhotoPrism
+ * @returns {string[]}
+ */
+function readSelectedUids() {
+    try {
+        const uids = JSON.parse(localStorage.getItem('clipboard.photos') || '[]');
+        return Array.isArray(uids) ? uids : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Injects the toolbar and starts following the selection, job progress and shortcut keys
+ */
+function startSelectionToolbar() {
+    if (selectionPollTimer) return;
+
+    toolbar = createToolbar();
+    document.body.appendChild(toolbar.host);
+    chrome.storage.onChanged.addListener(handleToolbarStorageChange);
+    document.addEventListener('keydown', handleShortcutKeydown, true);
+    selectionPollTimer = setInterval(checkSelection, SELECTION_POLL_INTERVAL);
+
+    chrome.storage.local.get([getPageInstanceKey('recentLabels'), getPageInstanceKey('activeJob')], result => {
+        displayToolbarRecentLabels(result[getPageInstanceKey('recentLabels')] || []);
+        displayToolbarJob(result[getPageInstanceKey('activeJob')]);
+    });
+    checkSelection();
+}
+
+/**
+ * Removes the toolbar, e.g. after the instance was removed from the configuration
+ */
+function stopSelectionToolbar() {
+    if (!selectionPollTimer) return;
+
+    clearInterval(selectionPollTimer);
+    selectionPollTimer = null;
+    chrome.storage.onChanged.removeListener(handleToolbarStorageChange);
+    document.removeEventListener('keydown', handleShortcutKeydown, true);
+    toolbar.host.remove();
+    toolbar = null;
+    lastSelection = null;
+}
+
+/**
+ * Builds the toolbar in a shadow root
+ * @returns {Object} The host element and the controls inside the shadow root
+ */
+function createToolbar() {
+    const host = document.createElement('div');
+    host.id = 'photoprism-helper-toolbar';
+    const root = host.attachShadow({ mode: 'closed' });
+
+    root.innerHTML = `
+        <style>
+            :host {
+                all: initial;
+            }
+            .toolbar {
+                position: fixed;
+                left: 50%;
+                bottom: 16px;
+                transform: translateX(-50%);
+                z-index: 2147483646;
+                display: none;
+                width: 360px;
+                padding: 8px 10px;
+                border-radius: 6px;
+                background: white;
+                color: #333;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+                font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+            .row {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
+            .title {
+                font-weight: bold;
+                flex: 1;
+            }
+            .close {
+                border: none;
+                background: none;
+                font-size: 16px;
+                color: #999;
+                cursor: pointer;
+            }
+            input {
+                flex: 1;
+                min-width: 0;
+                padding: 4px;
+                border: 1px solid #ccc;
+                border-radius: 4px;
+                font-size: 13px;
+            }
+            button.action {
+                padding: 5px 10px;
+                border: none;
+                border-radius: 4px;
+                color: white;
+                cursor: pointer;
+            }
+            .add {
+                background-color: #28a745;
+            }
+            .remove {
+                background-color: #dc3545;
+            }
+            button:disabled {
+                background-color: #6c757d;
+                cursor: not-allowed;
+            }
+            .recent {
+                margin-top: 5px;
+                font-size: 11px;
+                color: #666;
+            }
+            .recent span {
+                display: inline-block;
+                margin: 2px;
+                padding: 1px 6px;
+                border-radius: 3px;
+                background-color: #f0f0f0;
+                cursor: pointer;
+            }
+            .progress {
+                display: none;
+                height: 6px;
+                margin-top: 6px;
+                border-radius: 3px;
+                background-color: #e9ecef;
+                overflow: hidden;
+            }
+            .progress-bar {
+                width: 0;
+                height: 100%;
+                background-color: #007bff;
+                transition: width 0.2s;
+            }
+            .status {
+                margin-top: 4px;
+                font-size: 11px;
+                white-space: pre-line;
+            }
+            .status.error {
+                color: #dc3545;
+            }
+            .toast {
+                position: fixed;
+                left: 50%;
+                top: 16px;
+                transform: translateX(-50%);
+                z-index: 2147483647;
+                display: none;
+                max-width: 400px;
+                padding: 8px 12px;
+                border-radius: 4px;
+                background-color: #333;
+                color: white;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+                font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                white-space: pre-line;
+            }
+            .toast.error {
+                background-color: #dc3545;
+            }
+        </style>
+        <div class="toast"></div>
+        <div class="toolbar">
+            <div class="row">
+                <span class="title">PhotoPrism Helper · <span class="count">0</span> selected</span>
+                <button class="close" title="Hide until the selection changes">&times;</button>
+            </div>
+            <div class="row">
+                <input type="text" class="label-input" placeholder="beach, italy or +beach -unsorted" autocomplete="off">
+                <button class="action add">Add</button>
+                <button class="action remove">Remove</button>
+            </div>
+            <div class="recent"></div>
+            <div class="progress"><div class="progress-bar"></div></div>
+            <div class="status"></div>
+        </div>
+    `;
+
+    const elements = {
+        host: host,
+        container: root.querySelector('.toolbar'),
+        count: root.querySelector('.count'),
+        input: root.querySelector('.label-input'),
+        addBtn: root.querySelector('.add'),
+        removeBtn: root.querySelector('.remove'),
+        recent: root.querySelector('.recent'),
+        progress: root.querySelector('.progress'),
+        progressBar: root.querySelector('.progress-bar'),
+        status: root.querySelector('.status'),
+        toast: root.querySelector('.toast'),
+        toastTimer: null
+    };
+
+    elements.addBtn.addEventListener('click', () => submitToolbarAction('add'));
+    elements.removeBtn.addEventListener('click', () => submitToolbarAction('remove'));
+    elements.input.addEventListener('keydown', (e) => {
+        // Keep PhotoPrism's keyboard shortcuts from firing while typing
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            submitToolbarAction('add');
+        }
+    });
+    root.querySelector('.close').addEventListener('click', () => {
+        toolbarDismissed = true;
+        elements.container.style.display = 'none';
+    });
+
+    return elements;
+}
+
+/**
+ * Updates the toolbar when the selection changes; shows it while photos are selected
+ */
+function checkSelection() {
+    const selection = localStorage.getItem('clipboard.photos') || '[]';
+    if (selection === lastSelection) return;
+
+    lastSelection = selection;
+    toolbarDismissed = false;
+    const count = readSelectedUids().length;
+    toolbar.count.textContent = count;
+    toolbar.container.style.display = count > 0 ? 'block' : 'none';
+}
+
+/**
+ * Follows recent labels and job progress of this instance
+ * @param {Object} changes - Changed storage keys
+ * @param {string} areaName - Storage area
+ */
+function handleToolbarStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !toolbar) return;
+
+    const recentLabels = changes[getPageInstanceKey('recentLabels')];
+    if (recentLabels) {
+        displayToolbarRecentLabels(recentLabels.newValue || []);
+    }
+    const activeJob = changes[getPageInstanceKey('activeJob')];
+    if (activeJob) {
+        displayToolbarJob(activeJob.newValue);
+
+        const job = activeJob.newValue;
+        if (job?.result && shortcutJobIds.delete(job.id)) {
+            showToast(describeJobResult(job), job.result.failedCount > 0 || !!job.result.error);
+        }
+    }
+}
+
+/**
+ * Shows recent labels as clickable tags
+ * @param {string[]} labels - Recent label names, newest first
+ */
+function displayToolbarRecentLabels(labels) {
+    toolbar.recent.textContent = labels.length > 0 ? 'Recent: ' : '';
+
+    labels.slice(0, TOOLBAR_RECENT_LABELS).forEach(label => {
+        const tag = document.createElement('span');
+        tag.textContent = label;
+        tag.addEventListener('click', () => {
+            toolbar.input.value = label;
+            toolbar.input.focus();
+        });
+        toolbar.recent.appendChild(tag);
+    });
+}
+
+/**
+ * Shows a message below the toolbar controls
+ * @param {string} message - The message
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function setToolbarStatus(message, isError = false) {
+    toolbar.status.textContent = message;
+    toolbar.status.classList.toggle('error', isError);
+}
+
+/**
+ * Shows the progress or result of the instance's background job
+ * @param {Object} activeJob - Progress snapshot written by the background worker
+ */
+function displayToolbarJob(activeJob) {
+    if (!activeJob) return;
+
+    const running = activeJob.status === 'queued' || activeJob.status === 'running';
+    toolbar.addBtn.disabled = running;
+    toolbar.removeBtn.disabled = running;
+    toolbar.progress.style.display = running ? 'block' : 'none';
+
+    if (running) {
+        const percentage = activeJob.total > 0 ? (activeJob.processed / activeJob.total) * 100 : 0;
+        toolbar.progressBar.style.width = `${percentage}%`;
+        setToolbarStatus(`${activeJob.description}: ${activeJob.processed} / ${activeJob.total}`);
+        if (!toolbarDismissed) {
+            toolbar.container.style.display = 'block';
+        }
+        return;
+    }
+
+    if (activeJob.result) {
+        setToolbarStatus(describeJobResult(activeJob), activeJob.result.failedCount > 0 || !!activeJob.result.error);
+    }
+}
+
+/**
+ * Summarizes the result of a finished job
+ * @param {Object} activeJob - Progress snapshot with the job's result
+ * @returns {string} e.g. "+beach: 10 succeeded, 2 failed"
+ */
+function describeJobResult(activeJob) {
+    const result = activeJob.result;
+
+    let message = `${activeJob.description}: ${result.successCount} succeeded`;
+    if (result.unchangedCount > 0) {
+        message += `, ${result.unchangedCount} unchanged`;
+    }
+    if (result.failedCount > 0) {
+        message += `, ${result.failedCount} failed (retry from the extension popup)`;
+    }
+    if (result.error) {
+        message += `\n${result.error}`;
+    }
+    return message;
+}
+
+/**
+ * Submits the entered labels for the selected photos to the background worker,
+ * honouring the instance profile's write safety setting
+ * @param {'add' | 'remove'} action - Action for labels without a +/- prefix
+ */
+async function submitToolbarAction(action) {
+    const labelText = toolbar.input.value.trim();
+    const uids = readSelectedUids();
+
+    if (!labelText) {
+        setToolbarStatus('Please enter a label name.', true);
+        return;
+    }
+    if (uids.length === 0) {
+        setToolbarStatus('No photos selected.', true);
+        return;
+    }
+
+    try {
+        const jobId = await submitLabelJob(labelText, action, uids);
+        if (!jobId) return;
+        toolbar.input.value = '';
+        setToolbarStatus(`Processing ${uids.length} photos...`);
+    } catch (error) {
+        setToolbarStatus(error.message, true);
+    }
+}
+
+/**
+ * Asks the background worker to run label operations on photos of this instance.
+ * @param {string} labelText - Labels as typed in the popup, e.g. "+beach -unsorted"
+ * @param {'add' | 'remove'} action - Action for labels without a +/- prefix
+ * @param {string[]} uids - Photo UIDs
+ * @returns {Promise<?string>} The queued job ID, or null if the user cancelled
+ */
+async function submitLabelJob(labelText, action, uids) {
+    return submitPageJob('submitLabelJob', { labelText: labelText, labelAction: action }, `${action} "${labelText}"`, uids);
+}
+
+/**
+ * Submits a job for photos of this instance to the background worker. Profiles set to
+ * confirm changes ask first; read-only profiles are refused by the worker.
+ * @param {'submitJob' | 'submitLabelJob'} messageAction - Worker message to send
+ * @param {Object} jobFields - Operations, or label text and action for submitLabelJob
+ * @param {string} description - What the job does, for the confirmation
+ * @param {string[]} uids - Photo UIDs
+ * @returns {Promise<?string>} The queued job ID, or null if the user cancelled
+ */
+async function submitPageJob(messageAction, jobFields, description, uids) {
+    const instanceId = getPageInstanceId();
+    const profile = await chrome.runtime.sendMessage({ action: 'getInstanceProfile', instanceId: instanceId });
+
+    if (profile?.success && profile.writeMode === 'confirm' &&
+        !confirm(`${profile.name}: ${description} on ${uids.length} photos. Continue?`)) {
+        return null;
+    }
+
+    const response = await chrome.runtime.sendMessage({
+        action: messageAction,
+        job: {
+            ...jobFields,
+            instanceId: instanceId,
+            uids: uids,
+            // The worker switches to credentials configured for the instance, if any
+            token: localStorage.getItem('session.token')
+        }
+    });
+    if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not start the background job.');
+    }
+    return response.jobId;
+}
+
+// --- Keyboard Shortcuts ---
+
+/**
+ * Runs a quick-label slot on Alt+1 to Alt+9 (see getQuickLabelShortcutSlot)
+ * @param {KeyboardEvent} e - The key event
+ */
+function handleShortcutKeydown(e) {
+    const slot = getQuickLabelShortcutSlot(e);
+    if (slot === null) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    runShortcut('quickLabel', { slot: slot });
+}
+
+/**
+ * Runs a keyboard shortcut or context menu item on the selected photos and confirms it with a toast
+ * @param {'quickLabel' | 'label' | 'repeatLastAction'} shortcut - The shortcut
+ * @param {{slot?: number, labelText?: string, labelAction?: string}} [options] - Quick-label slot
+ *   number, or the labels and action of a context menu item
+ */
+async function runShortcut(shortcut, options = {}) {
+    const slot = options.slot;
+    if (!toolbar) return;
+
+    const instanceId = getPageInstanceId();
+    const uids = readSelectedUids();
+    if (uids.length === 0) {
+        showToast('Select photos first.', true);
+        return;
+    }
+
+    try {
+        let jobId;
+        let description;
+
+        if (shortcut === 'quickLabel') {
+            const response = await chrome.runtime.sendMessage({ action: 'getQuickLabel', instanceId: instanceId, slot: slot });
+            if (!response?.success) {
+                throw new Error(response?.error || 'Could not read the shortcut settings.');
+            }
+            if (!response.quickLabel) {
+                showToast(`Alt+${slot} has no label. Set one under Keyboard Shortcuts in the extension settings.`, true);
+                return;
+            }
+            const { labelText, action } = response.quickLabel;
+            description = `${action === 'add' ? 'Adding' : 'Removing'} "${labelText}"`;
+            jobId = await submitLabelJob(labelText, action, uids);
+        } else if (shortcut === 'label' && options.labelText) {
+            description = `${options.labelAction === 'remove' ? 'Removing' : 'Adding'} "${options.labelText}"`;
+            jobId = await submitLabelJob(options.labelText, options.labelAction, uids);
+        } else if (shortcut === 'repeatLastAction') {
+            const response = await chrome.runtime.sendMessage({ action: 'getLastAction', instanceId: instanceId });
+            const lastAction = response?.lastAction;
+            if (!lastAction) {
+                showToast('Nothing to repeat yet.', true);
+                return;
+            }
+            description = `Repeating ${lastAction.description}`;
+            jobId = await submitPageJob('submitJob', { operations: lastAction.operations }, lastAction.description, uids);
+        } else {
+            return;
+        }
+
+        if (!jobId) return;
+        shortcutJobIds.add(jobId);
+        showToast(`${description} on ${uids.length} photos...`);
+    } catch (error) {
+        showToast(error.message, true);
+    }
+}
+
+/**
+ * Shows a short message at the top of the page
+ * @param {string} message - The message
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function showToast(message, isError = false) {
+    const toast = toolbar.toast;
+    clearTimeout(toolbar.toastTimer);
+    toast.textContent = message;
+    toast.classList.toggle('error', isError);
+    toast.style.display = 'block';
+    toolbar.toastTimer = setTimeout(() => {
+        toast.style.display = 'none';
+    }, TOAST_DURATION);
+}
@@ -0,0 +1,157 @@
+// history.js - Audit log page: filter, browse and export per-photo operation results
+
+// Rows rendered at most; exports always include every matching entry
+const MAX_DISPLAYED_ROWS = 1000;
+
+// Entries matching the current filters
+let filteredEntries = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadInstances();
+
+    document.querySelectorAll('.filters input, .filters select').forEach(input => {
+        input.addEventListener(input.tagName === 'SELECT' || input.type === 'date' ? 'change' : 'input', refreshEntries);
+    });
+    document.getElementById('export-csv-btn').addEventListener('click', () => exportEntries('csv'));
+    document.getElementById('export-json-btn').addEventListener('click', () => exportEntries('json'));
+    document.getElementById('clear-log-btn').addEventListener('click', clearLog);
+
+    // Links may narrow the log down to a photo, e.g. history.html?instance=...&uid=...
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('uid')) {
+        document.getElementById('uid-filter').value = params.get('uid');
+    }
+
+    await refreshEntries();
+});
+
+/**
+ * Fills the instance filter with every instance that has audit entries
+ */
+async function loadInstances() {
+    const select = document.getElementById('instance-filter');
+    const instances = await getAuditInstances();
+    const requested = new URLSearchParams(window.location.search).get('instance');
+
+    select.innerHTML = '';
+    instances.forEach(instanceId => {
+        const option = document.createElement('option');
+        option.value = instanceId;
+        option.textContent = instanceId;
+        select.appendChild(option);
+    });
+
+    if (requested && instances.includes(requested)) {
+        select.value = requested;
+    }
+}
+
+/**
+ * Reads the filter inputs
+ * @returns {Object} Filters for queryAuditEntries
+ */
+function getFilters() {
+    const from = document.getElementById('from-filter').value;
+    const to = document.getElementById('to-filter').value;
+
+    return {
+        target: document.getElementById('target-filter').value,
+        uid: document.getElementById('uid-filter').value,
+        type: document.getElementById('type-filter').value,
+        action: document.getElementById('action-filter').value,
+        outcome: document.getElementById('outcome-filter').value,
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : ''
+    };
+}
+
+/**
+ * Queries the audit log with the current filters and renders the result
+ */
+async function refreshEntries() {
+    const instanceId = document.getElementById('instance-filter').value;
+
+    try {
+        filteredEntries = instanceId ? await queryAuditEntries(instanceId, getFilters()) : [];
+    } catch (error) {
+        console.error('Error reading audit log:', error);
+        filteredEntries = [];
+    }
+
+    displayEntries(filteredEntries);
+}
+
+/**
+ * Renders audit entries as table rows
+ * @param {Array<Object>} entries - Entries to show
+ */
+function displayEntries(entries) {
+    const tbody = document.getElementById('audit-rows');
+    tbody.innerHTML = '';
+
+    entries.slice(0, MAX_DISPLAYED_ROWS).forEach(entry => {
+        const row = document.createElement('tr');
+        const cells = [
+            new Date(entry.timestamp).toLocaleString(),
+            entry.type,
+            entry.action,
+            entry.target,
+            entry.uid,
+            entry.outcome,
+            entry.status ?? '',
+            entry.error || '',
+            entry.executionId
+        ];
+
+        cells.forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index === 4) cell.className = 'uid';
+            if (index === 5) cell.className = `outcome-${entry.outcome}`;
+            row.appendChild(cell);
+        });
+
+        tbody.appendChild(row);
+    });
+
+    const countText = entries.length > MAX_DISPLAYED_ROWS
+        ? `${entries.length} entries (showing the newest ${MAX_DISPLAYED_ROWS})`
+        : `${entries.length} entries`;
+    document.getElementById('result-count').textContent = countText;
+    document.getElementById('empty-audit').style.display = entries.length === 0 ? 'block' : 'none';
+}
+
+/**
+ * Downloads the entries matching the current filters
+ * @param {'csv' | 'json'} format - Export format
+ */
+function exportEntries(format) {
+    const content = format === 'csv'
+        ? auditEntriesToCsv(filteredEntries)
+        : JSON.stringify(filteredEntries, null, 2);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `photoprism-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Deletes the audit log of the selected instance after confirmation
+ */
+async function clearLog() {
+    const instanceId = document.getElementById('instance-filter').value;
+    if (!instanceId || !confirm(`Delete the whole audit log of ${instanceId}? This cannot be undone.`)) return;
+
+    try {
+        await clearAuditLog(instanceId);
+        await loadInstances();
+        await refreshEntries();
+    } catch (error) {
+        console.error('Error clearing audit log:', error);
+    }
+}
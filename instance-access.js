@@ -0,0 +1,92 @@
+// instance-access.js - Host access and PhotoPrism detection shared by the popup, config page and worker
+//
+// The extension has no blanket host access: each configured instance is granted through
+// optional host permissions, and the content script is registered only for instances
+// that are both configured and granted (see syncContentScripts in background.js).
+
+/**
+ * Gets the match pattern covering every page of a configured domain.
+ * @param {string} domain - Configured domain, e.g. https://photos.example.com or https://*.example.com
+ * @returns {string|null} e.g. https://photos.example.com/*, or null if Chrome can't express the domain
+ */
+function getOriginPattern(domain) {
+    const pattern = `${domain}/*`;
+    // Chrome only allows a wildcard as the whole host or as its first label
+    return /^https?:\/\/(\*|(\*\.)?[^*/]+)\/\*$/.test(pattern) ? pattern : null;
+}
+
+/**
+ * Checks whether the extension may access a configured domain.
+ * @param {string} domain - Configured domain
+ * @returns {Promise<boolean>}
+ */
+async function hasInstanceAccess(domain) {
+    const pattern = getOriginPattern(domain);
+    return !!pattern && chrome.permissions.contains({ origins: [pattern] });
+}
+
+/**
+ * Finds configured instances the extension may not access. Versions before optional host
+ * permissions could access every site, so instances set up then lack access after the update.
+ * Wildcard domains are left out: they were never covered by a single grant.
+ * @param {string[]} domains - Configured domains
+ * @returns {Promise<string[]>} Domains still waiting for access
+ */
+async function getInstancesWithoutAccess(domains) {
+    const missing = [];
+    for (const domain of domains) {
+        if (domain.includes('*')) continue;
+        if (!await hasInstanceAccess(domain)) {
+            missing.push(domain);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Looks for signs of PhotoPrism in a tab: the client config PhotoPrism embeds in its pages,
+ * its page markup and its status endpoint. Needs access to the tab, which the activeTab
+ * permission grants while the popup is open.
+ * @param {number} tabId - Tab to check
+ * @returns {Promise<{detected: boolean, signals: string[], version: ?string}>}
+ */
+async function detectPhotoPrism(tabId) {
+    const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        // The client config is a page variable, so the check runs in the page's own world
+        world: 'MAIN',
+        func: fingerprintPhotoPrism
+    });
+    return injection?.result || { detected: false, signals: [], version: null };
+}
+
+/**
+ * Runs in the page: collects PhotoPrism fingerprints. Must not use anything outside its body.
+ * @returns {Promise<{detected: boolean, signals: string[], version: ?string}>}
+ */
+async function fingerprintPhotoPrism() {
+    const signals = [];
+    const config = window.__CONFIG__;
+
+    if (config && typeof config === 'object' && /photoprism/i.test(`${config.name} ${config.about} ${config.edition}`)) {
+        signals.push('client config');
+    }
+    if (document.querySelector('#photoprism, meta[name="application-name"][content*="PhotoPrism" i]')) {
+        signals.push('page markup');
+    }
+    try {
+        const response = await fetch('/api/v1/status', { credentials: 'omit' });
+        const status = await response.json();
+        if (status && status.status === 'operational') {
+            signals.push('status endpoint');
+        }
+    } catch (error) {
+        // Not a PhotoPrism API
+    }
+
+    return {
+        detected: signals.length > 0,
+        signals: signals,
+        version: config && typeof config.version === 'string' ? config.version : null
+    };
+}
@@ -0,0 +1,694 @@
+// job-utils.js - Batch processing and result bookkeeping shared by the popup and background worker
+//
+// Every function here takes an explicit instanceId (the PhotoPrism base URL) because the
+// background worker has no "current tab" to derive it from.
+
+// --- Batch Settings ---
+
+// Defaults used when an instance has no batch settings on the config page
+const DEFAULT_BATCH_SETTINGS = {
+    concurrency: 4,
+    requestsPerSecond: 10,
+    maxRetries: 3
+};
+
+// Backoff delay bounds for retried requests, in milliseconds
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 30000;
+
+/**
+ * Gets the batch settings configured for an instance, falling back to defaults.
+ * Wildcard instance patterns (e.g. https://*.example.com) apply when there is no exact entry.
+ * @param {string} instanceId - Instance identifier
+ * @returns {Promise<{concurrency: number, requestsPerSecond: number, maxRetries: number}>}
+ */
+async function getBatchSettings(instanceId) {
+    const result = await chrome.storage.local.get('pluginConfig');
+    const settings = findInstanceEntry(result.pluginConfig?.instanceSettings || {}, instanceId);
+
+    return { ...DEFAULT_BATCH_SETTINGS, ...settings };
+}
+
+/**
+ * Checks whether a failed request is worth retrying (rate limited, server error, timeout or network error).
+ * @param {Error} error - Error thrown by an API function
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    return error instanceof PhotoPrismApiError && error.retryable;
+}
+
+/**
+ * Calculates how long to wait before the next retry, using exponential backoff with jitter.
+ * A Retry-After header from the server takes precedence.
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Error} error - The error that triggered the retry
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, error) {
+    const retryAfterSeconds = parseInt(error.retryAfter, 10);
+    if (!isNaN(retryAfterSeconds)) {
+        return Math.min(retryAfterSeconds * 1000, RETRY_MAX_DELAY);
+    }
+
+    const exponentialDelay = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempt), RETRY_MAX_DELAY);
+    return exponentialDelay / 2 + Math.random() * exponentialDelay / 2;
+}
+
+/**
+ * Resolves after the given number of milliseconds.
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a throttle that spaces out request starts to a maximum rate.
+ * @param {number} requestsPerSecond - Maximum request starts per second (0 for unlimited)
+ * @returns {function(): Promise<void>} Resolves when the next request may start
+ */
+function createThrottle(requestsPerSecond) {
+    const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    let nextSlot = 0;
+
+    return async () => {
+        if (!interval) return;
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + interval;
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    };
+}
+
+// --- Batch Processing ---
+
+/**
+ * Processes an array of UIDs with a given API function, reporting progress along the way.
+ * At most `concurrency` requests run at once, request starts are spaced to `requestsPerSecond`,
+ * and rate-limited or server errors are retried with exponential backoff.
+ * @param {string[]} uids - Array of photo UIDs.
+ * @param {function(string): Promise<any>} apiFn - The API function to call for each UID.
+ * @param {function(string, boolean, Error=): void} [onItemDone] - Called after each UID with its outcome.
+ * @param {{concurrency: number, requestsPerSecond: number, maxRetries: number}} [settings] - Batch limits.
+ * @returns {Promise<{successCount: number, failedCount: number, failedUids: string[]}>} - Object with success, failed counts and failed UIDs
+ */
+async function batchProcess(uids, apiFn, onItemDone = () => {}, settings = DEFAULT_BATCH_SETTINGS) {
+    let successCount = 0;
+    let failedCount = 0;
+    const failedUids = [];
+    const queue = [...uids];
+    const throttle = createThrottle(settings.requestsPerSecond);
+
+    console.log(`Starting batch process for ${uids.length} photos ` +
+        `(concurrency: ${settings.concurrency}, rate: ${settings.requestsPerSecond}/s, retries: ${settings.maxRetries})`);
+
+    const callWithRetry = async (uid) => {
+        for (let attempt = 0; ; attempt++) {
+            await throttle();
+            try {
+                return await apiFn(uid);
+            } catch (err) {
+                if (attempt >= settings.maxRetries || !isRetryableError(err)) {
+                    throw err;
+                }
+                const delay = getRetryDelay(attempt, err);
+                console.warn(`Retrying UID: ${uid} in ${Math.round(delay)}ms (status ${err.status}, attempt ${attempt + 1}/${settings.maxRetries})`);
+                await sleep(delay);
+            }
+        }
+    };
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const uid = queue.shift();
+            try {
+                await callWithRetry(uid);
+                successCount++;
+                onItemDone(uid, true);
+            } catch (err) {
+                console.error(`Failed for UID: ${uid}, Error: ${err.message}`);
+                failedCount++;
+                failedUids.push(uid);
+                onItemDone(uid, false, err);
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(settings.concurrency, queue.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    console.log(`Batch process finished. Success: ${successCount}, Failed: ${failedCount}`);
+
+    return { successCount, failedCount, failedUids };
+}
+
+// --- Label Operations ---
+
+/**
+ * Parses multi-label input into label operations.
+ * Labels are separated by commas; a leading "+" or "-" forces add or remove,
+ * so "+beach -unsorted" mixes both. Unsigned labels use the default action.
+ * A label listed twice keeps its last action.
+ * @param {string} text - Raw label input (e.g. "beach, italy" or "+beach -unsorted")
+ * @param {'add' | 'remove' | null} defaultAction - Action for labels without a sign (null leaves it open, e.g. for previews)
+ * @returns {Array<{action: 'add' | 'remove' | null, labelName: string}>}
+ */
+function parseLabelOperations(text, defaultAction) {
+    const operations = [];
+
+    text.split(',').forEach(part => {
+        // Split "+beach -unsorted" on whitespace before a sign, keeping names like "sci-fi" intact
+        part.trim().split(/\s+(?=[+-])/).forEach(token => {
+            let action = defaultAction;
+            let labelName = token.trim();
+
+            if (labelName.startsWith('+')) {
+                action = 'add';
+                labelName = labelName.slice(1).trim();
+            } else if (labelName.startsWith('-')) {
+                action = 'remove';
+                labelName = labelName.slice(1).trim();
+            }
+
+            if (!labelName) return;
+
+            const existingIndex = operations.findIndex(op => op.labelName.toLowerCase() === labelName.toLowerCase());
+            if (existingIndex >= 0) {
+                operations.splice(existingIndex, 1);
+            }
+            operations.push({ action, labelName });
+        });
+    });
+
+    return operations;
+}
+
+/**
+ * Works out which photos carry each label, to preview what an operation would change.
+ * @param {Array<{action: string, labelName: string}>} operations - Label operations
+ * @param {Object<string, Object>} photos - Photo details keyed by UID
+ * @returns {Array<{action: string, labelName: string, withLabel: string[], withoutLabel: string[]}>}
+ */
+function buildLabelPreview(operations, photos) {
+    return operations.map(operation => {
+        const withLabel = [];
+        const withoutLabel = [];
+
+        Object.entries(photos).forEach(([uid, photo]) => {
+            if (findPhotoLabel(photo, operation.labelName)) {
+                withLabel.push(uid);
+            } else {
+                withoutLabel.push(uid);
+            }
+        });
+
+        return { action: operation.action, labelName: operation.labelName, withLabel, withoutLabel };
+    });
+}
+
+// --- Operations ---
+//
+// A job runs a list of operations over photo UIDs. Each operation has a `type`
+// ('label' when omitted, 'album', 'flag' or 'metadata') and an `action` ('add' or 'remove').
+// Label operations carry `labelName`, and adds an optional `priority` and `uncertainty`
+// (0-100). The label action 'upgrade' re-adds a label the classifier assigned so it becomes a
+// manual label; photos without it, or with a manual one, are left alone. Album operations carry
+// `albumUid` and `albumTitle`;
+// flag operations carry `flag`, where 'add' sets the flag and 'remove' clears it.
+// Metadata operations use the action 'update' and carry `edits` (see metadata-utils.js),
+// or `restoreValues` with a photo update per UID when they undo an earlier edit.
+// Label catalog operations change the labels themselves (see the Label Manager page):
+// 'rename' carries `labelUid`, `labelName` and `newName`, 'delete' carries `labelNames`
+// by label UID, and both run on label UIDs instead of photo UIDs. 'merge' runs on photos,
+// moving them from the `sources` labels ({id, uid, name}) to the label `labelName`.
+
+// Photo flags that can be batch edited, with the name of setting and clearing each one
+const PHOTO_FLAGS = {
+    favorite: { add: 'Favorite', remove: 'Unfavorite' },
+    private: { add: 'Private', remove: 'Public' },
+    archive: { add: 'Archive', remove: 'Restore' },
+    approve: { add: 'Approve' }
+};
+
+/**
+ * Gets a key identifying what an operation does, used to match failed operations with their retries.
+ * @param {Object} operation - Operation (or failed operation / history breakdown entry)
+ * @returns {string}
+ */
+function getOperationKey(operation) {
+    const type = operation.type || 'label';
+    const target = {
+        album: operation.albumUid,
+        flag: operation.flag,
+        metadata: JSON.stringify(operation.edits) + (operation.restoreValues ? ':restore' : ''),
+        labelCatalog: { rename: operation.labelUid, delete: 'labels' }[operation.action]
+    }[type] ?? operation.labelName.toLowerCase() + (operation.restoreLabels ? ':restore' : '');
+    return `${type}:${operation.action}:${target}`;
+}
+
+/**
+ * Picks the fields that describe what an operation does, e.g. to resubmit it for a retry.
+ * @param {Object} operation - Operation (or failed operation / history breakdown entry)
+ * @returns {Object} Operation without progress or result fields
+ */
+function getOperationDefinition(operation) {
+    const type = operation.type || 'label';
+    if (type === 'album') {
+        return { type, action: operation.action, albumUid: operation.albumUid, albumTitle: operation.albumTitle };
+    }
+    if (type === 'flag') {
+        return { type, action: operation.action, flag: operation.flag };
+    }
+    if (type === 'metadata') {
+        const definition = { type, action: operation.action, edits: operation.edits };
+        if (operation.restoreValues) {
+            definition.restoreValues = operation.restoreValues;
+        }
+        return definition;
+    }
+    if (type === 'labelCatalog') {
+        if (operation.action === 'rename') {
+            return { type, action: operation.action, labelUid: operation.labelUid, labelName: operation.labelName, newName: operation.newName };
+        }
+        if (operation.action === 'merge') {
+            return { type, action: operation.action, labelName: operation.labelName, sources: operation.sources };
+        }
+        return { type, action: operation.action, labelNames: operation.labelNames };
+    }
+    const definition = { type, action: operation.action, labelName: operation.labelName };
+    if (operation.priority !== undefined) {
+        definition.priority = operation.priority;
+    }
+    if (operation.uncertainty !== undefined) {
+        definition.uncertainty = operation.uncertainty;
+    }
+    if (operation.restoreLabels) {
+        definition.restoreLabels = operation.restoreLabels;
+    }
+    return definition;
+}
+
+/**
+ * Describes a single operation's target.
+ * @param {Object} operation - Operation
+ * @param {boolean} [withSign] - Prefix "+", "-" or "↑" (upgrade) for the action
+ * @returns {string} e.g. "beach", "+beach", "+album:Italy 2024", "Unfavorite" or "beaches → beach"
+ *   (flags and label catalog changes carry no sign)
+ */
+function describeOperation(operation, withSign = false) {
+    if (operation.type === 'labelCatalog') {
+        if (operation.action === 'rename') {
+            return `${operation.labelName} → ${operation.newName}`;
+        }
+        if (operation.action === 'merge') {
+            return `${operation.sources.map(source => source.name).join(', ')} → ${operation.labelName}`;
+        }
+        return Object.values(operation.labelNames || {}).join(', ');
+    }
+    if (operation.type === 'flag') {
+        return PHOTO_FLAGS[operation.flag]?.[operation.action] || `${operation.action} ${operation.flag}`;
+    }
+    if (operation.type === 'metadata') {
+        return `${operation.restoreValues ? 'Restore: ' : ''}${describeMetadataEdits(operation.edits)}`;
+    }
+    const sign = withSign ? ({ add: '+', remove: '-', upgrade: '↑' }[operation.action] || '') : '';
+    if (operation.type === 'album') {
+        return `${sign}album:${operation.albumTitle}`;
+    }
+    return `${sign}${operation.labelName}`;
+}
+
+/**
+ * Describes operations for status and history display.
+ * @param {Array<Object>} operations - Operations
+ * @returns {string} The target of a single operation, otherwise e.g. "+beach, -unsorted"
+ */
+function describeOperations(operations) {
+    if (operations.length === 1) {
+        return operations[0].type === 'album' ? operations[0].albumTitle : describeOperation(operations[0]);
+    }
+    return operations.map(op => describeOperation(op, true)).join(', ');
+}
+
+// --- Execution History ---
+
+// History entries kept per instance
+const MAX_EXECUTION_HISTORY = 50;
+
+/**
+ * Saves an execution result to history
+ * @param {Object} executionResult - The execution result to save
+ * @param {string} instanceId - Instance identifier
+ * @returns {Promise<Object>} The saved result with its history ID
+ */
+async function saveExecutionResult(executionResult, instanceId) {
+    const resultWithId = {
+        ...executionResult,
+        id: Date.now().toString()
+    };
+
+    let executionHistory = await getInstanceData('executionHistory', [], instanceId);
+
+    // Add to beginning of history (most recent first)
+    executionHistory.unshift(resultWithId);
+
+    // Keep only the most recent executions
+    executionHistory = executionHistory.slice(0, MAX_EXECUTION_HISTORY);
+
+    await setInstanceData('executionHistory', executionHistory, instanceId);
+    return resultWithId;
+}
+
+/**
+ * Marks a history entry as undone so it can't be undone twice
+ * @param {string} executionId - ID of the history entry
+ * @param {string} instanceId - Instance identifier
+ */
+async function markExecutionUndone(executionId, instanceId) {
+    const executionHistory = await getInstanceData('executionHistory', [], instanceId);
+    const entry = executionHistory.find(item => item.id === executionId);
+
+    if (entry) {
+        entry.undoneAt = new Date().toISOString();
+        await setInstanceData('executionHistory', executionHistory, instanceId);
+    }
+}
+
+/**
+ * Builds the operations that reverse a history entry: labels that were added are
+ * removed, and labels that were removed are re-added with their original priority and
+ * uncertainty. Album and flag changes are reversed the same way, except approvals, and
+ * metadata edits are reverted to the values saved before the edit. Renamed labels get their
+ * old name back and merged photos are moved back to their source labels; deleted labels
+ * can't be restored. Only photos where the original operation succeeded are touched, and a
+ * label removal, flag change or metadata edit is only reversed on photos it actually changed.
+ * @param {Object} executionResult - The history entry to undo
+ * @returns {Array<Object>} Operations with their own `uids`, empty if nothing can be undone
+ */
+function buildUndoOperations(executionResult) {
+    const labels = executionResult.labels || [];
+
+    return labels
+        .filter(label => !label.error && label.successUids)
+        .filter(label => !(label.type === 'flag' && !PHOTO_FLAGS[label.flag]?.remove))
+        // PhotoPrism can't turn a manual label back into a classifier label
+        .filter(label => label.action !== 'upgrade')
+        .flatMap(label => {
+            if (label.type === 'labelCatalog') {
+                return buildLabelCatalogUndoOperations(label);
+            }
+            if (label.type === 'metadata') {
+                const previousValues = label.previousValues || {};
+                return {
+                    ...getOperationDefinition(label),
+                    uids: label.successUids.filter(uid => previousValues[uid]),
+                    restoreValues: previousValues
+                };
+            }
+            if (label.type === 'flag') {
+                const unchangedUids = new Set(label.unchangedUids || []);
+                return {
+                    ...getOperationDefinition(label),
+                    action: label.action === 'add' ? 'remove' : 'add',
+                    uids: label.successUids.filter(uid => !unchangedUids.has(uid))
+                };
+            }
+            if (label.type === 'album') {
+                const unchangedUids = new Set(label.unchangedUids || []);
+                return {
+                    ...getOperationDefinition(label),
+                    action: label.action === 'add' ? 'remove' : 'add',
+                    uids: label.successUids.filter(uid => !unchangedUids.has(uid))
+                };
+            }
+            if (label.action === 'add') {
+                const unchangedUids = new Set(label.unchangedUids || []);
+                return { action: 'remove', labelName: label.labelName, uids: label.successUids.filter(uid => !unchangedUids.has(uid)) };
+            }
+            const removedLabels = label.removedLabels || {};
+            return {
+                action: 'add',
+                labelName: label.labelName,
+                uids: label.successUids.filter(uid => removedLabels[uid]),
+                restoreLabels: removedLabels
+            };
+        })
+        .filter(operation => operation.uids.length > 0);
+}
+
+/**
+ * Builds the operations that reverse a label catalog change of a history entry.
+ * @param {Object} label - History breakdown entry of a label catalog operation
+ * @returns {Array<Object>}
+ */
+function buildLabelCatalogUndoOperations(label) {
+    if (label.action === 'rename') {
+        return [{ ...getOperationDefinition(label), labelName: label.newName, newName: label.labelName, uids: label.successUids }];
+    }
+    if (label.action !== 'merge') {
+        return [];
+    }
+
+    const mergedLabels = label.mergedLabels || {};
+    const uids = label.successUids.filter(uid => mergedLabels[uid]);
+    const restoreSources = label.sources.map(source => {
+        const sourceUids = uids.filter(uid => mergedLabels[uid].removed[source.name]);
+        return {
+            action: 'add',
+            labelName: source.name,
+            uids: sourceUids,
+            restoreLabels: Object.fromEntries(sourceUids.map(uid => [uid, mergedLabels[uid].removed[source.name]]))
+        };
+    });
+
+    return [
+        { action: 'remove', labelName: label.labelName, uids: uids.filter(uid => mergedLabels[uid].targetAdded) },
+        ...restoreSources
+    ];
+}
+
+// --- Failed Operations ---
+
+// Why photos failed, in the order the popup lists them. Retryable categories are retried by
+// "Retry"; the others will fail again until something changes on the server or in the login.
+const FAILURE_CATEGORIES = {
+    network: { label: 'Network errors and timeouts', retryable: true },
+    'rate-limit': { label: 'Rate limited (429)', retryable: true },
+    server: { label: 'Server errors (5xx)', retryable: true },
+    // Failed operations saved before failures were classified
+    unknown: { label: 'Failed', retryable: true },
+    auth: { label: 'Login rejected (401)', retryable: false, hint: 'Log in again, then retry.' },
+    permission: { label: 'Permission denied (403)', retryable: false, hint: 'The account may not edit these photos.' },
+    'not-found': { label: 'Not found (404)', retryable: false, hint: 'The photos were probably deleted or archived.' },
+    other: { label: 'Other errors', retryable: false }
+};
+
+/**
+ * Gets the failure category of an error thrown while processing a photo.
+ * @param {Error} error - Error thrown by an API function
+ * @returns {string} Key of FAILURE_CATEGORIES
+ */
+function getFailureCategory(error) {
+    if (!(error instanceof PhotoPrismApiError)) {
+        return 'other';
+    }
+    if (error.status === null) {
+        return 'network';
+    }
+    if (error.status >= 500) {
+        return 'server';
+    }
+    return { 401: 'auth', 403: 'permission', 404: 'not-found', 429: 'rate-limit' }[error.status] || 'other';
+}
+
+/**
+ * Describes why a photo failed, as stored in an operation's `failures`.
+ * @param {Error} error - Error thrown by an API function
+ * @returns {{status: ?number, category: string, error: string}}
+ */
+function describeFailure(error) {
+    return { status: error.status ?? null, category: getFailureCategory(error), error: error.message };
+}
+
+/**
+ * Groups the photos of a failed operation by failure category.
+ * @param {Object} failedOperation - Failed operation with `failedUids` and `failures`
+ * @returns {Array<{category: string, label: string, hint?: string, retryable: boolean, uids: string[], errors: string[]}>}
+ *   Groups in FAILURE_CATEGORIES order; `errors` are the distinct messages
+ */
+function groupFailures(failedOperation) {
+    const failures = failedOperation.failures || {};
+    const groups = {};
+
+    failedOperation.failedUids.forEach(uid => {
+        const failure = failures[uid];
+        const category = FAILURE_CATEGORIES[failure?.category] ? failure.category : 'unknown';
+        groups[category] = groups[category] || { category, ...FAILURE_CATEGORIES[category], uids: [], errors: [] };
+        groups[category].uids.push(uid);
+        if (failure?.error && !groups[category].errors.includes(failure.error)) {
+            groups[category].errors.push(failure.error);
+        }
+    });
+
+    return Object.keys(FAILURE_CATEGORIES).filter(category => groups[category]).map(category => groups[category]);
+}
+
+/**
+ * Gets the photos of a failed operation that are worth retrying.
+ * @param {Object} failedOperation - Failed operation with `failedUids` and `failures`
+ * @returns {string[]}
+ */
+function getRetryableUids(failedOperation) {
+    return groupFailures(failedOperation).filter(group => group.retryable).flatMap(group => group.uids);
+}
+
+/**
+ * Saves failed operations for retry functionality
+ * @param {Object} failedOperation - The failed operation details
+ * @param {string} instanceId - Instance identifier
+ */
+async function saveFailedOperation(failedOperation, instanceId) {
+    let failedOperations = await getInstanceData('failedOperations', [], instanceId);
+
+    // Add or update the failed operation for this target/action combination
+    const existingIndex = failedOperations.findIndex(
+        op => getOperationKey(op) === getOperationKey(failedOperation)
+    );
+
+    if (existingIndex >= 0) {
+        // Update existing failed operation
+        failedOperations[existingIndex] = failedOperation;
+    } else {
+        // Add new failed operation
+        failedOperations.unshift(failedOperation);
+    }
+
+    // Keep only the 20 most recent failed operations
+    failedOperations = failedOperations.slice(0, 20);
+
+    await setInstanceData('failedOperations', failedOperations, instanceId);
+}
+
+/**
+ * Removes a failed operation from storage
+ * @param {Object} operation - The operation whose failures to remove
+ * @param {string} instanceId - Instance identifier
+ */
+async function removeFailedOperation(operation, instanceId) {
+    let failedOperations = await getInstanceData('failedOperations', [], instanceId);
+
+    // Remove the failed operation for this target/action combination (case-insensitive)
+    failedOperations = failedOperations.filter(
+        op => getOperationKey(op) !== getOperationKey(operation)
+    );
+
+    await setInstanceData('failedOperations', failedOperations, instanceId);
+}
+
+/**
+ * Changes a failed operation in storage, removing it once no failed photo is left.
+ * @param {Object} operation - The operation whose failures to update
+ * @param {function(Object): void} update - Changes the stored failed operation in place
+ * @param {string} instanceId - Instance identifier
+ */
+async function updateFailedOperation(operation, update, instanceId) {
+    const failedOperations = await getInstanceData('failedOperations', [], instanceId);
+    const index = failedOperations.findIndex(
+        op => getOperationKey(op) === getOperationKey(operation)
+    );
+    if (index < 0) return;
+
+    const failedOperation = failedOperations[index];
+    update(failedOperation);
+    if (failedOperation.failedUids.length === 0) {
+        failedOperations.splice(index, 1);
+    }
+
+    await setInstanceData('failedOperations', failedOperations, instanceId);
+}
+
+/**
+ * Drops photos from a failed operation, together with their failure details.
+ * @param {Object} failedOperation - Stored failed operation, changed in place
+ * @param {string[]} uids - Photos to drop
+ */
+function dropFailedUids(failedOperation, uids) {
+    const dropped = new Set(uids);
+    failedOperation.failedUids = failedOperation.failedUids.filter(uid => !dropped.has(uid));
+    failedOperation.failures = Object.fromEntries(
+        Object.entries(failedOperation.failures || {}).filter(([uid]) => !dropped.has(uid))
+    );
+}
+
+/**
+ * Updates a failed operation after a retry run. Photos left out of the retry (e.g. permanent
+ * failures) stay in the entry; retried photos stay only if they failed again.
+ * @param {Object} operation - The retried operation with `uids`, `failedUids` and `failures`
+ * @param {string} instanceId - Instance identifier
+ */
+async function updateFailedOperationAfterRetry(operation, instanceId) {
+    await updateFailedOperation(operation, failedOperation => {
+        dropFailedUids(failedOperation, operation.uids);
+        operation.failedUids.forEach(uid => {
+            failedOperation.failedUids.push(uid);
+            if (operation.failures?.[uid]) {
+                failedOperation.failures[uid] = operation.failures[uid];
+            }
+        });
+        failedOperation.retryCount = (failedOperation.retryCount || 0) + 1;
+        failedOperation.timestamp = new Date().toISOString();
+    }, instanceId);
+}
+
+/**
+ * Dismisses photos of a failed operation that will not succeed, e.g. deleted photos.
+ * @param {Object} operation - The failed operation
+ * @param {string[]} uids - Photos to stop tracking
+ * @param {string} instanceId - Instance identifier
+ */
+async function dismissFailedUids(operation, uids, instanceId) {
+    await updateFailedOperation(operation, failedOperation => dropFailedUids(failedOperation, uids), instanceId);
+}
+
+// --- Recent Labels ---
+
+// Recent labels kept per instance
+const MAX_RECENT_LABELS = 20;
+
+/**
+ * Adds a label to recent labels and all labels storage
+ * @param {string} labelName - The label to add
+ * @param {string} instanceId - Instance identifier
+ */
+async function addToRecentLabels(labelName, instanceId) {
+    if (!labelName.trim()) return;
+
+    // Normalize to lowercase for case-insensitive storage
+    const normalizedLabel = labelName.trim().toLowerCase();
+
+    let recentLabels = await getInstanceData('recentLabels', [], instanceId);
+    let allLabels = await getInstanceData('allLabels', [], instanceId);
+
+    // Remove from recent if already exists (case-insensitive) to avoid duplicates
+    recentLabels = recentLabels.filter(label => label.toLowerCase() !== normalizedLabel);
+
+    // Add to beginning of recent labels (most recent first)
+    recentLabels.unshift(normalizedLabel);
+
+    // Keep only the most recent labels
+    recentLabels = recentLabels.slice(0, MAX_RECENT_LABELS);
+
+    // Add to all labels if not already exists (case-insensitive)
+    const existsInAll = allLabels.some(label => label.toLowerCase() === normalizedLabel);
+    if (!existsInAll) {
+        allLabels.push(normalizedLabel);
+        allLabels.sort(); // Sort alphabetically
+    }
+
+    await setInstanceData('recentLabels', recentLabels, instanceId);
+    await setInstanceData('allLabels', allLabels, instanceId);
+}
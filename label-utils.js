@@ -0,0 +1,215 @@
+// label-utils.js - Server label catalog and fuzzy label matching
+
+// How long the cached label catalog is used before it is fetched again
+const LABEL_CATALOG_TTL = 30 * 60 * 1000;
+
+// Labels requested per page when fetching the catalog
+const LABEL_CATALOG_PAGE_SIZE = 500;
+
+// --- Label Catalog ---
+
+/**
+ * Fetches every label of an instance, page by page.
+ * @param {PhotoPrismClient} client - API client of the instance
+ * @returns {Promise<Array<{id: number, uid: string, name: string, slug: string, photoCount: number, favorite: boolean}>>}
+ */
+async function fetchLabelCatalog(client) {
+    const labels = await client.fetchAllPages(page => client.searchLabels('', page), LABEL_CATALOG_PAGE_SIZE);
+
+    return labels.map(label => ({
+        id: label.ID,
+        uid: label.UID,
+        name: label.Name,
+        slug: label.Slug,
+        photoCount: label.PhotoCount || 0,
+        favorite: !!label.Favorite
+    }));
+}
+
+/**
+ * Gets the cached label catalog of an instance, fetching it when missing or older than LABEL_CATALOG_TTL.
+ * @param {PhotoPrismClient} client - API client of the instance
+ * @param {boolean} [forceRefresh] - Fetch even if the cache is fresh
+ * @returns {Promise<Array<Object>>} Catalog labels
+ */
+async function getLabelCatalog(client, forceRefresh = false) {
+    const cached = await getInstanceData('labelCatalog', null, client.baseUrl);
+
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < LABEL_CATALOG_TTL) {
+        return cached.labels;
+    }
+
+    const labels = await fetchLabelCatalog(client);
+    await setInstanceData('labelCatalog', { labels: labels, fetchedAt: Date.now() }, client.baseUrl);
+    return labels;
+}
+
+// --- Fuzzy Matching ---
+
+/**
+ * Calculates the Levenshtein edit distance between two strings.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Scores how well a label name matches typed text. Exact matches rank highest,
+ * then prefixes, word prefixes, substrings, in-order character matches and
+ * finally near-misses within two typos.
+ * @param {string} query - Typed text
+ * @param {string} name - Label name
+ * @returns {number|null} Score (higher is better) or null if it doesn't match
+ */
+function scoreLabelMatch(query, name) {
+    const q = query.trim().toLowerCase();
+    const n = name.toLowerCase();
+
+    if (!q) return null;
+    if (n === q) return 1000;
+    if (n.startsWith(q)) return 800 - (n.length - q.length);
+    if (n.split(/[\s\-_]+/).some(word => word.startsWith(q))) return 600 - (n.length - q.length);
+
+    const index = n.indexOf(q);
+    if (index >= 0) return 400 - index;
+
+    // Characters in order, e.g. "bch" -> "beach"
+    let position = -1;
+    let gaps = 0;
+    for (const char of q) {
+        const next = n.indexOf(char, position + 1);
+        if (next < 0) {
+            position = null;
+            break;
+        }
+        gaps += next - position - 1;
+        position = next;
+    }
+    if (position !== null) return 200 - gaps;
+
+    const distance = levenshteinDistance(q, n.slice(0, Math.max(q.length, 1) + 1));
+    if (q.length >= 3 && distance <= 2) return 100 - distance * 10;
+
+    return null;
+}
+
+/**
+ * Ranks labels for autocomplete. Favorites and frequently used labels win ties.
+ * @param {string} query - Typed text
+ * @param {Array<{name: string, photoCount: number, favorite: boolean}>} labels - Candidate labels
+ * @param {number} [limit] - Maximum number of suggestions
+ * @returns {Array<Object>} Best matching labels, best first
+ */
+function rankLabelSuggestions(query, labels, limit = 8) {
+    return labels
+        .map(label => ({ label, score: scoreLabelMatch(query, label.name) }))
+        .filter(match => match.score !== null)
+        .map(match => ({
+            ...match,
+            score: match.score + (match.label.favorite ? 25 : 0) + Math.log10((match.label.photoCount || 0) + 1)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(match => match.label);
+}
+
+/**
+ * Finds existing labels that look like a typo of the given name.
+ * @param {string} labelName - Name about to be created
+ * @param {Array<{name: string, slug: string}>} labels - Existing labels
+ * @returns {Array<Object>} Similar labels, closest first (empty if the label exists)
+ */
+function findSimilarLabels(labelName, labels) {
+    const slug = labelSlug(labelName);
+    if (labels.some(label => label.slug === slug)) {
+        return [];
+    }
+
+    const name = labelName.trim().toLowerCase();
+    const maxDistance = name.length >= 5 ? 2 : 1;
+    return labels
+        .map(label => ({ label, distance: levenshteinDistance(name, label.name.toLowerCase()) }))
+        .filter(match => match.distance <= maxDistance ||
+            labelSlug(match.label.name).replace(/-/g, '') === slug.replace(/-/g, ''))
+        .sort((a, b) => a.distance - b.distance || (b.label.photoCount || 0) - (a.label.photoCount || 0))
+        .slice(0, 3)
+        .map(match => match.label);
+}
+
+// --- Label Maintenance ---
+//
+// Label catalog operations submitted by the Label Manager page (see job-utils.js).
+
+/**
+ * Finds a catalog label by name or slug (case-insensitive).
+ * @param {Array<{name: string, slug: string}>} labels - Catalog labels
+ * @param {string} labelName - Name to look for
+ * @returns {Object|undefined}
+ */
+function findCatalogLabel(labels, labelName) {
+    const name = labelName.trim().toLowerCase();
+    const slug = labelSlug(labelName);
+    return labels.find(label => label.name.toLowerCase() === name || label.slug === slug);
+}
+
+/**
+ * Builds the operation that renames a label.
+ * @param {{uid: string, name: string}} label - Catalog label
+ * @param {string} newName - New label name
+ * @returns {Object} Operation with its own `uids`
+ */
+function buildRenameLabelOperation(label, newName) {
+    return {
+        type: 'labelCatalog',
+        action: 'rename',
+        labelUid: label.uid,
+        labelName: label.name,
+        newName: newName.trim(),
+        uids: [label.uid]
+    };
+}
+
+/**
+ * Builds the operation that moves photos from source labels to a target label and deletes the sources.
+ * @param {string} targetName - Name of the target label, which may not exist yet
+ * @param {Array<{id: number, uid: string, name: string}>} sources - Catalog labels to merge
+ * @param {string[]} uids - Photos carrying any of the sources
+ * @returns {Object} Operation with its own `uids`
+ */
+function buildMergeLabelsOperation(targetName, sources, uids) {
+    return {
+        type: 'labelCatalog',
+        action: 'merge',
+        labelName: targetName.trim(),
+        sources: sources.map(label => ({ id: label.id, uid: label.uid, name: label.name })),
+        uids: uids
+    };
+}
+
+/**
+ * Builds the operation that deletes labels.
+ * @param {Array<{uid: string, name: string}>} labels - Catalog labels to delete
+ * @returns {Object} Operation with its own `uids`
+ */
+function buildDeleteLabelsOperation(labels) {
+    return {
+        type: 'labelCatalog',
+        action: 'delete',
+        labelNames: Object.fromEntries(labels.map(label => [label.uid, label.name])),
+        uids: labels.map(label => label.uid)
+    };
+}
@@ -0,0 +1,404 @@
+// labels.js - Label Manager page: rename, merge and delete the labels of an instance
+//
+// Changes run as background jobs like the popup's, so they show progress, land in the
+// execution history and audit log, and can be undone from the popup.
+
+// Unused labels listed by name in the delete confirmation
+const MAX_CONFIRM_NAMES = 20;
+
+// Labels of the selected instance, from getLabelCatalog
+let catalog = [];
+
+// UIDs of the checked labels
+let selectedUids = new Set();
+
+// Job submitted from this page that is still running
+let runningJobId = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadInstances();
+
+    document.getElementById('instance-select').addEventListener('change', () => {
+        selectedUids.clear();
+        refreshLabels();
+    });
+    document.getElementById('label-search').addEventListener('input', displayLabels);
+    document.getElementById('unused-only').addEventListener('change', displayLabels);
+    document.getElementById('select-all').addEventListener('change', toggleAllShown);
+    document.getElementById('refresh-btn').addEventListener('click', refreshLabels);
+    document.getElementById('merge-btn').addEventListener('click', mergeSelected);
+    document.getElementById('delete-unused-btn').addEventListener('click', deleteUnused);
+    chrome.storage.onChanged.addListener(handleStorageChange);
+
+    await refreshLabels();
+});
+
+/**
+ * Fills the instance list with the configured instances (wildcard patterns can't be opened)
+ */
+async function loadInstances() {
+    const select = document.getElementById('instance-select');
+    const result = await chrome.storage.local.get('pluginConfig');
+    const instances = (result.pluginConfig?.allowedDomains || []).filter(domain => !domain.includes('*'));
+    const requested = new URLSearchParams(window.location.search).get('instance');
+
+    if (requested && !instances.includes(requested)) {
+        instances.unshift(requested);
+    }
+
+    select.innerHTML = '';
+    instances.forEach(instanceId => {
+        const option = document.createElement('option');
+        option.value = instanceId;
+        option.textContent = instanceId;
+        select.appendChild(option);
+    });
+
+    if (requested) {
+        select.value = requested;
+    }
+}
+
+/**
+ * Gets the selected instance
+ * @returns {string}
+ */
+function getInstanceId() {
+    return document.getElementById('instance-select').value;
+}
+
+/**
+ * Creates an API client for the selected instance. Without configured credentials the
+ * session token of an open PhotoPrism tab of the instance is used.
+ * @returns {Promise<PhotoPrismClient>}
+ */
+async function getClient() {
+    const instanceId = getInstanceId();
+    return PhotoPrismClient.forInstance(instanceId, await getSessionToken(instanceId));
+}
+
+/**
+ * Asks the content script of an open tab of the instance for its session token.
+ * @param {string} instanceId - Instance identifier
+ * @returns {Promise<?string>} The token, or null if no logged-in tab is open
+ */
+async function getSessionToken(instanceId) {
+    const pattern = getOriginPattern(instanceId);
+    if (!pattern) return null;
+
+    const tabs = await chrome.tabs.query({ url: pattern });
+    for (const tab of tabs) {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'getPhotoPrismData' }).catch(() => null);
+        if (response?.success && response.data.token) {
+            return response.data.token;
+        }
+    }
+    return null;
+}
+
+/**
+ * Shows a status message
+ * @param {string} message - Message to show
+ * @param {boolean} [isError] - Whether the message is an error
+ */
+function setStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = isError ? 'error' : '';
+}
+
+/**
+ * Shows job progress, or hides the progress bar when total is null
+ * @param {?number} processed - Items done
+ * @param {?number} total - Items in the job
+ */
+function setProgress(processed, total) {
+    const progress = document.getElementById('progress');
+    progress.style.display = total === null ? 'none' : 'block';
+    progress.max = Math.max(total || 0, 1);
+    progress.value = processed || 0;
+}
+
+/**
+ * Fetches the label catalog of the selected instance and renders it
+ */
+async function refreshLabels() {
+    if (!getInstanceId()) {
+        setStatus('Add a PhotoPrism instance in Settings first.', true);
+        return;
+    }
+
+    setStatus('Loading labels...');
+    try {
+        catalog = await getLabelCatalog(await getClient(), true);
+        const known = new Set(catalog.map(label => label.uid));
+        selectedUids = new Set([...selectedUids].filter(uid => known.has(uid)));
+        setStatus('');
+    } catch (error) {
+        catalog = [];
+        setStatus(error.message, true);
+    }
+    displayLabels();
+}
+
+/**
+ * Gets the catalog labels matching the search and unused filters, sorted by name so
+ * near-duplicates like "Beach" and "beaches" end up next to each other
+ * @returns {Array<Object>}
+ */
+function getShownLabels() {
+    const query = document.getElementById('label-search').value.trim().toLowerCase();
+    const unusedOnly = document.getElementById('unused-only').checked;
+
+    return catalog
+        .filter(label => !query || label.name.toLowerCase().includes(query) || label.slug.includes(query))
+        .filter(label => !unusedOnly || label.photoCount === 0)
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Renders the labels as table rows
+ */
+function displayLabels() {
+    const tbody = document.getElementById('label-rows');
+    const labels = getShownLabels();
+    tbody.innerHTML = '';
+
+    labels.forEach(label => {
+        const row = document.createElement('tr');
+        if (label.photoCount === 0) row.className = 'unused';
+
+        const checkboxCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = selectedUids.has(label.uid);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedUids.add(label.uid);
+            } else {
+                selectedUids.delete(label.uid);
+            }
+            updateActions();
+        });
+        checkboxCell.appendChild(checkbox);
+        row.appendChild(checkboxCell);
+
+        [label.name, label.slug, label.photoCount].forEach((value, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (index === 1) cell.className = 'slug';
+            if (index === 2) cell.className = 'count';
+            row.appendChild(cell);
+        });
+
+        const actionCell = document.createElement('td');
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'rename-btn';
+        renameBtn.textContent = 'Rename';
+        renameBtn.addEventListener('click', () => renameLabel(label));
+        actionCell.appendChild(renameBtn);
+        row.appendChild(actionCell);
+
+        tbody.appendChild(row);
+    });
+
+    const unusedCount = catalog.filter(label => label.photoCount === 0).length;
+    document.getElementById('result-count').textContent =
+        `${labels.length} of ${catalog.length} labels, ${unusedCount} unused`;
+    document.getElementById('empty-labels').style.display = labels.length === 0 ? 'block' : 'none';
+    updateActions();
+}
+
+/**
+ * Checks or unchecks every shown label
+ * @param {Event} event - Change event of the header checkbox
+ */
+function toggleAllShown(event) {
+    getShownLabels().forEach(label => {
+        if (event.target.checked) {
+            selectedUids.add(label.uid);
+        } else {
+            selectedUids.delete(label.uid);
+        }
+    });
+    displayLabels();
+}
+
+/**
+ * Enables the actions that fit the selection; nothing can be started while a job runs
+ */
+function updateActions() {
+    const busy = runningJobId !== null;
+    const unused = getUnusedTargets();
+
+    document.getElementById('merge-btn').disabled = busy || selectedUids.size === 0;
+    document.getElementById('merge-btn').textContent = `Merge Selected (${selectedUids.size})`;
+    document.getElementById('delete-unused-btn').disabled = busy || unused.length === 0;
+    document.getElementById('delete-unused-btn').textContent = `Delete Unused (${unused.length})`;
+    document.getElementById('refresh-btn').disabled = busy;
+    document.querySelectorAll('.rename-btn').forEach(btn => { btn.disabled = busy; });
+}
+
+/**
+ * Gets the unused labels "Delete Unused" acts on: the selected ones, or all if none is selected
+ * @returns {Array<Object>}
+ */
+function getUnusedTargets() {
+    return catalog.filter(label => label.photoCount === 0 && (selectedUids.size === 0 || selectedUids.has(label.uid)));
+}
+
+/**
+ * Renames a label after asking for the new name. Renaming to the name of another label
+ * offers to merge into it instead, since PhotoPrism can't have both.
+ * @param {Object} label - Catalog label
+ */
+async function renameLabel(label) {
+    const newName = prompt(`Rename "${label.name}" to:`, label.name)?.trim();
+    if (!newName || newName === label.name) return;
+
+    const existing = findCatalogLabel(catalog, newName);
+    if (existing && existing.uid !== label.uid) {
+        if (confirm(`"${existing.name}" already exists. Merge "${label.name}" into it instead?`)) {
+            await mergeLabels([label], existing.name);
+        }
+        return;
+    }
+
+    if (!confirm(`Rename "${label.name}" to "${newName}"?\n\nThe new name shows on all ${label.photoCount} photos with the label.`)) return;
+
+    await submitLabelJob(buildRenameLabelOperation(label, newName));
+}
+
+/**
+ * Merges the selected labels into a label asked for, suggesting the most used one
+ */
+async function mergeSelected() {
+    const selected = catalog.filter(label => selectedUids.has(label.uid));
+    if (selected.length === 0) return;
+
+    const suggested = [...selected].sort((a, b) => b.photoCount - a.photoCount)[0];
+    const targetName = prompt(`Merge ${selected.length} labels into:`, suggested.name)?.trim();
+    if (!targetName) return;
+
+    await mergeLabels(selected, targetName);
+}
+
+/**
+ * Collects the photos of the labels to merge, confirms and starts the merge. The target
+ * may be one of the labels, another existing label or a new one.
+ * @param {Array<Object>} labels - Catalog labels to merge
+ * @param {string} targetName - Name of the label to merge into
+ */
+async function mergeLabels(labels, targetName) {
+    const target = findCatalogLabel(catalog, targetName);
+    const sources = labels.filter(label => label.uid !== target?.uid);
+    if (sources.length === 0) {
+        setStatus('Select at least one label besides the one to merge into.', true);
+        return;
+    }
+
+    try {
+        const client = await getClient();
+        const uids = new Set();
+        for (const source of sources) {
+            const photos = await resolvePhotoFilter(client, { q: `label:${source.slug}` },
+                count => setStatus(`Collecting photos of "${source.name}": ${count}`));
+            photos.forEach(uid => uids.add(uid));
+        }
+        setStatus('');
+
+        const name = target ? target.name : targetName;
+        const summary = [
+            `Merge into "${name}"${target ? '' : ' (new label)'}:`,
+            ...sources.map(source => `  • ${source.name} (${source.photoCount} photos)`),
+            '',
+            `${uids.size} photos get "${name}" and lose the labels above, which are then deleted.`
+        ].join('\n');
+        if (!confirm(summary)) return;
+
+        // Without photos there is nothing to move, only the sources to delete
+        const operation = uids.size > 0
+            ? buildMergeLabelsOperation(name, sources, [...uids])
+            : buildDeleteLabelsOperation(sources);
+        await submitLabelJob(operation, client);
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+/**
+ * Deletes unused labels after confirmation
+ */
+async function deleteUnused() {
+    const labels = getUnusedTargets();
+    if (labels.length === 0) return;
+
+    const names = labels.slice(0, MAX_CONFIRM_NAMES).map(label => `  • ${label.name}`);
+    if (labels.length > MAX_CONFIRM_NAMES) {
+        names.push(`  … and ${labels.length - MAX_CONFIRM_NAMES} more`);
+    }
+    if (!confirm(`Delete ${labels.length} unused labels?\n\n${names.join('\n')}\n\nDeleted labels can't be restored by undo.`)) return;
+
+    await submitLabelJob(buildDeleteLabelsOperation(labels));
+}
+
+/**
+ * Submits a label catalog operation as a background job
+ * @param {Object} operation - Operation with its own `uids`
+ * @param {PhotoPrismClient} [client] - Client of the selected instance, if already created
+ */
+async function submitLabelJob(operation, client = null) {
+    try {
+        client = client || await getClient();
+        const response = await chrome.runtime.sendMessage({
+            action: 'submitJob',
+            job: { instanceId: getInstanceId(), operations: [operation], uids: operation.uids, token: client.token }
+        });
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'Could not start the background job.');
+        }
+
+        runningJobId = response.jobId;
+        updateActions();
+        setStatus(`${describeOperation(operation)}: queued...`);
+        setProgress(0, operation.uids.length);
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+/**
+ * Follows the progress of the job submitted from this page
+ * @param {Object} changes - Storage changes
+ * @param {string} areaName - Storage area
+ */
+function handleStorageChange(changes, areaName) {
+    const key = createInstanceKey('activeJob', getInstanceId());
+    if (areaName !== 'local' || !changes[key] || runningJobId === null) return;
+
+    const progress = changes[key].newValue;
+    if (!progress || progress.id !== runningJobId) return;
+
+    if (progress.status === 'queued' || progress.status === 'running') {
+        setStatus(`${progress.description}: ${progress.processed} / ${progress.total}`);
+        setProgress(progress.processed, progress.total);
+        return;
+    }
+
+    runningJobId = null;
+    setProgress(null, null);
+
+    // The catalog changed; the reload clears the status, so the result is shown afterwards
+    const result = progress.result;
+    refreshLabels().then(() => {
+        if (!result) return;
+
+        let message = `${progress.description}: ${result.successCount} done`;
+        if (result.unchangedCount > 0) message += `, ${result.unchangedCount} unchanged`;
+        if (result.failedCount > 0) message += `, ${result.failedCount} failed (retry them from the popup)`;
+        message += '.';
+        if (buildUndoOperations(result).length > 0) message += ' Undo it from Recent Executions in the popup.';
+        if (result.error) message += `\n${result.error}`;
+        setStatus(message, result.failedCount > 0 || !!result.error);
+    });
+}
@@ -0,0 +1,199 @@
+// metadata-utils.js - Bulk metadata edits shared by the popup and background worker
+//
+// An edit is {field, mode, value} where mode is 'set', 'clear' or 'append'.
+// Values are handled as strings so they can be compared and shown in the diff preview.
+
+// Editable fields. `get` reads the current value from photo details and `toUpdate`
+// builds the photo update payload for a value. Source fields are set to "manual"
+// so PhotoPrism doesn't overwrite the edit from file metadata later.
+const METADATA_FIELDS = {
+    title: {
+        label: 'Title',
+        modes: ['set', 'clear'],
+        get: photo => photo.Title || '',
+        toUpdate: value => ({ Title: value, TitleSrc: 'manual' })
+    },
+    caption: {
+        label: 'Caption',
+        modes: ['set', 'clear', 'append'],
+        separator: '\n',
+        get: photo => photo.Caption ?? photo.Description ?? '',
+        toUpdate: value => ({ Caption: value, CaptionSrc: 'manual' })
+    },
+    takenAt: {
+        label: 'Taken at',
+        modes: ['set'],
+        input: 'datetime-local',
+        get: photo => (photo.TakenAtLocal || '').slice(0, 19),
+        toUpdate: value => value ? {
+            TakenAtLocal: `${value}Z`,
+            Year: Number(value.slice(0, 4)),
+            Month: Number(value.slice(5, 7)),
+            Day: Number(value.slice(8, 10)),
+            TakenSrc: 'manual'
+        } : {},
+        normalize: value => value.length === 16 ? `${value}:00` : value,
+        validate: value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(value) || 'Use the format YYYY-MM-DDTHH:MM'
+    },
+    timeZone: {
+        label: 'Time zone',
+        modes: ['set'],
+        placeholder: 'Europe/Berlin',
+        get: photo => photo.TimeZone || '',
+        toUpdate: value => ({ TimeZone: value, TakenSrc: 'manual' })
+    },
+    location: {
+        label: 'Latitude, longitude',
+        modes: ['set', 'clear'],
+        placeholder: '48.8584, 2.2945',
+        get: photo => photo.Lat || photo.Lng ? `${photo.Lat}, ${photo.Lng}` : '',
+        toUpdate: value => {
+            const [lat, lng] = value ? value.split(',').map(Number) : [0, 0];
+            return { Lat: lat, Lng: lng, PlaceSrc: 'manual' };
+        },
+        normalize: value => value.split(',').map(part => String(Number(part))).join(', '),
+        validate: value => {
+            const parts = value.split(',').map(part => Number(part.trim()));
+            return (parts.length === 2 && parts.every(Number.isFinite) &&
+                Math.abs(parts[0]) <= 90 && Math.abs(parts[1]) <= 180) || 'Use "latitude, longitude" in decimal degrees';
+        }
+    },
+    keywords: {
+        label: 'Keywords',
+        modes: ['set', 'clear', 'append'],
+        separator: ', ',
+        get: photo => photo.Details?.Keywords || '',
+        toUpdate: value => ({ Details: { Keywords: value, KeywordsSrc: 'manual' } })
+    },
+    copyright: {
+        label: 'Copyright',
+        modes: ['set', 'clear'],
+        get: photo => photo.Details?.Copyright || '',
+        toUpdate: value => ({ Details: { Copyright: value, CopyrightSrc: 'manual' } })
+    },
+    artist: {
+        label: 'Artist',
+        modes: ['set', 'clear'],
+        get: photo => photo.Details?.Artist || '',
+        toUpdate: value => ({ Details: { Artist: value, ArtistSrc: 'manual' } })
+    },
+    notes: {
+        label: 'Notes',
+        modes: ['set', 'clear'],
+        get: photo => photo.Details?.Notes || '',
+        toUpdate: value => ({ Details: { Notes: value, NotesSrc: 'manual' } })
+    }
+};
+
+/**
+ * Checks metadata edits before they are previewed or applied.
+ * @param {Array<{field: string, mode: string, value: string}>} edits - Edits to check
+ * @returns {string[]} Error messages, empty if all edits are valid
+ */
+function validateMetadataEdits(edits) {
+    const errors = [];
+
+    edits.forEach(edit => {
+        const definition = METADATA_FIELDS[edit.field];
+        if (!definition || !definition.modes.includes(edit.mode)) {
+            errors.push(`Unsupported edit: ${edit.mode} ${edit.field}`);
+            return;
+        }
+        if (edit.mode === 'clear') return;
+
+        const value = (edit.value || '').trim();
+        if (!value) {
+            errors.push(`${definition.label}: enter a value`);
+            return;
+        }
+        const result = definition.validate ? definition.validate(value) : true;
+        if (result !== true) {
+            errors.push(`${definition.label}: ${result}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Appends text to a value unless it is already there. Keywords are compared one by one.
+ * @param {string} current - Current value
+ * @param {string} addition - Text to append
+ * @param {Object} definition - Field definition
+ * @returns {string}
+ */
+function appendMetadataValue(current, addition, definition) {
+    if (!current) return addition;
+
+    if (definition === METADATA_FIELDS.keywords) {
+        const existing = current.split(',').map(keyword => keyword.trim().toLowerCase());
+        const added = addition.split(',').map(keyword => keyword.trim())
+            .filter(keyword => keyword && !existing.includes(keyword.toLowerCase()));
+        return added.length > 0 ? [current, ...added].join(definition.separator) : current;
+    }
+
+    return current.includes(addition) ? current : `${current}${definition.separator}${addition}`;
+}
+
+/**
+ * Merges a field's update payload into a photo update, combining the nested Details.
+ * @param {Object} update - Photo update being built
+ * @param {Object} fieldUpdate - Payload of a single field
+ */
+function mergeMetadataUpdate(update, fieldUpdate) {
+    const { Details, ...values } = fieldUpdate;
+    Object.assign(update, values);
+    if (Details) {
+        update.Details = { ...update.Details, ...Details };
+    }
+}
+
+/**
+ * Works out what metadata edits change on a photo.
+ * @param {Object} photo - Photo details from getPhoto
+ * @param {Array<{field: string, mode: string, value: string}>} edits - Edits to apply
+ * @returns {{changes: Array<{field: string, label: string, before: string, after: string}>, update: Object, previous: Object}}
+ *   The changed fields, the photo update that applies them and the one that restores the old values.
+ *   No changes means the photo already matches.
+ */
+function applyMetadataEdits(photo, edits) {
+    const changes = [];
+    const update = {};
+    const previous = {};
+
+    edits.forEach(edit => {
+        const definition = METADATA_FIELDS[edit.field];
+        const before = definition.get(photo);
+        const value = (edit.value || '').trim();
+        const normalized = definition.normalize && value ? definition.normalize(value) : value;
+
+        let after;
+        if (edit.mode === 'clear') {
+            after = '';
+        } else if (edit.mode === 'append') {
+            after = appendMetadataValue(before, normalized, definition);
+        } else {
+            after = normalized;
+        }
+
+        if (after === before) return;
+
+        changes.push({ field: edit.field, label: definition.label, before: before, after: after });
+        mergeMetadataUpdate(update, definition.toUpdate(after));
+        mergeMetadataUpdate(previous, definition.toUpdate(before));
+    });
+
+    return { changes, update, previous };
+}
+
+/**
+ * Describes metadata edits for status and history display.
+ * @param {Array<{field: string, mode: string}>} edits - Edits
+ * @returns {string} e.g. "Set title, append keywords"
+ */
+function describeMetadataEdits(edits) {
+    const text = edits
+        .map(edit => `${edit.mode} ${(METADATA_FIELDS[edit.field]?.label || edit.field).toLowerCase()}`)
+        .join(', ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
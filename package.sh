@@ -1,4 +1,4 @@
 #!/bin/sh
 
 rm -f photoprism-helper.zip
-zip -r photoprism-helper.zip . -x "*.git*" -x "*.DS_Store" -x ".claude/*" -x "*.md" -x "icons/*.svg" -x "*.sh"
+zip -r photoprism-helper.zip . -x "*.git*" -x "*.DS_Store" -x ".claude/*" -x "*.md" -x "icons/*.svg" -x "*.sh" -x "test/*" -x "package.json"
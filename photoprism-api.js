@@ -0,0 +1,570 @@
+// photoprism-api.js - PhotoPrism REST API client shared by the popup, pages and background worker
+//
+// A PhotoPrismClient is built once per instance from its URL and a token: the page's session
+// token, an app password or an access token from the client credentials flow (PhotoPrism
+// accepts all of them as X-Auth-Token). Every request goes through PhotoPrismClient#request,
+// which sets the headers, enforces a timeout and turns failures into PhotoPrismApiError.
+
+// Shown instead of the raw response when PhotoPrism rejects the token
+const AUTH_FAILED_MESSAGE = 'PhotoPrism rejected the login (401). Your session may have expired: ' +
+    'log in to PhotoPrism again, or check the app password or client credentials in Settings.';
+
+// Requests that take longer than this are aborted, in milliseconds
+const API_REQUEST_TIMEOUT = 30000;
+
+// Photos per request when listing an album's photos
+const ALBUM_PHOTOS_PAGE_SIZE = 1000;
+
+/**
+ * @typedef {Object} PhotoPrismLabel
+ * @property {number} ID
+ * @property {string} UID
+ * @property {string} Slug
+ * @property {string} CustomSlug
+ * @property {string} Name
+ * @property {number} Priority
+ * @property {boolean} Favorite
+ * @property {number} [PhotoCount] - Only in label search results
+ */
+
+/**
+ * @typedef {Object} PhotoPrismPhotoLabel
+ * @property {number} LabelID
+ * @property {number} Uncertainty - 0 to 100; 100 marks a removed classifier label
+ * @property {string} LabelSrc - e.g. 'manual' or 'image'
+ * @property {PhotoPrismLabel} Label
+ */
+
+/**
+ * @typedef {Object} PhotoPrismPhoto
+ * @property {string} UID
+ * @property {string} Title
+ * @property {string} Caption
+ * @property {boolean} Favorite
+ * @property {boolean} Private
+ * @property {number} Quality
+ * @property {?string} DeletedAt
+ * @property {Object} Details - Keywords, Artist, Copyright, Notes, ...
+ * @property {PhotoPrismPhotoLabel[]} Labels
+ */
+
+/**
+ * @typedef {Object} PhotoPrismAlbum
+ * @property {string} UID
+ * @property {string} Title
+ * @property {number} PhotoCount
+ * @property {boolean} Favorite
+ */
+
+/**
+ * @typedef {Object} PhotoPrismPage
+ * @property {number} count - Page size
+ * @property {number} offset - Index of the first result
+ */
+
+/**
+ * A failed API request. `status` is null when no response arrived (network error or timeout).
+ */
+class PhotoPrismApiError extends Error {
+    /**
+     * @param {string} message - What failed and why
+     * @param {Object} [details]
+     * @param {?number} [details.status] - HTTP status
+     * @param {*} [details.body] - Response body, parsed as JSON when possible
+     * @param {boolean} [details.retryable] - Whether the same request may succeed later
+     * @param {?string} [details.retryAfter] - Retry-After header in seconds
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PhotoPrismApiError';
+        this.status = details.status ?? null;
+        this.body = details.body ?? null;
+        this.retryable = details.retryable ?? false;
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/**
+ * Checks whether a response status is worth retrying (rate limited or server error).
+ * @param {number} status - HTTP status
+ * @returns {boolean}
+ */
+function isRetryableStatus(status) {
+    return status === 429 || (status >= 500 && status < 600);
+}
+
+class PhotoPrismClient {
+    /**
+     * @param {string} baseUrl - PhotoPrism instance URL, e.g. https://photos.example.com
+     * @param {?string} token - Auth token; null for requests that don't need a login
+     * @param {{timeout: number}} [options] - Request timeout in milliseconds
+     */
+    constructor(baseUrl, token, options = {}) {
+        this.baseUrl = baseUrl;
+        this.token = token;
+        this.timeout = options.timeout ?? API_REQUEST_TIMEOUT;
+    }
+
+    /**
+     * Creates a client with the instance's configured credentials, or else the page's session token.
+     * @param {string} instanceId - Instance identifier (its URL)
+     * @param {?string} sessionToken - Session token from the PhotoPrism tab, if any
+     * @returns {Promise<PhotoPrismClient>}
+     */
+    static async forInstance(instanceId, sessionToken) {
+        return new PhotoPrismClient(instanceId, await getAuthToken(instanceId, sessionToken));
+    }
+
+    /**
+     * Requests an access token with the OAuth2 client credentials flow.
+     * @param {string} baseUrl - PhotoPrism instance URL
+     * @param {string} clientId - Client ID
+     * @param {string} clientSecret - Client secret
+     * @returns {Promise<{access_token: string, expires_in: number}>}
+     */
+    static createAccessToken(baseUrl, clientId, clientSecret) {
+        return new PhotoPrismClient(baseUrl, null).request('POST', '/api/v1/oauth/token', {
+            form: { grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret },
+            context: 'Failed to get an access token'
+        });
+    }
+
+    /**
+     * Sends a request to the API.
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the instance URL, e.g. /api/v1/photos/{uid}
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.query] - Query parameters
+     * @param {Object} [options.body] - JSON body
+     * @param {Object<string, string>} [options.form] - Form-encoded body
+     * @param {boolean} [options.notFoundAsNull] - Resolve with null on 404 instead of failing
+     * @param {string} [options.context] - What is being attempted, prefixed to error messages
+     * @returns {Promise<*>} Parsed response body
+     * @throws {PhotoPrismApiError}
+     */
+    async request(method, path, options = {}) {
+        const context = options.context || `${method} ${path} failed`;
+        const url = options.query ? `${this.baseUrl}${path}?${new URLSearchParams(options.query)}` : `${this.baseUrl}${path}`;
+        const headers = {};
+        let body;
+
+        if (this.token) {
+            headers['X-Auth-Token'] = this.token;
+        }
+        if (options.body) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(options.body);
+        } else if (options.form) {
+            headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            body = new URLSearchParams(options.form);
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(url, { method: method, headers: headers, body: body, signal: controller.signal });
+            const text = await response.text();
+            let data = text;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (error) {
+                // Not JSON, keep the text
+            }
+
+            if (response.status === 404 && options.notFoundAsNull) {
+                return null;
+            }
+            if (!response.ok) {
+                const reason = response.status === 401 ? AUTH_FAILED_MESSAGE : `API Error: ${response.status} - ${text}`;
+                throw new PhotoPrismApiError(`${context}: ${reason}`, {
+                    status: response.status,
+                    body: data,
+                    retryable: isRetryableStatus(response.status),
+                    retryAfter: response.headers.get('Retry-After')
+                });
+            }
+            return data;
+        } catch (error) {
+            if (error instanceof PhotoPrismApiError) {
+                throw error;
+            }
+            const reason = controller.signal.aborted
+                ? `Request timed out after ${Math.round(this.timeout / 1000)}s`
+                : `Network error: ${error.message}`;
+            throw new PhotoPrismApiError(`${context}: ${reason}`, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Collects every result of a paged search.
+     * @param {function(PhotoPrismPage): Promise<Array>} fetchPage - Fetches one page
+     * @param {number} pageSize - Results per page
+     * @param {function(number): void} [onPage] - Called with the number of results so far
+     * @returns {Promise<Array>}
+     */
+    async fetchAllPages(fetchPage, pageSize, onPage = () => {}) {
+        const results = [];
+
+        for (let offset = 0; ; offset += pageSize) {
+            const page = await fetchPage({ count: pageSize, offset: offset });
+            results.push(...page);
+            onPage(results.length);
+
+            if (page.length < pageSize) return results;
+        }
+    }
+
+    // --- Photos ---
+
+    /**
+     * Fetches the details of a single photo, including its labels.
+     * @param {string} uid - Photo UID
+     * @returns {Promise<PhotoPrismPhoto>}
+     */
+    getPhoto(uid) {
+        return this.request('GET', `/api/v1/photos/${uid}`, { context: `Failed to fetch photo ${uid}` });
+    }
+
+    /**
+     * Updates the metadata of a single photo.
+     * @param {string} uid - Photo UID
+     * @param {Object} values - Photo fields to change (e.g. Title, Caption, Details)
+     * @returns {Promise<PhotoPrismPhoto>} Updated photo details
+     */
+    updatePhoto(uid, values) {
+        return this.request('PUT', `/api/v1/photos/${uid}`, { body: values, context: `Failed to update photo ${uid}` });
+    }
+
+    /**
+     * Searches photos, one result per file: a photo with several files (e.g. RAW and JPEG) is
+     * listed once for each, so callers dedupe by UID. PhotoPrism applies `count` to files even
+     * when it merges them into photos, so merged pages can come back short while more remain.
+     * @param {Object<string, string>} filter - Search parameters, e.g. {q: 'label:beach'} or {s: albumUid}
+     * @param {PhotoPrismPage} [page] - Page size and offset
+     * @returns {Promise<PhotoPrismPhoto[]>} Photos with UID and Title
+     */
+    searchPhotos(filter, page = {}) {
+        return this.request('GET', '/api/v1/photos', {
+            query: { ...filter, count: String(page.count ?? 100), offset: String(page.offset ?? 0), merged: 'false' },
+            context: 'Failed to search photos'
+        });
+    }
+
+    /**
+     * Sets or clears a flag (favorite, private, archived or approved) on a single photo.
+     * @param {string} uid - Photo UID
+     * @param {'favorite' | 'private' | 'archive' | 'approve'} flag - The flag to change
+     * @param {boolean} enabled - Whether to set or clear the flag
+     */
+    setPhotoFlag(uid, flag, enabled) {
+        const request = getPhotoFlagRequest(uid, flag, enabled);
+        return this.request(request.method, request.path, {
+            body: request.body,
+            context: `Failed to ${enabled ? 'set' : 'clear'} ${flag} on photo ${uid}`
+        });
+    }
+
+    // --- Labels ---
+
+    /**
+     * Finds a label on a single photo.
+     * @param {string} uid - Photo UID
+     * @param {number} labelId - The ID of the label
+     * @returns {Promise<?PhotoPrismPhotoLabel>} The photo label, or null if the photo doesn't have it
+     */
+    async getPhotoLabel(uid, labelId) {
+        const photo = await this.getPhoto(uid);
+        return photo.Labels?.find(l => l.LabelID === labelId || l.Label?.ID === labelId) || null;
+    }
+
+    /**
+     * Adds a label to a single photo.
+     * @param {string} uid - Photo UID
+     * @param {string} labelName - The name of the label to add
+     * @param {{priority: number, uncertainty: number}} [options] - Label priority and uncertainty to set
+     * @returns {Promise<PhotoPrismPhoto>} Updated photo
+     */
+    addLabel(uid, labelName, options = {}) {
+        const body = { Name: labelName, Priority: options.priority ?? 0 };
+        if (options.uncertainty !== undefined) {
+            body.Uncertainty = options.uncertainty;
+        }
+        return this.request('POST', `/api/v1/photos/${uid}/label`, { body: body, context: `Failed to add label to photo ${uid}` });
+    }
+
+    /**
+     * Removes a label from a single photo.
+     * @param {string} uid - Photo UID
+     * @param {number} labelId - The ID of the label to remove
+     * @returns {Promise<?PhotoPrismPhoto>} Updated photo, or null if the label wasn't on the photo
+     */
+    removeLabel(uid, labelId) {
+        return this.request('DELETE', `/api/v1/photos/${uid}/label/${labelId}`, {
+            notFoundAsNull: true,
+            context: `Failed to remove label from photo ${uid}`
+        });
+    }
+
+    /**
+     * Searches the instance's labels.
+     * @param {string} query - Search text (empty for all labels)
+     * @param {PhotoPrismPage} [page] - Page size and offset
+     * @returns {Promise<PhotoPrismLabel[]>}
+     */
+    searchLabels(query, page = {}) {
+        const params = { count: String(page.count ?? 100), offset: String(page.offset ?? 0), all: 'true' };
+        if (query) {
+            params.q = query;
+        }
+        return this.request('GET', '/api/v1/labels', { query: params, context: 'Failed to search labels' });
+    }
+
+    /**
+     * Gets a label's ID, using a cache first.
+     * Looks the label up through the labels API and falls back to scanning the
+     * selected photos, so it works even if the first photo doesn't carry the label.
+     * Cache entries are keyed by slug and expire after LABEL_CACHE_TTL.
+     * @param {string} labelName - The name of the label
+     * @param {string[]} uids - Selected photo UIDs to scan if the labels API has no match
+     * @returns {Promise<number>}
+     */
+    async getLabelId(labelName, uids) {
+        const slug = labelSlug(labelName);
+        const labelCache = await getInstanceData('labelCache', {}, this.baseUrl);
+        const cached = labelCache[slug];
+
+        if (cached && cached.cachedAt && Date.now() - cached.cachedAt < LABEL_CACHE_TTL) {
+            return cached.id;
+        }
+
+        try {
+            let labelId = null;
+
+            // Cache miss or expired, search the labels API
+            try {
+                const labels = await this.searchLabels(labelName, { count: 100 });
+                const label = labels.find(l => labelMatches(l, labelName));
+                if (label) {
+                    labelId = label.ID;
+                }
+            } catch (error) {
+                console.warn(`Label search failed, scanning selected photos instead: ${error.message}`);
+            }
+
+            // Fall back to the labels of the selected photos
+            for (const uid of uids.slice(0, LABEL_SCAN_LIMIT)) {
+                if (labelId !== null) break;
+
+                const photo = await this.getPhoto(uid);
+                const photoLabel = photo.Labels?.find(l => l.Label && labelMatches(l.Label, labelName));
+                if (photoLabel) {
+                    labelId = photoLabel.Label.ID;
+                }
+            }
+
+            if (labelId === null) {
+                throw new Error(`Label "${labelName}" not found on this instance, cannot determine its ID.`);
+            }
+
+            labelCache[slug] = { id: labelId, name: labelName, cachedAt: Date.now() };
+            await setInstanceData('labelCache', labelCache, this.baseUrl);
+
+            return labelId;
+        } catch (error) {
+            throw new PhotoPrismApiError(`Failed to get label ID: ${error.message}`, {
+                status: error.status,
+                body: error.body,
+                retryable: error.retryable
+            });
+        }
+    }
+
+    /**
+     * Forgets the cached ID of one label, e.g. when it no longer matches the label on the photos.
+     * @param {string} labelName - The name of the label
+     */
+    async forgetLabelId(labelName) {
+        const labelCache = await getInstanceData('labelCache', {}, this.baseUrl);
+        delete labelCache[labelSlug(labelName)];
+        await setInstanceData('labelCache', labelCache, this.baseUrl);
+    }
+
+    /**
+     * Forgets the cached label IDs, e.g. after labels were renamed, merged or deleted.
+     */
+    async clearLabelCache() {
+        await setInstanceData('labelCache', {}, this.baseUrl);
+    }
+
+    /**
+     * Renames a label everywhere it is used.
+     * @param {string} labelUid - Label UID
+     * @param {string} name - New label name
+     * @returns {Promise<PhotoPrismLabel>} Updated label
+     */
+    renameLabel(labelUid, name) {
+        return this.request('PUT', `/api/v1/labels/${labelUid}`, { body: { Name: name }, context: `Failed to rename label ${labelUid}` });
+    }
+
+    /**
+     * Deletes labels from the instance.
+     * @param {string[]} labelUids - Label UIDs
+     */
+    deleteLabels(labelUids) {
+        return this.request('DELETE', '/api/v1/batch/labels', { body: { labels: labelUids }, context: 'Failed to delete labels' });
+    }
+
+    // --- Albums ---
+
+    /**
+     * Searches the instance's albums.
+     * @param {string} query - Search text (empty for all albums)
+     * @param {PhotoPrismPage} [page] - Page size and offset
+     * @returns {Promise<PhotoPrismAlbum[]>}
+     */
+    searchAlbums(query, page = {}) {
+        const params = { count: String(page.count ?? 100), offset: String(page.offset ?? 0), type: 'album' };
+        if (query) {
+            params.q = query;
+        }
+        return this.request('GET', '/api/v1/albums', { query: params, context: 'Failed to search albums' });
+    }
+
+    /**
+     * Creates a new album.
+     * @param {string} title - Album title
+     * @returns {Promise<PhotoPrismAlbum>} The created album
+     */
+    createAlbum(title) {
+        return this.request('POST', '/api/v1/albums', { body: { Title: title }, context: `Failed to create album "${title}"` });
+    }
+
+    /**
+     * Lists the UIDs of the photos in an album.
+     * @param {string} albumUid - Album UID
+     * @returns {Promise<string[]>}
+     */
+    async getAlbumPhotoUids(albumUid) {
+        const photos = await this.fetchAllPages(page => this.searchPhotos({ s: albumUid }, page), ALBUM_PHOTOS_PAGE_SIZE);
+        return [...new Set(photos.map(photo => photo.UID))];
+    }
+
+    /**
+     * Adds photos to an album or removes them from it.
+     * @param {string} albumUid - Album UID
+     * @param {string[]} uids - Photo UIDs
+     * @param {'add' | 'remove'} action - Whether to add or remove the photos
+     */
+    updateAlbumPhotos(albumUid, uids, action) {
+        return this.request(action === 'add' ? 'POST' : 'DELETE', `/api/v1/albums/${albumUid}/photos`, {
+            body: { photos: uids },
+            context: `Failed to ${action} photos ${action === 'add' ? 'to' : 'from'} album ${albumUid}`
+        });
+    }
+}
+
+// --- Photo Labels ---
+
+/**
+ * Finds a label on photo details by name or slug (case-insensitive).
+ * Labels with an uncertainty of 100 count as removed, which is how PhotoPrism
+ * removes labels that were not added manually.
+ * @param {PhotoPrismPhoto} photo - Photo details from getPhoto.
+ * @param {string} labelName - The name of the label.
+ * @returns {?PhotoPrismPhotoLabel} The photo label or null if the photo doesn't have it
+ */
+function findPhotoLabel(photo, labelName) {
+    const name = labelName.toLowerCase();
+    return photo.Labels?.find(l =>
+        l.Uncertainty < 100 &&
+        (l.Label?.Name?.toLowerCase() === name || l.Label?.Slug?.toLowerCase() === name)
+    ) || null;
+}
+
+// --- Photo Flags ---
+
+/**
+ * Builds the request that sets or clears a flag on a single photo.
+ * @param {string} uid - Photo UID.
+ * @param {'favorite' | 'private' | 'archive' | 'approve'} flag - The flag to change.
+ * @param {boolean} enabled - Whether to set or clear the flag.
+ * @returns {{method: string, path: string, body?: Object}}
+ */
+function getPhotoFlagRequest(uid, flag, enabled) {
+    switch (flag) {
+        case 'favorite':
+            return { method: enabled ? 'POST' : 'DELETE', path: `/api/v1/photos/${uid}/like` };
+        case 'private':
+            return { method: 'PUT', path: `/api/v1/photos/${uid}`, body: { Private: enabled } };
+        case 'archive':
+            return { method: 'POST', path: `/api/v1/batch/photos/${enabled ? 'archive' : 'restore'}`, body: { photos: [uid] } };
+        case 'approve':
+            if (!enabled) {
+                throw new Error('Approval cannot be revoked.');
+            }
+            return { method: 'POST', path: `/api/v1/photos/${uid}/approve` };
+        default:
+            throw new Error(`Unknown photo flag: ${flag}`);
+    }
+}
+
+/**
+ * Tells whether a flag is currently set on photo details.
+ * @param {PhotoPrismPhoto} photo - Photo details from getPhoto.
+ * @param {'favorite' | 'private' | 'archive' | 'approve'} flag - The flag to check.
+ * @returns {boolean}
+ */
+function hasPhotoFlag(photo, flag) {
+    switch (flag) {
+        case 'favorite':
+            return !!photo.Favorite;
+        case 'private':
+            return !!photo.Private;
+        case 'archive':
+            return !!photo.DeletedAt;
+        case 'approve':
+            // Photos waiting for review have a quality score below 3
+            return photo.Quality >= 3;
+        default:
+            return false;
+    }
+}
+
+// --- Label ID Cache Logic ---
+
+// How long a cached label ID is trusted before it is looked up again
+const LABEL_CACHE_TTL = 60 * 60 * 1000;
+
+// How many selected photos to scan for the label when the labels API has no match
+const LABEL_SCAN_LIMIT = 20;
+
+/**
+ * Converts a label name to the slug PhotoPrism uses to identify it
+ * (lowercase ASCII, non-alphanumerics collapsed to dashes).
+ * @param {string} labelName - The name of the label.
+ * @returns {string}
+ */
+function labelSlug(labelName) {
+    return labelName
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Checks whether a label from the API matches a name or slug.
+ * @param {PhotoPrismLabel} label - Label from the API.
+ * @param {string} labelName - The name of the label.
+ * @returns {boolean}
+ */
+function labelMatches(label, labelName) {
+    const slug = labelSlug(labelName);
+    return label.Name?.toLowerCase() === labelName.toLowerCase() ||
+        label.Slug === slug ||
+        label.CustomSlug === slug;
+}
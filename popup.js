@@ -183,34 +183,111 @@ class DebugLogger {
 const debugLogger = new DebugLogger();
 
 // --- DOM Elements ---
+const targetSelect = document.getElementById('target-select');
+const targetQueryInput = document.getElementById('target-query');
 const labelInput = document.getElementById('label-input');
 const addBtn = document.getElementById('add-btn');
 const removeBtn = document.getElementById('remove-btn');
+const labelPriorityInput = document.getElementById('label-priority');
+const labelUncertaintyInput = document.getElementById('label-uncertainty');
+const labelUpgradeCheckbox = document.getElementById('label-upgrade');
 const statusDiv = document.getElementById('status');
-const labelList = document.getElementById('label-list');
+const labelSuggestions = document.getElementById('label-suggestions');
 const recentLabelsContainer = document.getElementById('recent-labels');
 const noRecentSpan = document.getElementById('no-recent');
+const favoriteLabelsContainer = document.getElementById('favorite-labels');
+const labelChipsContainer = document.getElementById('label-chips');
+const previewBtn = document.getElementById('preview-btn');
+const previewResultDiv = document.getElementById('preview-result');
+const albumInput = document.getElementById('album-input');
+const albumSuggestions = document.getElementById('album-suggestions');
+const albumAddBtn = document.getElementById('album-add-btn');
+const albumRemoveBtn = document.getElementById('album-remove-btn');
+const flagSelect = document.getElementById('flag-select');
+const flagBtn = document.getElementById('flag-btn');
+const metadataFieldsContainer = document.getElementById('metadata-fields');
+const metadataPreviewBtn = document.getElementById('metadata-preview-btn');
+const metadataApplyBtn = document.getElementById('metadata-apply-btn');
+const metadataPreviewDiv = document.getElementById('metadata-preview');
+const rulesSummary = document.getElementById('rules-summary');
+const rulesPreviewBtn = document.getElementById('rules-preview-btn');
+const rulesApplyBtn = document.getElementById('rules-apply-btn');
+const rulesPreviewDiv = document.getElementById('rules-preview');
 
 // Progress Bar Elements
 const progressContainer = document.getElementById('progress-container');
 const progressBar = document.getElementById('progress-bar');
 const progressText = document.getElementById('progress-text');
 
+// Label entries committed as chips (each may carry a leading "+" or "-")
+let labelChips = [];
+
+// Autocomplete sources: the server's label catalog and labels used from this extension
+let labelCatalog = [];
+let localLabels = [];
+let highlightedSuggestion = -1;
+
+// Album autocomplete source: the server's album catalog
+let albumCatalog = [];
+
+// Metadata edits and photos of the last diff preview; Apply is only enabled while it is current
+let metadataPreview = null;
+
+// Label operations and photos of the last rules dry run; Apply is only enabled while it is current
+let rulesPreview = null;
 
 // --- Event Listeners ---
 addBtn.addEventListener('click', () => handleAction('add'));
 removeBtn.addEventListener('click', () => handleAction('remove'));
+labelUpgradeCheckbox.addEventListener('change', () => {
+    addBtn.textContent = labelUpgradeCheckbox.checked ? 'Upgrade' : 'Add';
+});
+previewBtn.addEventListener('click', handlePreview);
+labelInput.addEventListener('keydown', handleLabelInputKeydown);
+labelInput.addEventListener('input', showLabelSuggestions);
+labelInput.addEventListener('blur', () => setTimeout(hideLabelSuggestions, 150));
+albumAddBtn.addEventListener('click', () => handleAlbumAction('add'));
+albumRemoveBtn.addEventListener('click', () => handleAlbumAction('remove'));
+flagBtn.addEventListener('click', handleFlagAction);
+targetSelect.addEventListener('change', () => {
+    targetQueryInput.style.display = targetSelect.value === 'query' ? 'block' : 'none';
+    invalidateMetadataPreview();
+    invalidateRulesPreview();
+});
+targetQueryInput.addEventListener('input', () => {
+    invalidateMetadataPreview();
+    invalidateRulesPreview();
+});
+metadataPreviewBtn.addEventListener('click', handleMetadataPreview);
+metadataApplyBtn.addEventListener('click', handleMetadataApply);
+rulesPreviewBtn.addEventListener('click', handleRulesDryRun);
+rulesApplyBtn.addEventListener('click', handleRulesApply);
+document.querySelectorAll('.tab').forEach(tab => {
+    tab.addEventListener('click', () => showTab(tab.dataset.tab));
+});
+albumInput.addEventListener('keydown', handleAlbumInputKeydown);
+albumInput.addEventListener('input', showAlbumSuggestions);
+albumInput.addEventListener('blur', () => setTimeout(() => hideSuggestionList(albumSuggestions), 150));
 
 // Configuration button
 const configBtn = document.getElementById('config-btn');
 configBtn.addEventListener('click', openConfiguration);
+document.getElementById('audit-log-btn').addEventListener('click', openAuditLog);
+document.getElementById('label-manager-btn').addEventListener('click', openLabelManager);
+document.addEventListener('keydown', handleShortcutKeydown);
 
 // Initialize recent labels on page load
 document.addEventListener('DOMContentLoaded', () => {
     debugLogger.initialize();
     debugLogger.logInfo('DOMContentLoaded: Initializing PhotoPrism Helper');
     
-    loadRecentLabels();
+    checkInstanceAccess();
+    loadActiveProfile().then(loadRecentLabels);
+    loadLabelCatalog();
+    loadAlbumCatalog();
+    buildMetadataForm();
+    loadLabelRulesSummary();
+    attachToActiveJob();
     // Async load history and failed operations
     setTimeout(() => {
         debugLogger.logInfo('Loading execution history and failed operations');
@@ -228,9 +305,21 @@ document.addEventListener('DOMContentLoaded', () => {
  * @param {boolean} isProcessing - Whether an operation is in progress.
  */
 function setUIProcessingState(isProcessing) {
+    targetSelect.disabled = isProcessing;
+    targetQueryInput.disabled = isProcessing;
     labelInput.disabled = isProcessing;
     addBtn.disabled = isProcessing;
     removeBtn.disabled = isProcessing;
+    previewBtn.disabled = isProcessing;
+    albumInput.disabled = isProcessing;
+    albumAddBtn.disabled = isProcessing;
+    albumRemoveBtn.disabled = isProcessing;
+    flagSelect.disabled = isProcessing;
+    flagBtn.disabled = isProcessing;
+    metadataPreviewBtn.disabled = isProcessing;
+    metadataApplyBtn.disabled = isProcessing || !metadataPreview;
+    rulesPreviewBtn.disabled = isProcessing;
+    rulesApplyBtn.disabled = isProcessing || !rulesPreview;
     progressContainer.style.display = isProcessing ? 'block' : 'none';
 }
 
@@ -265,351 +354,1475 @@ function setStatus(message, isError = false) {
 async function handleAction(action) {
     debugLogger.logInfo('=== PhotoPrism Helper Debug ===');
     debugLogger.logInfo(`Action: ${action}`);
-    const labelName = labelInput.value.trim();
-    if (!labelName) {
+    const operations = parseLabelOperations([...labelChips, labelInput.value].join(','), action);
+    if (operations.length === 0) {
         setStatus('Please enter a label name.', true);
         return;
     }
 
+    let labelOptions;
+    try {
+        labelOptions = getLabelOptions();
+    } catch (error) {
+        setStatus(error.message, true);
+        return;
+    }
+    const upgrade = labelUpgradeCheckbox.checked;
+    const submitted = await runLabelOperations(operations.map(operation => operation.action === 'add'
+        ? { ...operation, ...labelOptions, action: upgrade ? 'upgrade' : 'add' }
+        : operation));
+    if (submitted) {
+        clearLabelForm();
+    }
+}
+
+/**
+ * Empties the label chips, input and options once their job was submitted, so pressing
+ * the action again doesn't queue the same labels twice.
+ */
+function clearLabelForm() {
+    labelChips = [];
+    displayLabelChips();
+    labelInput.value = '';
+    labelPriorityInput.value = '';
+    labelUncertaintyInput.value = '';
+    labelUpgradeCheckbox.checked = false;
+    addBtn.textContent = 'Add';
+}
+
+/**
+ * Reads the priority and uncertainty entered for added labels. Empty fields are left out so
+ * the profile's label defaults apply.
+ * @returns {{priority?: number, uncertainty?: number}}
+ */
+function getLabelOptions() {
+    const options = {};
+    if (labelPriorityInput.value.trim() !== '') {
+        options.priority = Number(labelPriorityInput.value);
+        if (!Number.isInteger(options.priority)) {
+            throw new Error('Priority must be a whole number.');
+        }
+    }
+    if (labelUncertaintyInput.value.trim() !== '') {
+        options.uncertainty = Number(labelUncertaintyInput.value);
+        if (!Number.isInteger(options.uncertainty) || options.uncertainty < 0 || options.uncertainty > 100) {
+            throw new Error('Uncertainty must be a whole number from 0 to 100.');
+        }
+    }
+    return options;
+}
+
+/**
+ * Runs label operations on the target photos in the background worker.
+ * @param {Array<{action: string, labelName: string}>} operations - Label operations
+ * @returns {Promise<boolean>} Whether the job was submitted
+ */
+async function runLabelOperations(operations) {
+    debugLogger.logInfo(`Label operations: ${describeOperations(operations)}`);
+
+    if (!confirmNewLabels(operations)) {
+        setStatus('Cancelled. Check the label names and try again.');
+        return false;
+    }
+
     setUIProcessingState(true);
     setStatus(`Requesting data from PhotoPrism...`);
     updateProgress(0, 0);
 
-    // Start timing
-    const startTime = Date.now();
-    let executionResult = {
-        action: action,
-        labelName: labelName,
-        totalCount: 0,
-        successCount: 0,
-        failedCount: 0,
-        failedUids: [],
-        startTime: new Date().toISOString(),
-        duration: 0,
-        error: null
-    };
+    try {
+        const { uids, token } = await getTargetPhotos();
+
+        if (!uids || uids.length === 0) {
+            throw new Error("No photos selected. Please select photos in PhotoPrism first.");
+        }
+
+        setStatus(`Processing ${uids.length} photos...`);
+
+        await submitJob({
+            instanceId: await getCurrentInstanceId(),
+            operations: operations,
+            uids: uids,
+            token: token
+        });
+        return true;
+    } catch (error) {
+        setStatus(error.message, true);
+        setUIProcessingState(false);
+        return false;
+    }
+}
+
+/**
+ * Handler for the "Add to album" and "Remove from album" actions.
+ * An unknown album title is created when adding, after confirmation.
+ * @param {'add' | 'remove'} action - The action to perform.
+ */
+async function handleAlbumAction(action) {
+    const albumTitle = albumInput.value.trim();
+    if (!albumTitle) {
+        setStatus('Please enter an album name.', true);
+        return;
+    }
+    debugLogger.logInfo(`Album action: ${action} "${albumTitle}"`);
+
+    const album = findAlbumByTitle(albumTitle, albumCatalog);
+    if (!album && action === 'remove' && albumCatalog.length > 0) {
+        setStatus(`Album "${albumTitle}" not found.`, true);
+        return;
+    }
+    if (!album && action === 'add' && !confirm(`Album "${albumTitle}" doesn't exist yet. Create it?`)) {
+        setStatus('Cancelled. Check the album name and try again.');
+        return;
+    }
+
+    setUIProcessingState(true);
+    setStatus(`Requesting data from PhotoPrism...`);
+    updateProgress(0, 0);
 
     try {
-        const { uids, token } = await getPhotoPrismData();
+        const { uids, token } = await getTargetPhotos();
 
         if (!uids || uids.length === 0) {
             throw new Error("No photos selected. Please select photos in PhotoPrism first.");
         }
 
-        executionResult.totalCount = uids.length;
         setStatus(`Processing ${uids.length} photos...`);
 
-        let result;
-        if (action === 'add') {
-            result = await batchProcess(uids, (uid) => addLabel(uid, labelName, token));
-        } else if (action === 'remove') {
-            const labelId = await getLabelId(labelName, uids[0], token);
-            result = await batchProcess(uids, (uid) => removeLabel(uid, labelId, token));
+        await submitJob({
+            instanceId: await getCurrentInstanceId(),
+            operations: [{
+                type: 'album',
+                action: action,
+                albumUid: album ? album.uid : null,
+                albumTitle: album ? album.name : albumTitle
+            }],
+            uids: uids,
+            token: token
+        });
+
+        // A new album shows up in suggestions once the catalog is fetched again
+        if (!album) {
+            albumCatalog = [];
         }
-        executionResult.successCount = result.successCount;
-        executionResult.failedCount = result.failedCount;
-        executionResult.failedUids = result.failedUids;
+    } catch (error) {
+        setStatus(error.message, true);
+        setUIProcessingState(false);
+    }
+}
 
+/**
+ * Handler for the photo flag action chosen in the flag menu (e.g. favorite, archive).
+ * Archiving asks for confirmation first.
+ */
+async function handleFlagAction() {
+    const [flag, action] = flagSelect.value.split(':');
+    const operation = { type: 'flag', action: action, flag: flag };
+    debugLogger.logInfo(`Flag action: ${describeOperation(operation)}`);
 
-        // Save execution result (will auto-refresh history UI)
-        executionResult.duration = Date.now() - startTime;
-        await saveExecutionResult(executionResult);
+    setUIProcessingState(true);
+    setStatus(`Requesting data from PhotoPrism...`);
+    updateProgress(0, 0);
 
-        // Save failed operations (will auto-refresh failed operations UI)
-        if (executionResult.failedUids.length > 0) {
-            await saveFailedOperation({
-                action: action,
-                labelName: labelName,
-                failedUids: executionResult.failedUids,
-                timestamp: new Date().toISOString(),
-                retryCount: 0
-            });
+    try {
+        const { uids, token } = await getTargetPhotos();
+
+        if (!uids || uids.length === 0) {
+            throw new Error("No photos selected. Please select photos in PhotoPrism first.");
+        }
+
+        if (flag === 'archive' && action === 'add' && !confirm(`Archive ${uids.length} photos?`)) {
+            setStatus('Cancelled.');
+            setUIProcessingState(false);
+            return;
+        }
+
+        setStatus(`Processing ${uids.length} photos...`);
+
+        await submitJob({
+            instanceId: await getCurrentInstanceId(),
+            operations: [operation],
+            uids: uids,
+            token: token
+        });
+    } catch (error) {
+        setStatus(error.message, true);
+        setUIProcessingState(false);
+    }
+}
+
+/**
+ * Runs a quick-label slot (Alt+1 to Alt+9) on the target photos, as the in-page shortcut does
+ * @param {number} slot - Slot number
+ */
+async function runQuickLabel(slot) {
+    if (addBtn.disabled) return;
+
+    try {
+        const quickLabel = await getQuickLabel(await getCurrentInstanceId(), slot);
+        if (!quickLabel) {
+            setStatus(`Alt+${slot} has no label. Set one under Keyboard Shortcuts in Settings.`, true);
+            return;
+        }
+        debugLogger.logInfo(`Quick label Alt+${slot}: ${quickLabel.action} "${quickLabel.labelText}"`);
+        await runLabelOperations(parseLabelOperations(quickLabel.labelText, quickLabel.action));
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+/**
+ * Runs quick-label slots on Alt+1 to Alt+9 like the in-page listener, except while typing in
+ * the popup's fields (see getQuickLabelShortcutSlot)
+ * @param {KeyboardEvent} e - The key event
+ */
+function handleShortcutKeydown(e) {
+    const slot = getQuickLabelShortcutSlot(e);
+    if (slot === null) return;
+
+    e.preventDefault();
+    runQuickLabel(slot);
+}
+
+// --- Metadata Editor ---
+
+/**
+ * Switches between the Labels and Metadata tabs
+ * @param {string} tabId - ID of the tab panel to show
+ */
+function showTab(tabId) {
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+        panel.style.display = panel.id === tabId ? 'block' : 'none';
+    });
+    document.querySelectorAll('.tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabId);
+    });
+}
+
+/**
+ * Builds a row with a mode menu and value input for each editable metadata field
+ */
+function buildMetadataForm() {
+    const modeNames = { set: 'Set', clear: 'Clear', append: 'Append' };
+
+    Object.entries(METADATA_FIELDS).forEach(([field, definition]) => {
+        const row = document.createElement('div');
+        row.className = 'metadata-row';
+        row.dataset.field = field;
+
+        const label = document.createElement('label');
+        label.textContent = definition.label;
+        label.htmlFor = `metadata-${field}`;
+        row.appendChild(label);
+
+        const modeSelect = document.createElement('select');
+        modeSelect.className = 'metadata-mode';
+        [['', 'Keep'], ...definition.modes.map(mode => [mode, modeNames[mode]])].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            modeSelect.appendChild(option);
+        });
+        row.appendChild(modeSelect);
+
+        const input = document.createElement('input');
+        input.id = `metadata-${field}`;
+        input.className = 'metadata-value';
+        input.type = definition.input || 'text';
+        input.placeholder = definition.placeholder || '';
+        input.disabled = true;
+        row.appendChild(input);
+
+        modeSelect.addEventListener('change', () => {
+            input.disabled = modeSelect.value === '' || modeSelect.value === 'clear';
+            invalidateMetadataPreview();
+        });
+        input.addEventListener('input', invalidateMetadataPreview);
+
+        metadataFieldsContainer.appendChild(row);
+    });
+}
+
+/**
+ * Reads the metadata edits entered in the form
+ * @returns {Array<{field: string, mode: string, value: string}>}
+ */
+function getMetadataEdits() {
+    return [...metadataFieldsContainer.querySelectorAll('.metadata-row')]
+        .map(row => ({
+            field: row.dataset.field,
+            mode: row.querySelector('.metadata-mode').value,
+            value: row.querySelector('.metadata-value').value
+        }))
+        .filter(edit => edit.mode)
+        .map(edit => edit.mode === 'clear' ? { field: edit.field, mode: edit.mode } : edit);
+}
+
+/**
+ * Disables Apply after the form changed, so only previewed edits can be saved
+ */
+function invalidateMetadataPreview() {
+    metadataPreview = null;
+    metadataApplyBtn.disabled = true;
+    metadataPreviewDiv.style.display = 'none';
+}
+
+/**
+ * Fetches the selected photos and shows the per-photo diff of the entered metadata edits,
+ * without modifying anything.
+ */
+async function handleMetadataPreview() {
+    const edits = getMetadataEdits();
+    if (edits.length === 0) {
+        setStatus('Choose at least one field to edit.', true);
+        return;
+    }
+    const errors = validateMetadataEdits(edits);
+    if (errors.length > 0) {
+        setStatus(errors.join('\n'), true);
+        return;
+    }
+
+    invalidateMetadataPreview();
+    setUIProcessingState(true);
+    setStatus('Requesting data from PhotoPrism...');
+    updateProgress(0, 0);
+
+    try {
+        const { uids, token, client } = await getTargetPhotos(false);
+
+        if (!uids || uids.length === 0) {
+            throw new Error("No photos selected. Please select photos in PhotoPrism first.");
+        }
+
+        const instanceId = await getCurrentInstanceId();
+        const settings = await getBatchSettings(instanceId);
+        const photos = {};
+        let processed = 0;
+
+        setStatus(`Checking metadata of ${uids.length} photos...`);
+        updateProgress(0, uids.length);
+
+        const result = await batchProcess(uids, async (uid) => {
+            photos[uid] = await client.getPhoto(uid);
+        }, () => updateProgress(++processed, uids.length), settings);
+
+        const diffs = uids
+            .filter(uid => photos[uid])
+            .map(uid => ({ uid: uid, title: photos[uid].Title, changes: applyMetadataEdits(photos[uid], edits).changes }));
+
+        displayMetadataPreview(diffs, result.failedUids);
+        metadataPreview = { edits: edits, uids: uids, token: token };
+        setStatus('Preview ready. Nothing has been changed. Click Apply to save.');
+    } catch (error) {
+        setStatus(error.message, true);
+    } finally {
+        setUIProcessingState(false);
+    }
+}
+
+/**
+ * Displays the per-photo diff of metadata edits
+ * @param {Array<{uid: string, title: string, changes: Array<Object>}>} diffs - Changes per photo
+ * @param {string[]} failedUids - Photos whose details could not be fetched
+ */
+function displayMetadataPreview(diffs, failedUids) {
+    const maxListedPhotos = 20;
+    const changed = diffs.filter(diff => diff.changes.length > 0);
+    metadataPreviewDiv.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.style.fontWeight = 'bold';
+    summary.style.marginBottom = '3px';
+    summary.textContent = `${changed.length} photos would change, ${diffs.length - changed.length} already match.`;
+    metadataPreviewDiv.appendChild(summary);
+
+    changed.slice(0, maxListedPhotos).forEach(diff => {
+        const photoBlock = document.createElement('div');
+        photoBlock.style.marginBottom = '4px';
+
+        const heading = document.createElement('div');
+        heading.style.color = '#333';
+        heading.textContent = diff.title ? `${diff.title} (${diff.uid})` : diff.uid;
+        photoBlock.appendChild(heading);
+
+        diff.changes.forEach(change => {
+            const line = document.createElement('div');
+            line.style.paddingLeft = '8px';
+            line.appendChild(document.createTextNode(`${change.label}: `));
+
+            const before = document.createElement('span');
+            before.className = 'metadata-diff-before';
+            before.textContent = change.before || '(empty)';
+            line.appendChild(before);
+            line.appendChild(document.createTextNode(' → '));
+
+            const after = document.createElement('span');
+            after.className = 'metadata-diff-after';
+            after.textContent = change.after || '(empty)';
+            line.appendChild(after);
+
+            photoBlock.appendChild(line);
+        });
+
+        metadataPreviewDiv.appendChild(photoBlock);
+    });
+
+    if (changed.length > maxListedPhotos) {
+        const more = document.createElement('div');
+        more.style.color = '#666';
+        more.textContent = `…and ${changed.length - maxListedPhotos} more photos`;
+        metadataPreviewDiv.appendChild(more);
+    }
+
+    if (failedUids.length > 0) {
+        const failedLine = document.createElement('div');
+        failedLine.style.color = '#dc3545';
+        failedLine.textContent = `${failedUids.length} photos could not be checked.`;
+        metadataPreviewDiv.appendChild(failedLine);
+    }
+
+    metadataPreviewDiv.style.display = 'block';
+}
+
+/**
+ * Saves the previewed metadata edits on the previewed photos as a background job
+ */
+async function handleMetadataApply() {
+    if (!metadataPreview) return;
+    const { edits, uids, token } = metadataPreview;
+    debugLogger.logInfo(`Metadata edits: ${describeMetadataEdits(edits)}`);
+
+    setUIProcessingState(true);
+    setStatus(`Processing ${uids.length} photos...`);
+    updateProgress(0, 0);
+
+    try {
+        await submitJob({
+            instanceId: await getCurrentInstanceId(),
+            operations: [{ type: 'metadata', action: 'update', edits: edits }],
+            uids: uids,
+            token: token
+        });
+        invalidateMetadataPreview();
+    } catch (error) {
+        setStatus(error.message, true);
+        setUIProcessingState(false);
+    }
+}
+
+// --- Label Rules ---
+
+/**
+ * Gets the enabled label rules from the configuration
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEnabledLabelRules() {
+    const result = await chrome.storage.local.get('pluginConfig');
+    return (result.pluginConfig?.labelRules || []).filter(rule => rule.enabled !== false);
+}
+
+/**
+ * Shows which label rules a dry run would check
+ */
+async function loadLabelRulesSummary() {
+    const rules = await getEnabledLabelRules();
+    rulesSummary.textContent = rules.length > 0
+        ? `Rules: ${rules.map(rule => rule.name || 'Unnamed rule').join(', ')}`
+        : 'No label rules enabled. Add rules in Settings.';
+}
+
+/**
+ * Disables Apply after the target changed, so only a current dry run can be applied
+ */
+function invalidateRulesPreview() {
+    rulesPreview = null;
+    rulesApplyBtn.disabled = true;
+    rulesPreviewDiv.style.display = 'none';
+}
+
+/**
+ * Fetches the target photos and shows which labels the enabled rules would add or remove,
+ * without modifying anything.
+ */
+async function handleRulesDryRun() {
+    const rules = await getEnabledLabelRules();
+    const errors = rules.flatMap(validateRule);
+    if (rules.length === 0) {
+        setStatus('No label rules enabled. Add rules in Settings.', true);
+        return;
+    }
+    if (errors.length > 0) {
+        setStatus(errors.join('\n'), true);
+        return;
+    }
+
+    invalidateRulesPreview();
+    setUIProcessingState(true);
+    setStatus('Requesting data from PhotoPrism...');
+    updateProgress(0, 0);
+
+    try {
+        const { uids, token, client } = await getTargetPhotos(false);
+
+        if (!uids || uids.length === 0) {
+            throw new Error("No photos selected. Please select photos in PhotoPrism first.");
+        }
+
+        const instanceId = await getCurrentInstanceId();
+        const settings = await getBatchSettings(instanceId);
+        const photos = {};
+        let processed = 0;
+
+        setStatus(`Checking ${rules.length} rules on ${uids.length} photos...`);
+        updateProgress(0, uids.length);
+
+        const result = await batchProcess(uids, async (uid) => {
+            photos[uid] = await client.getPhoto(uid);
+        }, () => updateProgress(++processed, uids.length), settings);
+
+        const matches = evaluateRules(rules, photos);
+        const operations = buildRuleOperations(matches);
+
+        displayRulesPreview(matches, operations, uids.length, result.failedUids);
+        if (operations.length > 0) {
+            rulesPreview = { operations: operations, uids: matches.map(match => match.uid), token: token };
+            setStatus('Dry run ready. Nothing has been changed. Click Apply to save.');
         } else {
-            await removeFailedOperation(action, labelName.toLowerCase());
+            setStatus('No photos match the rules.');
         }
+    } catch (error) {
+        setStatus(error.message, true);
+    } finally {
+        setUIProcessingState(false);
+    }
+}
+
+/**
+ * Displays the label operations a rules dry run found and the photos they apply to
+ * @param {Array<Object>} matches - Matching photos, from evaluateRules
+ * @param {Array<{action: string, labelName: string, uids: string[]}>} operations - Resulting label operations
+ * @param {number} checkedCount - Number of photos checked
+ * @param {string[]} failedUids - Photos whose details could not be fetched
+ */
+function displayRulesPreview(matches, operations, checkedCount, failedUids) {
+    const maxListedPhotos = 20;
+    rulesPreviewDiv.innerHTML = '';
+
+    const summary = document.createElement('div');
+    summary.style.fontWeight = 'bold';
+    summary.style.marginBottom = '3px';
+    summary.textContent = `${matches.length} of ${checkedCount} photos match.`;
+    rulesPreviewDiv.appendChild(summary);
+
+    operations.forEach(operation => {
+        const line = document.createElement('div');
+        line.style.color = operation.action === 'add' ? '#28a745' : '#dc3545';
+        line.textContent = `${operation.action === 'add' ? '+' : '-'}${operation.labelName}: ${operation.uids.length} photos`;
+        rulesPreviewDiv.appendChild(line);
+    });
+
+    if (matches.length > 0) {
+        const table = document.createElement('table');
+        table.className = 'rules-table';
+        table.innerHTML = '<thead><tr><th>Photo</th><th>Rules</th><th>Labels</th></tr></thead><tbody></tbody>';
+
+        matches.slice(0, maxListedPhotos).forEach(match => {
+            const row = document.createElement('tr');
+            [
+                match.title ? `${match.title} (${match.uid})` : match.uid,
+                match.rules.join(', '),
+                match.actions.map(action => `${action.action === 'add' ? '+' : '-'}${action.labelName}`).join(' ')
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            table.tBodies[0].appendChild(row);
+        });
+        rulesPreviewDiv.appendChild(table);
+    }
+
+    if (matches.length > maxListedPhotos) {
+        const more = document.createElement('div');
+        more.style.color = '#666';
+        more.textContent = `…and ${matches.length - maxListedPhotos} more photos`;
+        rulesPreviewDiv.appendChild(more);
+    }
+
+    if (failedUids.length > 0) {
+        const failedLine = document.createElement('div');
+        failedLine.style.color = '#dc3545';
+        failedLine.textContent = `${failedUids.length} photos could not be checked.`;
+        rulesPreviewDiv.appendChild(failedLine);
+    }
+
+    rulesPreviewDiv.style.display = 'block';
+}
+
+/**
+ * Applies the label operations of the last rules dry run as a background job
+ */
+async function handleRulesApply() {
+    if (!rulesPreview) return;
+    const { operations, uids, token } = rulesPreview;
+    debugLogger.logInfo(`Rule label operations: ${describeOperations(operations)}`);
+
+    setUIProcessingState(true);
+    setStatus(`Processing ${uids.length} photos...`);
+    updateProgress(0, 0);
+
+    try {
+        await submitJob({
+            instanceId: await getCurrentInstanceId(),
+            operations: operations,
+            uids: uids,
+            token: token
+        });
+        invalidateRulesPreview();
+    } catch (error) {
+        setStatus(error.message, true);
+        setUIProcessingState(false);
+    }
+}
+
+// --- Dry-Run Preview ---
+
+/**
+ * Fetches the selected photos and shows what adding or removing the entered labels would change,
+ * without modifying anything.
+ */
+async function handlePreview() {
+    const operations = parseLabelOperations([...labelChips, labelInput.value].join(','), null);
+    if (operations.length === 0) {
+        setStatus('Please enter a label name.', true);
+        return;
+    }
+
+    setUIProcessingState(true);
+    setStatus('Requesting data from PhotoPrism...');
+    previewResultDiv.style.display = 'none';
+    updateProgress(0, 0);
+
+    try {
+        const { uids, client } = await getTargetPhotos(false);
+
+        if (!uids || uids.length === 0) {
+            throw new Error("No photos selected. Please select photos in PhotoPrism first.");
+        }
+
+        const instanceId = await getCurrentInstanceId();
+        const settings = await getBatchSettings(instanceId);
+        const photos = {};
+        let processed = 0;
+
+        setStatus(`Checking labels on ${uids.length} photos...`);
+        updateProgress(0, uids.length);
+
+        const result = await batchProcess(uids, async (uid) => {
+            photos[uid] = await client.getPhoto(uid);
+        }, () => updateProgress(++processed, uids.length), settings);
+
+        displayLabelPreview(buildLabelPreview(operations, photos), result.failedUids);
+        setStatus('Preview ready. Nothing has been changed.');
+    } catch (error) {
+        setStatus(error.message, true);
+    } finally {
+        setUIProcessingState(false);
+    }
+}
+
+/**
+ * Displays the impact of label operations on the selected photos
+ * @param {Array<Object>} preview - Result of buildLabelPreview
+ * @param {string[]} failedUids - Photos whose details could not be fetched
+ */
+function displayLabelPreview(preview, failedUids) {
+    const maxListedUids = 10;
+    previewResultDiv.innerHTML = '<div style="font-weight: bold; margin-bottom: 3px;">Preview:</div>';
+
+    preview.forEach(item => {
+        const line = document.createElement('div');
+        line.style.marginBottom = '3px';
+
+        const name = document.createElement('span');
+        name.style.fontWeight = 'bold';
+        name.style.color = { add: '#28a745', remove: '#dc3545' }[item.action] || '#333';
+        name.textContent = `${{ add: '+', remove: '-' }[item.action] || ''}${item.labelName}: `;
+        line.appendChild(name);
+
+        let summary;
+        if (item.action === 'add') {
+            summary = `${item.withoutLabel.length} would change, ${item.withLabel.length} already have it`;
+        } else if (item.action === 'remove') {
+            summary = `${item.withLabel.length} would change, ${item.withoutLabel.length} don't have it`;
+        } else {
+            summary = `${item.withLabel.length} have it, ${item.withoutLabel.length} don't ` +
+                `(Add changes ${item.withoutLabel.length}, Remove changes ${item.withLabel.length})`;
+        }
+        line.appendChild(document.createTextNode(summary));
+
+        if (item.action === 'remove' && item.withoutLabel.length > 0) {
+            const uidList = document.createElement('div');
+            uidList.style.cssText = 'font-size: 10px; color: #666; word-break: break-all;';
+            const extra = item.withoutLabel.length - maxListedUids;
+            uidList.textContent = `Without label: ${item.withoutLabel.slice(0, maxListedUids).join(', ')}` +
+                (extra > 0 ? ` …and ${extra} more` : '');
+            line.appendChild(uidList);
+        }
+
+        previewResultDiv.appendChild(line);
+    });
+
+    if (failedUids.length > 0) {
+        const failedLine = document.createElement('div');
+        failedLine.style.color = '#dc3545';
+        failedLine.textContent = `${failedUids.length} photos could not be checked.`;
+        previewResultDiv.appendChild(failedLine);
+    }
+
+    previewResultDiv.style.display = 'block';
+}
+
+// --- Background Jobs ---
+
+/**
+ * Hands a job over to the background worker, which keeps running it after the popup closes.
+ * Jobs on read-only profiles are refused, and profiles set to confirm changes ask first.
+ * @param {Object} job - Job description (instanceId, operations, uids, token)
+ * @returns {Promise<string>} The queued job ID
+ */
+async function submitJob(job) {
+    await confirmProfileWrite(job);
+
+    const response = await chrome.runtime.sendMessage({ action: 'submitJob', job: job });
+    if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not start the background job.');
+    }
+    debugLogger.logInfo(`Submitted job ${response.jobId} for ${job.uids.length} photos`);
+    return response.jobId;
+}
+
+/**
+ * Applies the write safety setting of the job's instance profile.
+ * @param {Object} job - Job description (instanceId, operations, uids)
+ * @throws {Error} If the profile is read-only or the user cancels
+ */
+async function confirmProfileWrite(job) {
+    const profile = await getInstanceProfile(job.instanceId);
+    assertProfileWritable(profile, job.instanceId);
+
+    if (profile.writeMode === 'confirm' &&
+        !confirm(`${getProfileName(profile, job.instanceId)}: ${describeOperations(job.operations)} ` +
+            `on ${job.uids.length} photos. Continue?`)) {
+        throw new Error('Cancelled.');
+    }
+}
+
+/**
+ * Reattaches the popup to the instance's running job and follows storage changes.
+ */
+async function attachToActiveJob() {
+    try {
+        const instanceId = await getCurrentInstanceId();
+        const keys = {
+            activeJob: createInstanceKey('activeJob', instanceId),
+            executionHistory: createInstanceKey('executionHistory', instanceId),
+            failedOperations: createInstanceKey('failedOperations', instanceId),
+            recentLabels: createInstanceKey('recentLabels', instanceId),
+            allLabels: createInstanceKey('allLabels', instanceId)
+        };
+
+        const activeJob = await getInstanceData('activeJob', null, instanceId);
+        if (activeJob && (activeJob.status === 'queued' || activeJob.status === 'running')) {
+            debugLogger.logInfo(`Reattaching to running job ${activeJob.id}`);
+            displayJobProgress(activeJob);
+        }
+
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local') return;
+
+            if (changes[keys.activeJob]) {
+                displayJobProgress(changes[keys.activeJob].newValue);
+            }
+            if (changes[keys.executionHistory]) {
+                displayExecutionHistory(changes[keys.executionHistory].newValue || []);
+            }
+            if (changes[keys.failedOperations]) {
+                displayFailedOperations(changes[keys.failedOperations].newValue || []);
+            }
+            if (changes[keys.recentLabels]) {
+                displayRecentLabels(changes[keys.recentLabels].newValue || []);
+            }
+            if (changes[keys.allLabels]) {
+                updateLocalLabels(changes[keys.allLabels].newValue || []);
+            }
+        });
+    } catch (error) {
+        debugLogger.logError(`Error attaching to active job: ${error}`);
+    }
+}
+
+/**
+ * Renders the progress of a background job.
+ * @param {Object} activeJob - Progress snapshot written by the background worker
+ */
+function displayJobProgress(activeJob) {
+    if (!activeJob) return;
+
+    if (activeJob.status === 'queued' || activeJob.status === 'running') {
+        setUIProcessingState(true);
+        updateProgress(activeJob.processed, activeJob.total);
+        setStatus(`Processing ${activeJob.total} photos...`);
+        return;
+    }
+
+    setUIProcessingState(false);
+
+    const executionResult = activeJob.result;
+    if (!executionResult) return;
+
+    if (executionResult.error && executionResult.successCount === 0 && executionResult.failedCount === 0) {
+        setStatus(executionResult.error, true);
+        return;
+    }
+
+    let finalMessage = `Operation complete. Success: ${executionResult.successCount}`;
+    if (executionResult.unchangedCount > 0) {
+        finalMessage += ` (${executionResult.unchangedCount} ${describeUnchanged(executionResult)})`;
+    }
+    if (executionResult.failedCount > 0) {
+        finalMessage += `, Failed: ${executionResult.failedCount}. Click 'Retry Failed' to retry.`;
+    } else {
+        finalMessage += `.`;
+    }
+    if (executionResult.error) {
+        finalMessage += `\n${executionResult.error}`;
+    }
+    setStatus(finalMessage, executionResult.failedCount > 0 || !!executionResult.error);
+}
+
+/**
+ * Describes the photos a job left unchanged. Label jobs say which way the label already was;
+ * other jobs, and label jobs that both added and removed, are just up to date.
+ * @param {Object} executionResult - The job's execution result
+ * @returns {string}
+ */
+function describeUnchanged(executionResult) {
+    const isLabelJob = executionResult.type === 'label' || !executionResult.type;
+    const actions = new Set((executionResult.labels || []).map(label => label.action === 'remove' ? 'remove' : 'add'));
+    if (!isLabelJob || actions.size !== 1) {
+        return 'already up to date';
+    }
+    return actions.has('remove') ? 'already without the label' : 'already have the label';
+}
+
+
+// --- API Interaction ---
+
+/**
+ * Gets the selected UIDs from the content script, and the token to call the API with:
+ * the instance's configured credentials or else the page's session token. `token` is
+ * passed on to background jobs; `client` calls the API from the popup.
+ * @returns {Promise<{uids: string[], token: string, client: PhotoPrismClient}>}
+ */
+async function getPhotoPrismData() {
+    const data = await getPageData();
+    const client = await PhotoPrismClient.forInstance(await getCurrentInstanceId(), data.token);
+    return { ...data, token: client.token, client: client };
+}
+
+/**
+ * Gets UIDs and the session token (null when logged out) from the content script.
+ * @returns {Promise<{uids: string[], token: ?string}>}
+ */
+function getPageData() {
+    return new Promise((resolve, reject) => {
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            debugLogger.logInfo(`Active tabs found: ${JSON.stringify(tabs)}`);
+            if (!tabs[0]) {
+                return reject(new Error("Could not find active tab."));
+            }
+            debugLogger.logInfo(`Sending message to tab: ${tabs[0].id}, ${tabs[0].url}`);
+            chrome.tabs.sendMessage(tabs[0].id, { action: "getPhotoPrismData" }, (response) => {
+                debugLogger.logInfo(`Received response: ${JSON.stringify(response)}`);
+                debugLogger.logInfo(`Chrome runtime lastError: ${JSON.stringify(chrome.runtime.lastError)}`);
+                
+                if (chrome.runtime.lastError) {
+                    const errorMessage = chrome.runtime.lastError.message || 'Unknown error';
+                    debugLogger.logError(`Full error object: ${JSON.stringify(chrome.runtime.lastError)}`);
+                    
+                    let enhancedMessage = `Could not communicate with PhotoPrism page. `;
+                    
+                    if (errorMessage.includes("Receiving end does not exist")) {
+                        enhancedMessage += `This usually means:\n\n` +
+                            `1. You're not on a PhotoPrism page - please navigate to your PhotoPrism instance\n` +
+                            `2. This PhotoPrism instance hasn't been enabled - use the prompt above, or:\n` +
+                            `   • Click the settings button below\n` +
+                            `   • Add your PhotoPrism URL to the allowed instances\n` +
+                            `   • Refresh the PhotoPrism page and try again\n\n` +
+                            `Error: ${errorMessage}`;
+                    } else if (errorMessage.includes("Could not establish connection")) {
+                        enhancedMessage += `This might be a permission issue. Please:\n\n` +
+                            `1. Ensure you're on a PhotoPrism page\n` +
+                            `2. Check if the extension has permission for this site\n` +
+                            `3. Add this URL to allowed instances in settings\n` +
+                            `4. Refresh the page and try again\n\n` +
+                            `Error: ${errorMessage}`;
+                    } else {
+                        enhancedMessage += `Please ensure you are on a PhotoPrism page and refresh if needed. Error: ${errorMessage}`;
+                    }
+                    
+                    return reject(new Error(enhancedMessage));
+                }
+                if (response && response.success) {
+                    resolve(response.data);
+                } else {
+                    const errorMsg = response.error || "An unknown error occurred.";
+                    
+                    if (errorMsg.includes("not authorized") || errorMsg.includes("permission")) {
+                        reject(new Error(`Authorization error. Please check:\n\n` +
+                            `1. You're logged into PhotoPrism\n` +
+                            `2. Your session hasn't expired\n` +
+                            `3. The extension has permission for this site\n` +
+                            `4. This PhotoPrism instance is added to extension settings\n\n` +
+                            `Details: ${errorMsg}`));
+                    } else {
+                        reject(new Error(errorMsg));
+                    }
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Gets the photos chosen with the Target switch: the clipboard selection, every photo
+ * matching the current page's search or album, or every photo matching a typed query.
+ * Searches are resolved through the photos API and their size is confirmed before running.
+ * @param {boolean} [confirmRun] - Ask before running on the photos found by a search
+ * @returns {Promise<{uids: string[], token: string, client: PhotoPrismClient}>}
+ */
+async function getTargetPhotos(confirmRun = true) {
+    const data = await getPhotoPrismData();
+    if (targetSelect.value === 'selection') {
+        return data;
+    }
+
+    let filter;
+    if (targetSelect.value === 'page') {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        filter = parsePageFilter(tab?.url || '');
+        if (!filter) {
+            throw new Error('This page has no search or album filter. Search or open an album in PhotoPrism first.');
+        }
+    } else {
+        const query = targetQueryInput.value.trim();
+        if (!query) {
+            throw new Error('Please enter a search query, e.g. label:beach year:2023');
+        }
+        filter = { q: query };
+    }
+
+    const description = describePhotoFilter(filter);
+    debugLogger.logInfo(`Resolving photos for ${description}`);
+    setStatus(`Finding photos matching ${description}...`);
+
+    const uids = await resolvePhotoFilter(data.client, filter,
+        count => setStatus(`Finding photos matching ${description}... ${count} found`));
+
+    if (uids.length === 0) {
+        throw new Error(`No photos match ${description}.`);
+    }
+    if (confirmRun && !confirm(`${uids.length} photos match ${description}. Continue?`)) {
+        throw new Error('Cancelled.');
+    }
+
+    return { uids: uids, token: data.token, client: data.client };
+}
+
+// --- Instance Access ---
+
+/**
+ * Offers to enable the extension on the current tab when it can't work there yet: a page
+ * recognized as PhotoPrism that isn't configured, or a configured instance without host access.
+ */
+async function checkInstanceAccess() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const instanceId = await getCurrentInstanceId();
+        const result = await chrome.storage.local.get('pluginConfig');
+        const allowedDomains = Object.fromEntries((result.pluginConfig?.allowedDomains || []).map(domain => [domain, true]));
+        const configured = !!findInstanceEntry(allowedDomains, instanceId);
+
+        if (configured && await hasInstanceAccess(instanceId)) return;
+
+        let message;
+        if (configured) {
+            message = `PhotoPrism Helper needs access to ${new URL(instanceId).host} to work on this instance.`;
+        } else {
+            const detection = await detectPhotoPrism(tab.id);
+            debugLogger.logInfo(`PhotoPrism detection: ${JSON.stringify(detection)}`);
+            if (!detection.detected) return;
+            message = `This looks like PhotoPrism${detection.version ? ` ${detection.version}` : ''}. ` +
+                'Enable PhotoPrism Helper on this instance?';
+        }
+
+        const accessBtn = document.getElementById('instance-access-btn');
+        document.getElementById('instance-access-text').textContent = message;
+        accessBtn.textContent = configured ? 'Grant access' : 'Enable';
+        accessBtn.onclick = () => enableInstance(instanceId, configured);
+        document.getElementById('instance-access').style.display = 'block';
+    } catch (error) {
+        // Browser pages and other tabs the extension can't script
+        debugLogger.logWarn(`Could not check instance access: ${error.message}`);
+    }
+}
+
+/**
+ * Adds the instance to the configuration and asks Chrome for access to it
+ * @param {string} instanceId - Instance identifier
+ * @param {boolean} configured - Whether the instance is already configured
+ */
+async function enableInstance(instanceId, configured) {
+    try {
+        // Saved before asking: the popup may close while Chrome shows its permission prompt,
+        // and the next popup then offers to grant access to the configured instance
+        if (!configured) {
+            await setInstanceAllowed(instanceId, true);
+        }
+
+        const granted = await chrome.permissions.request({ origins: [getOriginPattern(instanceId)] });
+        if (!granted) {
+            if (!configured) {
+                await setInstanceAllowed(instanceId, false);
+            }
+            setStatus('Access was not granted.', true);
+            return;
+        }
+
+        await chrome.runtime.sendMessage({ action: 'syncContentScripts' });
+        window.location.reload();
+    } catch (error) {
+        setStatus(error.message, true);
+    }
+}
+
+/**
+ * Adds an instance to or removes it from the configured domains
+ * @param {string} instanceId - Instance identifier
+ * @param {boolean} allowed - Whether the instance should be configured
+ */
+async function setInstanceAllowed(instanceId, allowed) {
+    const result = await chrome.storage.local.get('pluginConfig');
+    const config = result.pluginConfig || {};
+    const domains = (config.allowedDomains || []).filter(domain => domain !== instanceId);
+
+    await chrome.storage.local.set({
+        pluginConfig: { ...config, allowedDomains: allowed ? [...domains, instanceId] : domains }
+    });
+}
+
+/**
+ * Opens the audit log page for the current instance in a new tab
+ */
+async function openAuditLog() {
+    let query = '';
+    try {
+        query = `?instance=${encodeURIComponent(await getCurrentInstanceId())}`;
+    } catch (error) {
+        debugLogger.logWarn(`Opening audit log without an instance: ${error.message}`);
+    }
+    chrome.tabs.create({ url: chrome.runtime.getURL(`history.html${query}`) });
+}
+
+/**
+ * Opens the Label Manager page for the current instance in a new tab
+ */
+async function openLabelManager() {
+    let query = '';
+    try {
+        query = `?instance=${encodeURIComponent(await getCurrentInstanceId())}`;
+    } catch (error) {
+        debugLogger.logWarn(`Opening label manager without an instance: ${error.message}`);
+    }
+    chrome.tabs.create({ url: chrome.runtime.getURL(`labels.html${query}`) });
+}
+
+/**
+ * Opens the configuration page in a new tab
+ */
+function openConfiguration() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('config.html') });
+}
+
+/**
+ * Clears the label ID cache and recent labels.
+ */
+async function clearLabelCache() {
+    await chrome.storage.local.remove([
+        createInstanceKey('labelCache', await getCurrentInstanceId()),
+        createInstanceKey('recentLabels', await getCurrentInstanceId()),
+        createInstanceKey('allLabels', await getCurrentInstanceId()),
+        createInstanceKey('executionHistory', await getCurrentInstanceId()),
+        createInstanceKey('failedOperations', await getCurrentInstanceId())
+    ]);
+    labelInput.value = '';
+    displayRecentLabels([]);
+    updateLocalLabels([]);
+    displayExecutionHistory([]);
+    displayFailedOperations([]);
+    setStatus('All caches cleared.', false);
+}
+
+// --- Label Chips ---
+
+/**
+ * Commits typed labels as chips on comma or Enter, and removes the last chip on Backspace.
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleLabelInputKeydown(e) {
+    if (handleSuggestionKeydown(e)) return;
+
+    if ((e.key === ',' || e.key === 'Enter') && labelInput.value.trim()) {
+        e.preventDefault();
+        labelInput.value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+            labelChips.push(entry);
+        });
+        labelInput.value = '';
+        hideLabelSuggestions();
+        displayLabelChips();
+    } else if (e.key === 'Backspace' && !labelInput.value && labelChips.length > 0) {
+        labelChips.pop();
+        displayLabelChips();
+    }
+}
+
+/**
+ * Displays committed label entries as removable chips, colored by their action
+ */
+function displayLabelChips() {
+    labelChipsContainer.innerHTML = '';
+    labelChipsContainer.style.display = labelChips.length > 0 ? 'block' : 'none';
+
+    labelChips.forEach((entry, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'label-chip';
+        if (entry.startsWith('+')) {
+            chip.classList.add('label-chip-add');
+        } else if (entry.startsWith('-')) {
+            chip.classList.add('label-chip-remove');
+        }
+        chip.textContent = entry;
+        chip.title = 'Click to remove';
+        chip.addEventListener('click', () => {
+            labelChips.splice(index, 1);
+            displayLabelChips();
+        });
+        labelChipsContainer.appendChild(chip);
+    });
+}
+
+// --- Label Autocomplete ---
+
+/**
+ * Shows cached catalog labels right away and refreshes them from the server when stale.
+ */
+async function loadLabelCatalog() {
+    try {
+        const cached = await getInstanceData('labelCatalog', null);
+        if (cached) {
+            labelCatalog = cached.labels;
+        }
+
+        if (!cached || Date.now() - cached.fetchedAt >= LABEL_CATALOG_TTL) {
+            const { client } = await getPhotoPrismData();
+            labelCatalog = await getLabelCatalog(client, true);
+            debugLogger.logInfo(`Loaded ${labelCatalog.length} labels from the server`);
+        }
+    } catch (error) {
+        debugLogger.logWarn(`Could not load label catalog: ${error.message}`);
+    }
+}
+
+/**
+ * Gets the label entry currently being typed (after the last comma or sign).
+ * @returns {{prefix: string, sign: string, query: string}} Text before the entry, its sign and the typed name
+ */
+function getCurrentLabelEntry() {
+    const value = labelInput.value;
+    const segmentStart = value.lastIndexOf(',') + 1;
+    const segment = value.slice(segmentStart);
+
+    // Entries within a segment are separated by whitespace before a sign, as in parseLabelOperations
+    let entryStart = segmentStart;
+    const separator = /\s+(?=[+-])/g;
+    let match;
+    while ((match = separator.exec(segment))) {
+        entryStart = segmentStart + match.index + match[0].length;
+    }
+
+    const entry = value.slice(entryStart);
+    const trimmed = entry.trimStart();
+    const sign = /^[+-]/.test(trimmed) ? trimmed[0] : '';
+
+    return {
+        prefix: value.slice(0, entryStart) + entry.slice(0, entry.length - trimmed.length),
+        sign: sign,
+        query: trimmed.slice(sign.length).trim()
+    };
+}
+
+/**
+ * Gets autocomplete candidates: the server catalog plus locally used labels it doesn't know.
+ * @returns {Array<{name: string, slug: string, photoCount: ?number, favorite: boolean}>}
+ */
+function getSuggestionCandidates() {
+    const known = new Set(labelCatalog.map(label => label.slug));
+    const extra = localLabels
+        .filter(name => !known.has(labelSlug(name)))
+        .map(name => ({ name: name, slug: labelSlug(name), photoCount: null, favorite: false }));
+    return [...labelCatalog, ...extra];
+}
+
+/**
+ * Shows ranked label suggestions for the entry being typed
+ */
+function showLabelSuggestions() {
+    const { query } = getCurrentLabelEntry();
+    const suggestions = query ? rankLabelSuggestions(query, getSuggestionCandidates()) : [];
+    renderSuggestionList(labelSuggestions, suggestions, selectLabelSuggestion);
+}
+
+/**
+ * Renders suggestions (labels or albums) into a dropdown list
+ * @param {HTMLElement} list - The dropdown element
+ * @param {Array<{name: string, photoCount: ?number, favorite: boolean}>} suggestions - Ranked suggestions
+ * @param {function(string): void} onSelect - Called with the chosen name
+ */
+function renderSuggestionList(list, suggestions, onSelect) {
+    list.innerHTML = '';
+    highlightedSuggestion = -1;
+
+    if (suggestions.length === 0) {
+        hideSuggestionList(list);
+        return;
+    }
+
+    suggestions.forEach(label => {
+        const item = document.createElement('div');
+        item.className = 'label-suggestion';
+        item.dataset.name = label.name;
 
-        // Update recent labels (will auto-refresh labels UI)
-        await addToRecentLabels(labelName);
+        const name = document.createElement('span');
+        name.textContent = `${label.favorite ? '★ ' : ''}${label.name}`;
+        item.appendChild(name);
 
-        // Finally, update final status message after all data is saved and UI refreshed
-        let finalMessage = `Operation complete. Success: ${executionResult.successCount}`;
-        if (executionResult.failedCount > 0) {
-            finalMessage += `, Failed: ${executionResult.failedCount}. Click 'Retry Failed' to retry.`;
-        } else {
-            finalMessage += `.`;
-        }
-        setStatus(finalMessage, executionResult.failedCount > 0);
-        
-    } catch (error) {
-        executionResult.error = error.message;
-        executionResult.duration = Date.now() - startTime;
-        await saveExecutionResult(executionResult); // Save error result
-        setStatus(error.message, true);
-        // Failed operations list may also need refresh, just in case
-        await refreshFailedOperations();
-    } finally {
-        setUIProcessingState(false);
-    }
+        const count = document.createElement('span');
+        count.className = 'label-suggestion-count';
+        count.textContent = label.photoCount === null ? 'used here' : `${label.photoCount} photos`;
+        item.appendChild(count);
+
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            onSelect(label.name);
+        });
+        list.appendChild(item);
+    });
+
+    list.style.display = 'block';
 }
 
 /**
- * Processes an array of UIDs with a given API function, updating progress along the way.
- * @param {string[]} uids - Array of photo UIDs.
- * @param {function(string): Promise<any>} apiFn - The API function to call for each UID.
- * @returns {Promise<{successCount: number, failedCount: number, failedUids: string[]}>} - Object with success, failed counts and failed UIDs
- */
-async function batchProcess(uids, apiFn) {
-    let processedCount = 0;
-    let successCount = 0;
-    let failedCount = 0;
-    const failedUids = [];
-    const total = uids.length;
-
-    debugLogger.logInfo(`Starting batch process for ${total} photos`);
-    updateProgress(processedCount, total);
-
-    const promises = uids.map(uid =>
-        apiFn(uid)
-            .then(res => {
-                debugLogger.logDebug(`Success for UID: ${uid}`);
-                successCount++;
-                return { status: 'fulfilled', value: res, uid };
-            })
-            .catch(err => {
-                debugLogger.logError(`Failed for UID: ${uid}, Error: ${err.message}`);
-                failedCount++;
-                failedUids.push(uid);
-                return { status: 'rejected', reason: err, uid };
-            })
-            .finally(() => {
-                processedCount++;
-                updateProgress(processedCount, total);
-            })
-    );
-
-    await Promise.all(promises);
-
-    debugLogger.logInfo(`Batch process finished. Success: ${successCount}, Failed: ${failedCount}`);
-    
-    return { successCount, failedCount, failedUids };
+ * Hides a suggestion list
+ * @param {HTMLElement} list - The dropdown element
+ */
+function hideSuggestionList(list) {
+    list.style.display = 'none';
+    highlightedSuggestion = -1;
 }
 
-
-// --- API Interaction ---
+/**
+ * Hides the label suggestion list
+ */
+function hideLabelSuggestions() {
+    hideSuggestionList(labelSuggestions);
+}
 
 /**
- * Gets UIDs and token from the content script.
- * @returns {Promise<{uids: string[], token: string}>}
+ * Replaces the entry being typed with the chosen label, keeping its sign
+ * @param {string} labelName - The chosen label
  */
-function getPhotoPrismData() {
-    return new Promise((resolve, reject) => {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            debugLogger.logInfo(`Active tabs found: ${JSON.stringify(tabs)}`);
-            if (!tabs[0]) {
-                return reject(new Error("Could not find active tab."));
-            }
-            debugLogger.logInfo(`Sending message to tab: ${tabs[0].id}, ${tabs[0].url}`);
-            chrome.tabs.sendMessage(tabs[0].id, { action: "getPhotoPrismData" }, (response) => {
-                debugLogger.logInfo(`Received response: ${JSON.stringify(response)}`);
-                debugLogger.logInfo(`Chrome runtime lastError: ${JSON.stringify(chrome.runtime.lastError)}`);
-                
-                if (chrome.runtime.lastError) {
-                    const errorMessage = chrome.runtime.lastError.message || 'Unknown error';
-                    debugLogger.logError(`Full error object: ${JSON.stringify(chrome.runtime.lastError)}`);
-                    
-                    let enhancedMessage = `Could not communicate with PhotoPrism page. `;
-                    
-                    if (errorMessage.includes("Receiving end does not exist")) {
-                        enhancedMessage += `This usually means:\n\n` +
-                            `1. You're not on a PhotoPrism page - please navigate to your PhotoPrism instance\n` +
-                            `2. This PhotoPrism instance hasn't been added to the extension - please:\n` +
-                            `   • Click the settings button below\n` +
-                            `   • Add your PhotoPrism URL to the allowed instances\n` +
-                            `   • Refresh the PhotoPrism page and try again\n\n` +
-                            `Error: ${errorMessage}`;
-                    } else if (errorMessage.includes("Could not establish connection")) {
-                        enhancedMessage += `This might be a permission issue. Please:\n\n` +
-                            `1. Ensure you're on a PhotoPrism page\n` +
-                            `2. Check if the extension has permission for this site\n` +
-                            `3. Add this URL to allowed instances in settings\n` +
-                            `4. Refresh the page and try again\n\n` +
-                            `Error: ${errorMessage}`;
-                    } else {
-                        enhancedMessage += `Please ensure you are on a PhotoPrism page and refresh if needed. Error: ${errorMessage}`;
-                    }
-                    
-                    return reject(new Error(enhancedMessage));
-                }
-                if (response && response.success) {
-                    resolve(response.data);
-                } else {
-                    const errorMsg = response.error || "An unknown error occurred.";
-                    
-                    if (errorMsg.includes("not authorized") || errorMsg.includes("permission")) {
-                        reject(new Error(`Authorization error. Please check:\n\n` +
-                            `1. You're logged into PhotoPrism\n` +
-                            `2. Your session hasn't expired\n` +
-                            `3. The extension has permission for this site\n` +
-                            `4. This PhotoPrism instance is added to extension settings\n\n` +
-                            `Details: ${errorMsg}`));
-                    } else {
-                        reject(new Error(errorMsg));
-                    }
-                }
-            });
-        });
-    });
+function selectLabelSuggestion(labelName) {
+    const { prefix, sign } = getCurrentLabelEntry();
+    labelInput.value = `${prefix}${sign}${labelName}`;
+    hideLabelSuggestions();
+    labelInput.focus();
 }
 
 /**
- * Adds a label to a single photo.
- * @param {string} uid - Photo UID.
- * @param {string} labelName - The name of the label to add.
- * @param {string} token - Auth token.
+ * Handles arrow, Enter, Tab and Escape keys while suggestions are shown
+ * @param {KeyboardEvent} e - The keydown event
+ * @param {HTMLElement} [list] - The dropdown element
+ * @param {function(string): void} [onSelect] - Called with the chosen name
+ * @returns {boolean} Whether the key was handled
  */
-async function addLabel(uid, labelName, token) {
-    // Get current page full URL
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    const currentUrl = new URL(tabs[0].url);
-    const baseUrl = `${currentUrl.protocol}//${currentUrl.host}`;
-    const url = `${baseUrl}/api/v1/photos/${uid}/label`;
-    
-    try {
-        setStatus(`Calling API: ${url}`);
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Auth-Token': token,
-            },
-            body: JSON.stringify({ Name: labelName, Priority: 0 }),
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`API Error: ${response.status} - ${errorText}`);
-        }
-        return response.json();
-    } catch (error) {
-        throw new Error(`Failed to add label to ${url}: ${error.message}`);
+function handleSuggestionKeydown(e, list = labelSuggestions, onSelect = selectLabelSuggestion) {
+    const items = list.querySelectorAll('.label-suggestion');
+    if (list.style.display !== 'block' || items.length === 0) return false;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        highlightedSuggestion = (highlightedSuggestion + step + items.length) % items.length;
+        items.forEach((item, index) => item.classList.toggle('highlighted', index === highlightedSuggestion));
+        return true;
+    }
+    if ((e.key === 'Enter' || e.key === 'Tab') && highlightedSuggestion >= 0) {
+        e.preventDefault();
+        onSelect(items[highlightedSuggestion].dataset.name);
+        return true;
+    }
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        hideSuggestionList(list);
+        return true;
     }
+    return false;
 }
 
 /**
- * Removes a label from a single photo.
- * @param {string} uid - Photo UID.
- * @param {number} labelId - The ID of the label to remove.
- * @param {string} token - Auth token.
+ * Asks for confirmation before adding labels that don't exist yet but look like a typo of one that does
+ * @param {Array<{action: string, labelName: string}>} operations - Label operations about to run
+ * @returns {boolean} Whether to continue
  */
-async function removeLabel(uid, labelId, token) {
-    // Get current page full URL
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    const currentUrl = new URL(tabs[0].url);
-    const baseUrl = `${currentUrl.protocol}//${currentUrl.host}`;
-    const url = `${baseUrl}/api/v1/photos/${uid}/label/${labelId}`;
-    
+function confirmNewLabels(operations) {
+    if (labelCatalog.length === 0) return true;
+
+    const warnings = operations
+        .filter(op => op.action === 'add')
+        .map(op => ({ labelName: op.labelName, similar: findSimilarLabels(op.labelName, labelCatalog) }))
+        .filter(item => item.similar.length > 0)
+        .map(item => `"${item.labelName}" is a new label. Did you mean ` +
+            item.similar.map(label => `"${label.name}" (${label.photoCount} photos)`).join(' or ') + '?');
+
+    if (warnings.length === 0) return true;
+
+    return confirm(`${warnings.join('\n')}\n\nClick OK to create the new label anyway, or Cancel to go back.`);
+}
+
+// --- Album Autocomplete ---
+
+/**
+ * Shows cached catalog albums right away and refreshes them from the server when stale.
+ */
+async function loadAlbumCatalog() {
     try {
-        setStatus(`Calling API: ${url}`);
-        
-        const response = await fetch(url, {
-            method: 'DELETE',
-            headers: {
-                'X-Auth-Token': token,
-            },
-        });
-        
-        if (!response.ok && response.status !== 404) { // Ignore 404 (label not on photo)
-            const errorText = await response.text();
-            throw new Error(`API Error: ${response.status} - ${errorText}`);
+        const cached = await getInstanceData('albumCatalog', null);
+        if (cached) {
+            albumCatalog = cached.albums;
+        }
+
+        if (!cached || Date.now() - cached.fetchedAt >= ALBUM_CATALOG_TTL) {
+            const { client } = await getPhotoPrismData();
+            albumCatalog = await getAlbumCatalog(client, true);
+            debugLogger.logInfo(`Loaded ${albumCatalog.length} albums from the server`);
         }
-        return response.json();
     } catch (error) {
-        throw new Error(`Failed to remove label: ${error.message}`);
+        debugLogger.logWarn(`Could not load album catalog: ${error.message}`);
     }
 }
 
+/**
+ * Shows ranked album suggestions for the typed title
+ */
+function showAlbumSuggestions() {
+    const query = albumInput.value.trim();
+    const suggestions = query ? rankLabelSuggestions(query, albumCatalog) : [];
+    renderSuggestionList(albumSuggestions, suggestions, selectAlbumSuggestion);
+}
 
-
-// --- Label ID Cache Logic ---
+/**
+ * Fills in the chosen album
+ * @param {string} albumTitle - The chosen album's title
+ */
+function selectAlbumSuggestion(albumTitle) {
+    albumInput.value = albumTitle;
+    hideSuggestionList(albumSuggestions);
+    albumInput.focus();
+}
 
 /**
- * Gets a label's ID, using a cache first.
- * @param {string} labelName - The name of the label.
- * @param {string} firstUid - The UID of the first photo to check if cache misses.
- * @param {string} token - Auth token.
- * @returns {Promise<number>}
+ * Handles suggestion navigation in the album input
+ * @param {KeyboardEvent} e - The keydown event
  */
-async function getLabelId(labelName, firstUid, token) {
-    const labelCache = await getInstanceData('labelCache', {});
+function handleAlbumInputKeydown(e) {
+    handleSuggestionKeydown(e, albumSuggestions, selectAlbumSuggestion);
+}
 
-    if (labelCache[labelName]) {
-        return labelCache[labelName];
-    }
+// --- Recent Labels Management ---
 
-    // Cache miss, fetch from API
-    setStatus('Cache miss, fetching label ID from API...');
-    
-    // Get current page full URL
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    const currentUrl = new URL(tabs[0].url);
-    const baseUrl = `${currentUrl.protocol}//${currentUrl.host}`;
-    const url = `${baseUrl}/api/v1/photos/${firstUid}`;
-    
+
+/**
+ * Shows the profile of the current tab's instance and prefills its default labels
+ */
+async function loadActiveProfile() {
     try {
-        const response = await fetch(url, {
-            headers: { 'X-Auth-Token': token }
-        });
-        if (!response.ok) throw new Error('Failed to fetch photo details for label ID.');
+        const instanceId = await getCurrentInstanceId();
+        const profile = await getInstanceProfile(instanceId);
+        const credentials = await getInstanceCredentials(instanceId);
 
-        const photoDetails = await response.json();
-        const label = photoDetails.Labels?.find(l => 
-            l.Label.Name.toLowerCase() === labelName.toLowerCase() || 
-            l.Label.Slug.toLowerCase() === labelName.toLowerCase()
-        );
+        displayProfileBadge(profile, instanceId, credentials);
+        displayFavoriteLabels(profile.favoriteLabels);
 
-        if (!label) {
-            throw new Error(`Label "${labelName}" not found on the photo, cannot determine its ID.`);
+        if (profile.defaultLabels.length > 0) {
+            labelChips = [...profile.defaultLabels];
+            displayLabelChips();
         }
-
-        const labelId = label.Label.ID;
-        labelCache[labelName] = labelId;
-        await setInstanceData('labelCache', labelCache);
-
-        return labelId;
+        debugLogger.logInfo(`Active profile: ${getProfileName(profile, instanceId)} (${profile.writeMode})`);
     } catch (error) {
-        throw new Error(`Failed to get label ID: ${error.message}`);
+        debugLogger.logWarn(`Could not load instance profile: ${error.message}`);
     }
 }
 
 /**
- * Opens the configuration page in a new tab
+ * Displays the active profile's name, color, login method and safety setting
+ * @param {Object} profile - Instance profile
+ * @param {string} instanceId - Instance identifier
+ * @param {Object|null} credentials - Configured login, or null for the page session
  */
-function openConfiguration() {
-    chrome.tabs.create({ url: chrome.runtime.getURL('config.html') });
+function displayProfileBadge(profile, instanceId, credentials) {
+    const details = document.getElementById('profile-details');
+    const login = {
+        appPassword: 'App password',
+        clientCredentials: 'Client credentials'
+    }[credentials?.method] || 'Page session';
+    const safety = { confirm: 'Confirm changes', readOnly: 'Read-only' }[profile.writeMode];
+
+    document.getElementById('profile-color').style.backgroundColor = profile.color;
+    document.getElementById('profile-name').textContent = getProfileName(profile, instanceId);
+    details.textContent = safety ? `${login} · ${safety}` : login;
+    details.classList.toggle('profile-read-only', profile.writeMode === 'readOnly');
+    document.getElementById('profile-badge').style.display = 'flex';
 }
 
 /**
- * Clears the label ID cache and recent labels.
+ * Displays the profile's favorite labels as clickable tags
+ * @param {string[]} labels - Favorite label names
  */
-async function clearLabelCache() {
-    await chrome.storage.local.remove([
-        createInstanceKey('labelCache', await getCurrentInstanceId()),
-        createInstanceKey('recentLabels', await getCurrentInstanceId()),
-        createInstanceKey('allLabels', await getCurrentInstanceId()),
-        createInstanceKey('executionHistory', await getCurrentInstanceId()),
-        createInstanceKey('failedOperations', await getCurrentInstanceId())
-    ]);
-    labelInput.value = '';
-    displayRecentLabels([]);
-    updateLabelDatalist([]);
-    displayExecutionHistory([]);
-    displayFailedOperations([]);
-    setStatus('All caches cleared.', false);
-}
-
-// --- Recent Labels Management ---
+function displayFavoriteLabels(labels) {
+    favoriteLabelsContainer.style.display = labels.length > 0 ? 'block' : 'none';
 
+    labels.forEach(label => {
+        const tag = document.createElement('span');
+        tag.className = 'recent-label-tag';
+        tag.textContent = label;
+        tag.addEventListener('click', () => {
+            labelInput.value = label;
+            labelInput.focus();
+        });
+        favoriteLabelsContainer.appendChild(tag);
+    });
+}
 
 /**
  * Loads recent labels from storage and displays them
@@ -618,16 +1831,16 @@ async function loadRecentLabels() {
     const recentLabels = await getInstanceData('recentLabels', []);
     const allLabels = await getInstanceData('allLabels', []);
     
-    // Set the most recent label as default in input
-    if (recentLabels.length > 0) {
+    // Set the most recent label as default in input, unless the profile prefilled labels
+    if (recentLabels.length > 0 && labelChips.length === 0) {
         labelInput.value = recentLabels[0];
     }
     
     // Display recent labels as clickable tags
     displayRecentLabels(recentLabels);
     
-    // Update datalist with all labels for autocomplete
-    updateLabelDatalist(allLabels);
+    // Include labels used from this extension in autocomplete
+    updateLocalLabels(allLabels);
 }
 
 /**
@@ -660,54 +1873,11 @@ function displayRecentLabels(labels) {
 }
 
 /**
- * Updates the datalist with all labels for autocomplete
+ * Updates the labels used from this extension, offered in autocomplete next to the server catalog
  * @param {string[]} labels - Array of all label names
  */
-function updateLabelDatalist(labels) {
-    labelList.innerHTML = '';
-    labels.forEach(label => {
-        const option = document.createElement('option');
-        option.value = label;
-        labelList.appendChild(option);
-    });
-}
-
-/**
- * Adds a label to recent labels and all labels storage
- * @param {string} labelName - The label to add
- */
-async function addToRecentLabels(labelName) {
-    if (!labelName.trim()) return;
-    
-    // Normalize to lowercase for case-insensitive storage
-    const normalizedLabel = labelName.trim().toLowerCase();
-    
-    let recentLabels = await getInstanceData('recentLabels', []);
-    let allLabels = await getInstanceData('allLabels', []);
-    
-    // Remove from recent if already exists (case-insensitive) to avoid duplicates
-    recentLabels = recentLabels.filter(label => label.toLowerCase() !== normalizedLabel);
-    
-    // Add to beginning of recent labels (most recent first)
-    recentLabels.unshift(normalizedLabel);
-    
-    // Keep only the 20 most recent labels
-    recentLabels = recentLabels.slice(0, 20);
-    
-    // Add to all labels if not already exists (case-insensitive)
-    const existsInAll = allLabels.some(label => label.toLowerCase() === normalizedLabel);
-    if (!existsInAll) {
-        allLabels.push(normalizedLabel);
-        allLabels.sort(); // Sort alphabetically
-    }
-    
-    // Save to storage
-    await setInstanceData('recentLabels', recentLabels);
-    await setInstanceData('allLabels', allLabels);
-    
-    // Ensure UI is updated
-    displayRecentLabels(recentLabels);
-    updateLabelDatalist(allLabels);
+function updateLocalLabels(labels) {
+    localLabels = labels;
 }
 
 /**
@@ -721,7 +1891,7 @@ async function refreshAllDisplays() {
     const recentLabels = await getInstanceData('recentLabels', []);
     const allLabels = await getInstanceData('allLabels', []);
     displayRecentLabels(recentLabels);
-    updateLabelDatalist(allLabels);
+    updateLocalLabels(allLabels);
     
     // Refresh execution history
     const executionHistory = await getInstanceData('executionHistory', []);
@@ -733,56 +1903,8 @@ async function refreshAllDisplays() {
 }
 
 
-/**
- * Removes a failed operation from storage
- * @param {string} action - The action type
- * @param {string} labelName - The label name
- */
-async function removeFailedOperation(action, labelName) {
-    let failedOperations = await getInstanceData('failedOperations', []);
-    
-    // Remove the failed operation for this label/action combination (case-insensitive)
-    failedOperations = failedOperations.filter(
-        op => !(op.labelName.toLowerCase() === labelName.toLowerCase() && op.action === action)
-    );
-    
-    await setInstanceData('failedOperations', failedOperations);
-    
-    // Use independent async loading function to refresh latest data
-    await refreshFailedOperations();
-}
-
 // --- Failed Operations Management ---
 
-/**
- * Saves failed operations for retry functionality
- * @param {Object} failedOperation - The failed operation details
- */
-async function saveFailedOperation(failedOperation) {
-    let failedOperations = await getInstanceData('failedOperations', []);
-    
-    // Add or update the failed operation for this label/action combination
-    const existingIndex = failedOperations.findIndex(
-        op => op.labelName.toLowerCase() === failedOperation.labelName.toLowerCase() && op.action === failedOperation.action
-    );
-    
-    if (existingIndex >= 0) {
-        // Update existing failed operation
-        failedOperations[existingIndex] = failedOperation;
-    } else {
-        // Add new failed operation
-        failedOperations.unshift(failedOperation);
-    }
-    
-    // Keep only the 20 most recent failed operations
-    failedOperations = failedOperations.slice(0, 20);
-    
-    await setInstanceData('failedOperations', failedOperations);
-    
-    // Use independent async loading function to refresh latest data
-    await refreshFailedOperations();
-}
-
 /**
  * Loads failed operations from storage and displays them
  */
@@ -792,75 +1914,124 @@ async function loadFailedOperations() {
 }
 
 /**
- * Displays failed operations in the UI with retry buttons
+ * Displays failed operations in the UI, with the failed photos grouped by failure category.
+ * "Retry" runs the retryable photos; permanent failures can be retried anyway or dismissed.
  * @param {Array} failedOperations - Array of failed operations
  */
 function displayFailedOperations(failedOperations) {
     const failedContainer = document.getElementById('failed-operations');
-    const noFailedSpan = document.getElementById('no-failed');
     
-    if (!failedContainer || !noFailedSpan) return;
+    if (!failedContainer) return;
     
-    if (failedOperations.length === 0) {
-        noFailedSpan.style.display = 'inline';
-        failedContainer.innerHTML = '<div style="font-weight: bold; margin-bottom: 5px; font-size: 12px; color: #dc3545;">Failed Operations:</div>';
-        return;
-    }
+    // Clear existing content except the header
+    failedContainer.innerHTML = `<div style="font-weight: bold; margin-bottom: 5px; font-size: 12px; color: #dc3545;">Failed Operations:
+        <span id="no-failed" style="font-weight: normal; color: #666;">None</span></div>`;
     
-    noFailedSpan.style.display = 'none';
+    if (failedOperations.length === 0) return;
     
-    // Clear existing content except the header
-    failedContainer.innerHTML = '<div style="font-weight: bold; margin-bottom: 5px; font-size: 12px; color: #dc3545;">Failed Operations:</div>';
+    document.getElementById('no-failed').style.display = 'none';
     
     // Add failed operation items
     failedOperations.forEach((operation, index) => {
         const failedItem = document.createElement('div');
         failedItem.style.cssText = 'font-size: 11px; margin-bottom: 5px; padding: 4px; border: 1px solid #ffcdd2; border-radius: 3px; background-color: #ffebee;';
         
-        const actionText = operation.action === 'add' ? 'Add' : 'Remove';
+        const actionText = getActionText(operation);
         const actionColor = operation.action === 'add' ? '#28a745' : '#dc3545';
         const date = new Date(operation.timestamp);
         const dateStr = date.toLocaleDateString();
+        const groups = groupFailures(operation);
+        const retryableCount = getRetryableUids(operation).length;
         
-        failedItem.innerHTML = `
-            <div style="display: flex; justify-content: space-between; align-items: center;">
-                <span>
-                    <span style="color: ${actionColor}; font-weight: bold;">${actionText}</span>
-                    <span style="color: #666;">"${operation.labelName}"</span>
-                    <span style="color: #dc3545;">${operation.failedUids.length} failed</span>
-                </span>
-                <button class="retry-btn" data-index="${index}" 
-                        style="font-size: 10px; padding: 2px 6px; background: #dc3545; color: white; border: none; 
-                               border-radius: 3px; cursor: pointer;">Retry</button>
-            </div>
-            <div style="font-size: 10px; color: #666; margin-top: 2px;">${dateStr} - ${operation.failedUids.length} photos need retry</div>
-        `;
+        // Label names and album titles come from the server, so they are only ever set as text
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+        const summary = document.createElement('span');
+        summary.append(
+            createTextSpan(actionText, `color: ${actionColor}; font-weight: bold;`), ' ',
+            createTextSpan(`"${describeOperation(operation)}"`, 'color: #666;'), ' ',
+            createTextSpan(`${operation.failedUids.length} failed`, 'color: #dc3545;')
+        );
+        const retryBtn = document.createElement('button');
+        retryBtn.textContent = `Retry${retryableCount > 0 ? ` ${retryableCount}` : ''}`;
+        retryBtn.style.cssText = 'font-size: 10px; padding: 2px 6px; background: #dc3545; color: white; border: none; border-radius: 3px; cursor: pointer;';
+        if (retryableCount === 0) {
+            retryBtn.disabled = true;
+            retryBtn.title = 'No failure is worth retrying';
+        }
+        retryBtn.addEventListener('click', () => retryFailedOperation(index));
+        header.append(summary, retryBtn);
         
-        failedContainer.appendChild(failedItem);
-    });
-    
-    // Add event listeners for retry buttons
-    document.querySelectorAll('.retry-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const index = parseInt(e.target.dataset.index);
-            retryFailedOperation(index);
+        const groupsContainer = document.createElement('div');
+        groupsContainer.style.cssText = 'margin-top: 2px;';
+        
+        const dateLine = document.createElement('div');
+        dateLine.style.cssText = 'font-size: 10px; color: #666; margin-top: 2px;';
+        dateLine.textContent = `${dateStr}${operation.retryCount ? ` - retried ${operation.retryCount}x` : ''}`;
+        
+        failedItem.append(header, groupsContainer, dateLine);
+        groups.forEach(group => {
+            const groupLine = document.createElement('div');
+            groupLine.style.cssText = 'display: flex; justify-content: space-between; align-items: center; font-size: 10px; color: #555;';
+            // Server messages may differ per photo; the first is usually enough to tell what happened
+            groupLine.title = group.errors.join('\n');
+            
+            const text = document.createElement('span');
+            text.textContent = `${group.label}: ${group.uids.length}` +
+                (group.hint ? ` - ${group.hint}` : '') +
+                (!group.hint && group.errors.length > 0 ? ` - ${group.errors[0]}` : '');
+            groupLine.appendChild(text);
+            
+            if (!group.retryable) {
+                const actions = document.createElement('span');
+                actions.style.cssText = 'white-space: nowrap; margin-left: 4px;';
+                
+                const retryAnyway = document.createElement('button');
+                retryAnyway.textContent = 'Retry anyway';
+                retryAnyway.style.cssText = 'font-size: 9px; padding: 1px 4px;';
+                retryAnyway.addEventListener('click', () => retryFailedOperation(index, group.uids));
+                
+                const dismiss = document.createElement('button');
+                dismiss.textContent = 'Dismiss';
+                dismiss.title = 'Stop tracking these photos';
+                dismiss.style.cssText = 'font-size: 9px; padding: 1px 4px; margin-left: 2px;';
+                dismiss.addEventListener('click', () => dismissFailures(operation, group.uids));
+                
+                actions.append(retryAnyway, dismiss);
+                groupLine.appendChild(actions);
+            }
+            groupsContainer.appendChild(groupLine);
         });
+        
+        failedContainer.appendChild(failedItem);
     });
 }
 
+/**
+ * Creates a span showing text as is, never parsed as HTML.
+ * @param {string} text - Text to show
+ * @param {string} style - Inline CSS
+ * @returns {HTMLSpanElement}
+ */
+function createTextSpan(text, style) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    span.style.cssText = style;
+    return span;
+}
+
 /**
  * Retries a failed operation
  * @param {number} index - Index of the failed operation in storage
+ * @param {string[]} [uids] - Photos to retry, defaults to the ones with retryable failures
  */
-async function retryFailedOperation(index) {
+async function retryFailedOperation(index, uids) {
     const failedOperations = await getInstanceData('failedOperations', []);
     
     if (index >= failedOperations.length) return;
     
     const operation = failedOperations[index];
-    const labelName = operation.labelName;
-    const failedUids = operation.failedUids;
-    const action = operation.action;
+    const failedUids = uids || getRetryableUids(operation);
     
     if (failedUids.length === 0) return;
     
@@ -868,89 +2039,96 @@ async function retryFailedOperation(index) {
     setStatus(`Retrying ${failedUids.length} failed photos...`);
     updateProgress(0, failedUids.length);
     
-    // Start timing
-    const startTime = Date.now();
-    let retryResult = {
-        action: action,
-        labelName: labelName,
-        totalCount: failedUids.length,
-        successCount: 0,
-        failedCount: 0,
-        failedUids: [],
-        startTime: new Date().toISOString(),
-        duration: 0,
-        error: null,
-        isRetry: true
-    };
-    
     try {
         const { token } = await getPhotoPrismData();
         
-        if (action === 'add') {
-            const result = await batchProcess(failedUids, (uid) => addLabel(uid, labelName, token));
-            retryResult.successCount = result.successCount;
-            retryResult.failedCount = result.failedCount;
-            retryResult.failedUids = result.failedUids;
-        } else if (action === 'remove') {
-            const labelId = await getLabelId(labelName, failedUids[0], token);
-            const result = await batchProcess(failedUids, (uid) => removeLabel(uid, labelId, token));
-            retryResult.successCount = result.successCount;
-            retryResult.failedCount = result.failedCount;
-            retryResult.failedUids = result.failedUids;
-        }
-        
-        // Update the failed operation with new results
-        if (retryResult.failedUids.length === 0) {
-            // All succeeded, remove from failed operations
-            failedOperations.splice(index, 1);
-            await setInstanceData('failedOperations', failedOperations);
-        } else {
-            // Still have failures, update the failed UIDs
-            failedOperations[index].failedUids = retryResult.failedUids;
-            failedOperations[index].retryCount = (failedOperations[index].retryCount || 0) + 1;
-            failedOperations[index].timestamp = new Date().toISOString();
-            await setInstanceData('failedOperations', failedOperations);
-        }
-        
-        // Force immediate refresh with latest data
-        await forceRefreshAllDisplays();
-        
+        await submitJob({
+            instanceId: await getCurrentInstanceId(),
+            operations: [getOperationDefinition(operation)],
+            uids: failedUids,
+            token: token,
+            isRetry: true
+        });
     } catch (error) {
-        retryResult.error = error.message;
         setStatus(error.message, true);
-    } finally {
-        retryResult.duration = Date.now() - startTime;
-        await saveExecutionResult(retryResult);
-        await refreshExecutionHistory();
-        await refreshFailedOperations();
         setUIProcessingState(false);
     }
 }
 
+/**
+ * Stops tracking failed photos that will not succeed; the list refreshes through storage.onChanged
+ * @param {Object} operation - The failed operation
+ * @param {string[]} uids - Photos to dismiss
+ */
+async function dismissFailures(operation, uids) {
+    await dismissFailedUids(operation, uids, await getCurrentInstanceId());
+    setStatus(`Dismissed ${uids.length} failed photos.`);
+}
+
 // --- Execution History Management ---
 
 /**
- * Saves an execution result to history
- * @param {Object} executionResult - The execution result to save
+ * Gets the action label shown for a history entry or failed operation
+ * @param {Object} item - History entry, failed operation or operation
+ * @returns {string} e.g. "Add", "Remove from album" or "Batch" for mixed jobs
  */
-async function saveExecutionResult(executionResult) {
-    const resultWithId = {
-        ...executionResult,
-        id: Date.now().toString()
-    };
-    
-    let executionHistory = await getInstanceData('executionHistory', []);
-    
-    // Add to beginning of history (most recent first)
-    executionHistory.unshift(resultWithId);
-    
-    // Keep only the 50 most recent executions
-    executionHistory = executionHistory.slice(0, 50);
-    
-    await setInstanceData('executionHistory', executionHistory);
-    
-    // 使用独立异步加载函数刷新最新数据
-    await refreshExecutionHistory();
+function getActionText(item) {
+    if (item.action === 'mixed') {
+        return item.type === 'mixed' ? 'Batch' : 'Labels';
+    }
+    if (item.type === 'album') {
+        return item.action === 'add' ? 'Add to album' : 'Remove from album';
+    }
+    if (item.type === 'flag') {
+        return 'Flag';
+    }
+    if (item.type === 'metadata') {
+        return 'Metadata';
+    }
+    if (item.type === 'labelCatalog') {
+        return { rename: 'Rename label', merge: 'Merge labels', delete: 'Delete labels' }[item.action] || item.action;
+    }
+    return { add: 'Add', remove: 'Remove', upgrade: 'Upgrade' }[item.action] || item.action;
+}
+
+/**
+ * Undoes a history entry by running the inverse label operations on the photos that succeeded
+ * @param {string} executionId - ID of the history entry to undo
+ */
+async function undoExecution(executionId) {
+    const executionHistory = await getInstanceData('executionHistory', []);
+    const item = executionHistory.find(entry => entry.id === executionId);
+    if (!item || item.undoneAt) return;
+
+    const operations = buildUndoOperations(item);
+    if (operations.length === 0) {
+        setStatus('Nothing to undo for this execution.', true);
+        return;
+    }
+
+    const summary = operations
+        .map(op => `${op.type && op.type !== 'label' ? getActionText(op) : (op.action === 'add' ? 'Re-add' : 'Remove')} "${describeOperation(op)}" on ${op.uids.length} photos`)
+        .join('\n');
+    if (!confirm(`Undo this execution?\n\n${summary}`)) return;
+
+    setUIProcessingState(true);
+    setStatus('Starting undo...');
+    updateProgress(0, 0);
+
+    try {
+        const { token } = await getPhotoPrismData();
+
+        await submitJob({
+            instanceId: await getCurrentInstanceId(),
+            operations: operations,
+            uids: [...new Set(operations.flatMap(op => op.uids))],
+            token: token,
+            undoOf: executionId
+        });
+    } catch (error) {
+        setStatus(error.message, true);
+        setUIProcessingState(false);
+    }
 }
 
 /**
@@ -1013,19 +2191,54 @@ function displayExecutionHistory(history) {
         const historyItem = document.createElement('div');
         historyItem.style.cssText = 'font-size: 11px; margin-bottom: 3px; padding: 2px; border-left: 2px solid #ccc; padding-left: 5px;';
         
-        const actionText = item.action === 'add' ? 'Add' : 'Remove';
-        const actionColor = item.action === 'add' ? '#28a745' : '#dc3545';
+        const actionText = getActionText(item);
+        const actionColor = { add: '#28a745', remove: '#dc3545' }[item.action] || '#007bff';
         const date = new Date(item.startTime);
         const dateStr = date.toLocaleTimeString();
         const durationSeconds = (item.duration / 1000).toFixed(1);
         
-        historyItem.innerHTML = `
-            <span style="color: ${actionColor}; font-weight: bold;">${actionText}</span>
-            <span style="color: #666;">"${item.labelName}"</span>
-            <span style="color: #333;">${item.successCount}/${item.totalCount} ✓</span>
-            ${item.failedCount > 0 ? `<span style="color: #dc3545;">${item.failedCount} ✗</span>` : ''}
-            <span style="color: #999; font-size: 10px;">${dateStr} (${durationSeconds}s)</span>
-        `;
+        // Label names and album titles come from the server, so they are only ever set as text
+        const parts = [
+            createTextSpan(actionText, `color: ${actionColor}; font-weight: bold;`),
+            createTextSpan(`"${item.labelName}"`, 'color: #666;'),
+            createTextSpan(`${item.successCount}/${item.totalCount} ✓`, 'color: #333;')
+        ];
+        if (item.failedCount > 0) parts.push(createTextSpan(`${item.failedCount} ✗`, 'color: #dc3545;'));
+        if (item.unchangedCount > 0) parts.push(createTextSpan(`${item.unchangedCount} unchanged`, 'color: #999;'));
+        parts.push(createTextSpan(`${dateStr} (${durationSeconds}s)`, 'color: #999; font-size: 10px;'));
+        if (item.undoOf) parts.push(createTextSpan('(undo)', 'color: #6c757d; font-size: 10px;'));
+        if (item.undoneAt) parts.push(createTextSpan('undone', 'color: #6c757d; font-size: 10px;'));
+        parts.forEach(part => historyItem.append(part, ' '));
+        
+        // Undo button for entries that changed photos and haven't been undone yet
+        if (!item.undoneAt && buildUndoOperations(item).length > 0) {
+            const undoBtn = document.createElement('button');
+            undoBtn.className = 'undo-btn';
+            undoBtn.textContent = 'Undo';
+            undoBtn.style.cssText = 'font-size: 10px; padding: 1px 5px; margin-left: 4px; background: #6c757d; color: white; border: none; border-radius: 3px; cursor: pointer;';
+            undoBtn.addEventListener('click', () => undoExecution(item.id));
+            historyItem.appendChild(undoBtn);
+        }
+        
+        // Per-label breakdown for multi-label jobs
+        if (item.labels && item.labels.length > 1) {
+            item.labels.forEach(label => {
+                const labelLine = document.createElement('div');
+                labelLine.style.cssText = 'font-size: 10px; padding-left: 8px;';
+                const labelParts = [
+                    createTextSpan(describeOperation(label, true), `color: ${label.action === 'add' ? '#28a745' : '#dc3545'};`),
+                    createTextSpan(`${label.successCount}/${label.totalCount} ✓`, 'color: #333;')
+                ];
+                if (label.failedCount > 0) labelParts.push(createTextSpan(`${label.failedCount} ✗`, 'color: #dc3545;'));
+                if (label.unchangedCount > 0) labelParts.push(createTextSpan(`${label.unchangedCount} unchanged`, 'color: #999;'));
+                if (label.error) labelParts.push(createTextSpan('error', 'color: #dc3545;'));
+                labelParts.forEach(part => labelLine.append(part, ' '));
+                if (label.error) {
+                    labelLine.title = label.error;
+                }
+                historyItem.appendChild(labelLine);
+            });
+        }
         
         historyContainer.appendChild(historyItem);
     });
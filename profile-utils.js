@@ -0,0 +1,122 @@
+// profile-utils.js - Per-instance profiles shared by the popup and background worker
+//
+// A profile is the entry of a configured domain in pluginConfig.instanceSettings. Next to the
+// batch limits read by getBatchSettings it holds how the instance is shown and guarded:
+// {displayName, color, defaultLabels, favoriteLabels, labelDefaults, writeMode}. The login method is
+// configured alongside but stored separately (see auth-utils.js).
+
+// 'confirm' asks before every change, 'readOnly' refuses changes altogether
+const PROFILE_WRITE_MODES = ['normal', 'confirm', 'readOnly'];
+
+const DEFAULT_PROFILE = {
+    displayName: '',
+    color: '#007bff',
+    defaultLabels: [],
+    favoriteLabels: [],
+    // [{labelName, priority, uncertainty?}] applied when adding these labels
+    labelDefaults: [],
+    writeMode: 'normal'
+};
+
+/**
+ * Gets the profile configured for an instance, falling back to defaults.
+ * Wildcard instance patterns (e.g. https://*.example.com) apply when there is no exact entry.
+ * @param {string} instanceId - Instance identifier
+ * @returns {Promise<Object>} Profile with its batch limits
+ */
+async function getInstanceProfile(instanceId) {
+    const result = await chrome.storage.local.get('pluginConfig');
+    const profile = findInstanceEntry(result.pluginConfig?.instanceSettings || {}, instanceId);
+
+    return { ...DEFAULT_PROFILE, ...DEFAULT_BATCH_SETTINGS, ...profile };
+}
+
+/**
+ * Gets the name an instance is shown with.
+ * @param {Object} profile - Instance profile
+ * @param {string} instanceId - Instance identifier
+ * @returns {string} The display name, or the instance's host
+ */
+function getProfileName(profile, instanceId) {
+    if (profile.displayName) {
+        return profile.displayName;
+    }
+    try {
+        return new URL(instanceId).host;
+    } catch (error) {
+        return instanceId;
+    }
+}
+
+/**
+ * Throws if the profile doesn't allow changes.
+ * @param {Object} profile - Instance profile
+ * @param {string} instanceId - Instance identifier
+ */
+function assertProfileWritable(profile, instanceId) {
+    if (profile.writeMode === 'readOnly') {
+        throw new Error(`${getProfileName(profile, instanceId)} is read-only. ` +
+            'Change its safety setting in Settings to make changes.');
+    }
+}
+
+// --- Label Defaults ---
+
+/**
+ * Gets the priority and uncertainty a profile adds a label with.
+ * @param {Object} profile - Instance profile
+ * @param {string} labelName - Label name, matched ignoring case
+ * @returns {{labelName: string, priority: number, uncertainty?: number}|null}
+ */
+function getLabelDefaults(profile, labelName) {
+    const name = labelName.trim().toLowerCase();
+    return (profile.labelDefaults || []).find(entry => entry.labelName.toLowerCase() === name) || null;
+}
+
+/**
+ * Fills in the priority and uncertainty of a label add or upgrade from the profile's label
+ * defaults. Values chosen for the operation are kept.
+ * @param {Object} operation - Operation
+ * @param {Object} profile - Instance profile
+ * @returns {Object} The operation, or a copy with the defaults
+ */
+function applyLabelDefaults(operation, profile) {
+    if ((operation.type || 'label') !== 'label' || !['add', 'upgrade'].includes(operation.action)) {
+        return operation;
+    }
+    const defaults = getLabelDefaults(profile, operation.labelName);
+    if (!defaults) {
+        return operation;
+    }
+    return {
+        ...operation,
+        priority: operation.priority ?? defaults.priority,
+        uncertainty: operation.uncertainty ?? defaults.uncertainty
+    };
+}
+
+// --- Quick Labels ---
+
+// Alt+1 to Alt+9 apply the labels of the matching slot to the selection
+const QUICK_LABEL_SLOTS = 9;
+
+/**
+ * Gets the labels a quick-label shortcut applies on an instance. Slots configured on the
+ * config page (pluginConfig.quickLabels) take precedence; an empty slot N applies the
+ * profile's Nth favorite label.
+ * @param {string} instanceId - Instance identifier
+ * @param {number} slot - Slot number, 1 to QUICK_LABEL_SLOTS
+ * @returns {Promise<{labelText: string, action: 'add' | 'remove'}|null>} Null if the slot is empty
+ */
+async function getQuickLabel(instanceId, slot) {
+    const result = await chrome.storage.local.get('pluginConfig');
+    const configured = (result.pluginConfig?.quickLabels || [])[slot - 1];
+
+    if (configured?.labels) {
+        return { labelText: configured.labels, action: configured.action === 'remove' ? 'remove' : 'add' };
+    }
+
+    const profile = await getInstanceProfile(instanceId);
+    const favorite = profile.favoriteLabels[slot - 1];
+    return favorite ? { labelText: favorite, action: 'add' } : null;
+}
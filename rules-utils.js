@@ -0,0 +1,162 @@
+// rules-utils.js - Label rules: conditions over photo details that derive label operations
+//
+// Rules are edited on the config page and stored in pluginConfig.labelRules:
+// {id, name, enabled, match: 'all' | 'any', conditions: [{field, operator, value}],
+//  actions: [{action: 'add' | 'remove', labelName}]}
+// Fields are paths into the photo details returned by getPhoto, e.g. "Camera.Model";
+// a path through a list (e.g. "Files.Name") matches if any of its entries does, or for
+// negative operators (≠, is empty) if all of them do.
+
+// Field paths offered on the config page; any other path into the photo details works too
+const RULE_FIELD_SUGGESTIONS = [
+    'Title', 'Caption', 'Path', 'Name', 'OriginalName', 'Type', 'Year', 'Month', 'Country',
+    'Camera.Make', 'Camera.Model', 'Lens.Model', 'Iso', 'FocalLength', 'FNumber', 'Lat', 'Lng',
+    'Favorite', 'Private', 'TakenSrc', 'Details.Keywords', 'Details.Artist', 'Files.Name', 'Labels.Label.Name'
+];
+
+// Text comparisons ignore case; numeric ones need numbers on both sides. Negated operators
+// must hold for every value in a list, so "Labels.Label.Name ≠ cat" skips photos labeled cat.
+const RULE_OPERATORS = {
+    equals: { label: '=', test: (value, expected) => String(value).toLowerCase() === expected.toLowerCase() },
+    notEquals: { label: '≠', test: (value, expected) => String(value).toLowerCase() !== expected.toLowerCase(), negated: true },
+    contains: { label: 'contains', test: (value, expected) => String(value).toLowerCase().includes(expected.toLowerCase()) },
+    startsWith: { label: 'starts with', test: (value, expected) => String(value).toLowerCase().startsWith(expected.toLowerCase()) },
+    endsWith: { label: 'ends with', test: (value, expected) => String(value).toLowerCase().endsWith(expected.toLowerCase()) },
+    matches: { label: 'matches regex', test: (value, expected) => new RegExp(expected, 'i').test(String(value)) },
+    greaterThan: { label: '>', test: (value, expected) => compareNumbers(value, expected) > 0 },
+    lessThan: { label: '<', test: (value, expected) => compareNumbers(value, expected) < 0 },
+    isEmpty: { label: 'is empty', test: value => value === '' || value === 0 || value === false, noValue: true, negated: true },
+    isNotEmpty: { label: 'is not empty', test: value => !(value === '' || value === 0 || value === false), noValue: true }
+};
+
+/**
+ * Compares a field value with a number from a rule.
+ * @param {*} value - Field value
+ * @param {string} expected - Number from the rule
+ * @returns {number} Negative, zero or positive; NaN if either isn't a number
+ */
+function compareNumbers(value, expected) {
+    return parseFloat(value) - parseFloat(expected);
+}
+
+/**
+ * Collects the values at a field path, descending into lists.
+ * @param {Object} photo - Photo details
+ * @param {string} path - e.g. "Camera.Model" or "Files.Name"
+ * @returns {Array<*>} Values found; missing fields and empty lists count as ''
+ */
+function getRuleFieldValues(photo, path) {
+    let values = [photo];
+
+    path.split('.').forEach(key => {
+        values = values
+            .flatMap(value => Array.isArray(value) ? value : [value])
+            .map(value => value?.[key]);
+    });
+
+    values = values
+        .flatMap(value => Array.isArray(value) ? value : [value])
+        .map(value => value === null || value === undefined ? '' : value);
+    return values.length > 0 ? values : [''];
+}
+
+/**
+ * Checks whether a photo matches a rule's conditions.
+ * @param {Object} rule - Label rule
+ * @param {Object} photo - Photo details
+ * @returns {boolean}
+ */
+function ruleMatchesPhoto(rule, photo) {
+    const results = rule.conditions.map(condition => {
+        const operator = RULE_OPERATORS[condition.operator];
+        const values = getRuleFieldValues(photo, condition.field);
+        const test = value => operator.test(value, condition.value ?? '');
+        return operator.negated ? values.every(test) : values.some(test);
+    });
+    return rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+/**
+ * Checks a rule for problems that would stop it from running.
+ * @param {Object} rule - Label rule
+ * @returns {string[]} Problems found, empty if the rule is valid
+ */
+function validateRule(rule) {
+    const errors = [];
+    const name = rule.name || 'Unnamed rule';
+
+    if (rule.conditions.length === 0) {
+        errors.push(`${name}: add at least one condition.`);
+    }
+    rule.conditions.forEach(condition => {
+        const operator = RULE_OPERATORS[condition.operator];
+        if (!condition.field) {
+            errors.push(`${name}: every condition needs a field.`);
+        } else if (!operator) {
+            errors.push(`${name}: unknown operator "${condition.operator}".`);
+        } else if (!operator.noValue && !condition.value) {
+            errors.push(`${name}: "${condition.field} ${operator.label}" needs a value.`);
+        } else if (condition.operator === 'matches') {
+            try {
+                new RegExp(condition.value);
+            } catch (error) {
+                errors.push(`${name}: invalid regular expression "${condition.value}".`);
+            }
+        } else if ((condition.operator === 'greaterThan' || condition.operator === 'lessThan') && isNaN(parseFloat(condition.value))) {
+            errors.push(`${name}: "${condition.field} ${operator.label}" needs a number.`);
+        }
+    });
+
+    if (rule.actions.filter(action => action.labelName).length === 0) {
+        errors.push(`${name}: add at least one label to add or remove.`);
+    }
+    return errors;
+}
+
+/**
+ * Runs the enabled rules over photos without changing anything.
+ * @param {Array<Object>} rules - Label rules
+ * @param {Object<string, Object>} photos - Photo details keyed by UID
+ * @returns {Array<{uid: string, title: string, rules: string[], actions: Array<{action: string, labelName: string}>}>}
+ *   One entry per photo that matched at least one rule
+ */
+function evaluateRules(rules, photos) {
+    const enabledRules = rules.filter(rule => rule.enabled !== false);
+
+    return Object.entries(photos).flatMap(([uid, photo]) => {
+        const matched = enabledRules.filter(rule => ruleMatchesPhoto(rule, photo));
+        if (matched.length === 0) return [];
+
+        return [{
+            uid: uid,
+            title: photo.Title || photo.Name || '',
+            rules: matched.map(rule => rule.name || 'Unnamed rule'),
+            actions: matched.flatMap(rule => rule.actions.filter(action => action.labelName))
+        }];
+    });
+}
+
+/**
+ * Turns rule matches into label operations, each on the photos it applies to.
+ * When rules disagree about a label on a photo, the later rule wins, as with +/- labels typed in the popup.
+ * @param {Array<Object>} matches - Result of evaluateRules
+ * @returns {Array<{action: string, labelName: string, uids: string[]}>}
+ */
+function buildRuleOperations(matches) {
+    const operations = new Map();
+
+    matches.forEach(match => {
+        const finalActions = new Map();
+        match.actions.forEach(action => finalActions.set(action.labelName.toLowerCase(), action));
+
+        finalActions.forEach(action => {
+            const key = `${action.action}:${action.labelName.toLowerCase()}`;
+            if (!operations.has(key)) {
+                operations.set(key, { action: action.action, labelName: action.labelName, uids: [] });
+            }
+            operations.get(key).uids.push(match.uid);
+        });
+    });
+
+    return [...operations.values()];
+}
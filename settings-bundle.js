@@ -0,0 +1,420 @@
+// settings-bundle.js - Export and import of extension settings and per-instance data
+//
+// A bundle is versioned JSON:
+// {format, version, exportedAt, extensionVersion, pluginConfig,
+//  instances: {<instance key suffix>: {instanceId, data: {recentLabels, ...}}}, credentials?}
+// Instance data is stored under keys built by createInstanceKey (`${baseKey}_${suffix}`),
+// so the suffix is kept as is and restores to exactly the same keys.
+
+const SETTINGS_BUNDLE_FORMAT = 'photoprism-helper-settings';
+const SETTINGS_BUNDLE_VERSION = 1;
+
+// Per-instance data included in bundles, with the JSON type each one must have
+const BUNDLE_INSTANCE_KEYS = {
+    labelCache: 'object',
+    recentLabels: 'array',
+    allLabels: 'array',
+    executionHistory: 'array',
+    failedOperations: 'array'
+};
+
+// Profile fields (see profile-utils.js and getBatchSettings) with the JSON type each one must have
+const BUNDLE_PROFILE_FIELDS = {
+    displayName: 'string',
+    color: 'string',
+    defaultLabels: 'array',
+    favoriteLabels: 'array',
+    labelDefaults: 'array',
+    writeMode: 'string',
+    concurrency: 'number',
+    requestsPerSecond: 'number',
+    maxRetries: 'number'
+};
+
+/**
+ * Gets the JSON type of a value for validation messages.
+ * @param {*} value - Any value
+ * @returns {string} 'array', 'object', 'null', 'string', ...
+ */
+function getJsonType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Collects settings and per-instance data from storage into a bundle.
+ * @param {{includeCredentials?: boolean}} [options] - Whether to include instance logins
+ * @returns {Promise<Object>} The bundle
+ */
+async function buildSettingsBundle(options = {}) {
+    const stored = await chrome.storage.local.get(null);
+    const pluginConfig = stored.pluginConfig || {};
+    const knownInstances = (pluginConfig.allowedDomains || []).filter(domain => !domain.includes('*'));
+
+    const instances = {};
+    Object.entries(stored).forEach(([key, value]) => {
+        const baseKey = Object.keys(BUNDLE_INSTANCE_KEYS).find(base => key.startsWith(`${base}_`));
+        if (!baseKey) return;
+
+        const suffix = key.slice(baseKey.length + 1);
+        if (!instances[suffix]) {
+            const instanceId = knownInstances.find(domain => domain.replace(/[^a-zA-Z0-9]/g, '_') === suffix);
+            instances[suffix] = { instanceId: instanceId || null, data: {} };
+        }
+        instances[suffix].data[baseKey] = value;
+    });
+
+    const bundle = {
+        format: SETTINGS_BUNDLE_FORMAT,
+        version: SETTINGS_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        pluginConfig: pluginConfig,
+        instances: instances
+    };
+    if (options.includeCredentials) {
+        bundle.credentials = stored[INSTANCE_CREDENTIALS_KEY] || {};
+    }
+    return bundle;
+}
+
+/**
+ * Checks that parsed JSON is a settings bundle this version can import.
+ * @param {*} bundle - Parsed JSON
+ * @returns {string[]} Problems found, empty if the bundle is valid
+ */
+function validateSettingsBundle(bundle) {
+    const errors = [];
+
+    if (getJsonType(bundle) !== 'object') {
+        return ['The file does not contain a settings bundle.'];
+    }
+    if (bundle.format !== SETTINGS_BUNDLE_FORMAT) {
+        errors.push(`Unknown format "${bundle.format}", expected "${SETTINGS_BUNDLE_FORMAT}".`);
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        errors.push('Missing or invalid bundle version.');
+    } else if (bundle.version > SETTINGS_BUNDLE_VERSION) {
+        errors.push(`Bundle version ${bundle.version} is newer than this extension supports (${SETTINGS_BUNDLE_VERSION}).`);
+    }
+
+    const config = bundle.pluginConfig;
+    if (getJsonType(config) !== 'object') {
+        errors.push('pluginConfig must be an object.');
+    } else {
+        if (config.allowedDomains !== undefined &&
+            (!Array.isArray(config.allowedDomains) || config.allowedDomains.some(domain => typeof domain !== 'string'))) {
+            errors.push('pluginConfig.allowedDomains must be a list of URLs.');
+        }
+        if (config.instanceSettings !== undefined && getJsonType(config.instanceSettings) !== 'object') {
+            errors.push('pluginConfig.instanceSettings must be an object.');
+        } else {
+            Object.entries(config.instanceSettings || {}).forEach(([domain, profile]) => {
+                errors.push(...validateBundleProfile(domain, profile));
+            });
+        }
+        if (config.debugEnabled !== undefined && typeof config.debugEnabled !== 'boolean') {
+            errors.push('pluginConfig.debugEnabled must be true or false.');
+        }
+        if (config.quickLabels !== undefined) {
+            errors.push(...validateBundleQuickLabels(config.quickLabels));
+        }
+        if (config.labelRules !== undefined) {
+            errors.push(...validateBundleLabelRules(config.labelRules));
+        }
+    }
+
+    if (getJsonType(bundle.instances) !== 'object') {
+        errors.push('instances must be an object.');
+    } else {
+        Object.entries(bundle.instances).forEach(([suffix, instance]) => {
+            if (!/^[a-zA-Z0-9_]+$/.test(suffix)) {
+                errors.push(`Invalid instance key "${suffix}".`);
+                return;
+            }
+            if (getJsonType(instance) !== 'object' || getJsonType(instance.data) !== 'object') {
+                errors.push(`Instance "${suffix}" must have a data object.`);
+                return;
+            }
+            Object.entries(instance.data).forEach(([baseKey, value]) => {
+                const expectedType = BUNDLE_INSTANCE_KEYS[baseKey];
+                if (!expectedType) {
+                    errors.push(`Instance "${suffix}" has unknown data "${baseKey}".`);
+                } else if (getJsonType(value) !== expectedType) {
+                    errors.push(`Instance "${suffix}": ${baseKey} must be an ${expectedType}.`);
+                } else if (!isValidInstanceData(baseKey, value)) {
+                    errors.push(`Instance "${suffix}": ${baseKey} has invalid entries.`);
+                }
+            });
+        });
+    }
+
+    if (bundle.credentials !== undefined && getJsonType(bundle.credentials) !== 'object') {
+        errors.push('credentials must be an object.');
+    } else {
+        Object.entries(bundle.credentials || {}).forEach(([domain, credentials]) => {
+            if (!isValidCredentials(credentials)) {
+                errors.push(`credentials for ${domain} must be an app password or a client ID and secret.`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Checks an imported instance profile.
+ * @param {string} domain - Configured domain the profile belongs to
+ * @param {*} profile - Profile from the bundle
+ * @returns {string[]} Problems found
+ */
+function validateBundleProfile(domain, profile) {
+    if (getJsonType(profile) !== 'object') {
+        return [`pluginConfig.instanceSettings: the profile of ${domain} must be an object.`];
+    }
+
+    const errors = Object.entries(BUNDLE_PROFILE_FIELDS)
+        .filter(([field, type]) => profile[field] !== undefined && getJsonType(profile[field]) !== type)
+        .map(([field, type]) => `pluginConfig.instanceSettings: ${field} of ${domain} must be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}.`);
+
+    if (typeof profile.writeMode === 'string' && !PROFILE_WRITE_MODES.includes(profile.writeMode)) {
+        errors.push(`pluginConfig.instanceSettings: unknown safety setting "${profile.writeMode}" for ${domain}.`);
+    }
+    ['defaultLabels', 'favoriteLabels'].forEach(field => {
+        if (Array.isArray(profile[field]) && profile[field].some(label => typeof label !== 'string')) {
+            errors.push(`pluginConfig.instanceSettings: ${field} of ${domain} must be a list of labels.`);
+        }
+    });
+    if (Array.isArray(profile.labelDefaults) && profile.labelDefaults.some(entry =>
+        getJsonType(entry) !== 'object' || typeof entry.labelName !== 'string' || !Number.isInteger(entry.priority) ||
+        (entry.uncertainty !== undefined && !Number.isInteger(entry.uncertainty)))) {
+        errors.push(`pluginConfig.instanceSettings: labelDefaults of ${domain} must be a list of {labelName, priority, uncertainty}.`);
+    }
+    return errors;
+}
+
+/**
+ * Checks imported quick-label slots.
+ * @param {*} quickLabels - Slots from the bundle
+ * @returns {string[]} Problems found
+ */
+function validateBundleQuickLabels(quickLabels) {
+    const isValidSlot = slot => slot === null || (getJsonType(slot) === 'object' &&
+        typeof (slot.labels ?? '') === 'string' && ['add', 'remove', undefined].includes(slot.action));
+
+    if (!Array.isArray(quickLabels) || !quickLabels.every(isValidSlot)) {
+        return ['pluginConfig.quickLabels must be a list of {labels, action} slots.'];
+    }
+    return [];
+}
+
+/**
+ * Checks imported label rules, including the problems the rule editor would report.
+ * @param {*} labelRules - Rules from the bundle
+ * @returns {string[]} Problems found
+ */
+function validateBundleLabelRules(labelRules) {
+    if (!Array.isArray(labelRules)) {
+        return ['pluginConfig.labelRules must be a list.'];
+    }
+
+    return labelRules.flatMap((rule, index) => {
+        if (getJsonType(rule) !== 'object' || !Array.isArray(rule.conditions) || !Array.isArray(rule.actions) ||
+            !rule.conditions.every(condition => getJsonType(condition) === 'object') ||
+            !rule.actions.every(action => getJsonType(action) === 'object')) {
+            return [`pluginConfig.labelRules: rule ${index + 1} must have lists of conditions and actions.`];
+        }
+        return validateRule(rule).map(error => `pluginConfig.labelRules: ${error}`);
+    });
+}
+
+/**
+ * Checks the entries of imported instance data.
+ * @param {string} baseKey - Kind of data, e.g. 'executionHistory'
+ * @param {Object|Array} value - Data of the expected JSON type
+ * @returns {boolean}
+ */
+function isValidInstanceData(baseKey, value) {
+    const isObject = entry => getJsonType(entry) === 'object';
+    const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+
+    switch (baseKey) {
+        case 'labelCache':
+            return Object.values(value).every(isObject);
+        case 'recentLabels':
+        case 'allLabels':
+            return isStringList(value);
+        case 'executionHistory':
+            return value.every(isObject);
+        case 'failedOperations':
+            return value.every(operation => {
+                if (!isObject(operation) || typeof operation.action !== 'string' || !isStringList(operation.failedUids)) {
+                    return false;
+                }
+                try {
+                    getOperationKey(operation);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            });
+        default:
+            return true;
+    }
+}
+
+/**
+ * Checks imported login credentials of one instance.
+ * @param {*} credentials - Credentials from the bundle
+ * @returns {boolean}
+ */
+function isValidCredentials(credentials) {
+    if (getJsonType(credentials) !== 'object') return false;
+    if (credentials.method === 'appPassword') {
+        return typeof credentials.appPassword === 'string';
+    }
+    if (credentials.method === 'clientCredentials') {
+        return typeof credentials.clientId === 'string' && typeof credentials.clientSecret === 'string';
+    }
+    return false;
+}
+
+/**
+ * Merges imported instance data into existing data of the same kind.
+ * @param {string} baseKey - Kind of data, e.g. 'executionHistory'
+ * @param {*} existing - Current value (may be undefined)
+ * @param {*} imported - Value from the bundle
+ * @returns {*} Merged value
+ */
+function mergeInstanceData(baseKey, existing, imported) {
+    if (existing === undefined) return imported;
+
+    switch (baseKey) {
+        case 'labelCache': {
+            const merged = { ...existing };
+            Object.entries(imported).forEach(([slug, entry]) => {
+                if (!merged[slug] || (entry.cachedAt || 0) > (merged[slug].cachedAt || 0)) {
+                    merged[slug] = entry;
+                }
+            });
+            return merged;
+        }
+        case 'recentLabels':
+        case 'allLabels': {
+            const seen = new Set();
+            const merged = [...existing, ...imported].filter(label => {
+                const normalized = String(label).toLowerCase();
+                if (seen.has(normalized)) return false;
+                seen.add(normalized);
+                return true;
+            });
+            return baseKey === 'recentLabels' ? merged.slice(0, MAX_RECENT_LABELS) : merged.sort();
+        }
+        case 'executionHistory': {
+            const ids = new Set(existing.map(entry => entry.id));
+            return [...existing, ...imported.filter(entry => !ids.has(entry.id))]
+                .sort((a, b) => String(b.startTime).localeCompare(String(a.startTime)))
+                .slice(0, MAX_EXECUTION_HISTORY);
+        }
+        case 'failedOperations': {
+            const merged = [...existing];
+            imported.forEach(operation => {
+                const index = merged.findIndex(op => getOperationKey(op) === getOperationKey(operation));
+                if (index < 0) {
+                    merged.push(operation);
+                } else {
+                    merged[index] = {
+                        ...merged[index],
+                        failedUids: [...new Set([...merged[index].failedUids, ...operation.failedUids])],
+                        failures: { ...merged[index].failures, ...operation.failures }
+                    };
+                }
+            });
+            return merged;
+        }
+        default:
+            return imported;
+    }
+}
+
+/**
+ * Merges an imported pluginConfig into the current one. Domains are combined, imported
+ * profiles and label rules replace those of the same domain or rule ID, imported quick-label
+ * slots replace the same slots unless they are empty, and other imported settings (e.g.
+ * debug mode) win.
+ * @param {Object} current - Stored pluginConfig
+ * @param {Object} imported - pluginConfig from the bundle
+ * @returns {Object} Merged pluginConfig
+ */
+function mergePluginConfig(current, imported) {
+    const currentQuickLabels = current.quickLabels || [];
+    const importedQuickLabels = imported.quickLabels || [];
+    const importedRuleIds = new Set((imported.labelRules || []).map(rule => rule.id));
+
+    return {
+        ...current,
+        ...imported,
+        allowedDomains: [...new Set([...(current.allowedDomains || []), ...(imported.allowedDomains || [])])],
+        instanceSettings: { ...(current.instanceSettings || {}), ...(imported.instanceSettings || {}) },
+        quickLabels: Array.from({ length: Math.max(currentQuickLabels.length, importedQuickLabels.length) }, (_, index) =>
+            importedQuickLabels[index]?.labels ? importedQuickLabels[index] : currentQuickLabels[index] || { labels: '', action: 'add' }),
+        labelRules: [
+            ...(current.labelRules || []).filter(rule => !importedRuleIds.has(rule.id)),
+            ...(imported.labelRules || [])
+        ]
+    };
+}
+
+/**
+ * Restores a bundle into storage.
+ * @param {Object} bundle - A validated bundle
+ * @param {{mode: 'merge' | 'replace', instances: string[], includeSettings: boolean}} options
+ *   `instances` lists the instance key suffixes to import; `includeSettings` imports
+ *   pluginConfig (domains, profiles, debug mode, quick labels, label rules) and any logins
+ *   in the bundle
+ * @returns {Promise<{instances: number, settings: boolean}>} What was imported
+ */
+async function applySettingsBundle(bundle, options) {
+    const replace = options.mode === 'replace';
+    const stored = await chrome.storage.local.get(null);
+    const updates = {};
+    const removals = [];
+
+    if (options.includeSettings) {
+        const current = stored.pluginConfig || {};
+        const imported = bundle.pluginConfig;
+
+        updates.pluginConfig = replace ? imported : mergePluginConfig(current, imported);
+
+        if (bundle.credentials) {
+            updates[INSTANCE_CREDENTIALS_KEY] = replace
+                ? bundle.credentials
+                : { ...(stored[INSTANCE_CREDENTIALS_KEY] || {}), ...bundle.credentials };
+        }
+    }
+
+    options.instances.forEach(suffix => {
+        const instance = bundle.instances[suffix];
+        if (!instance) return;
+
+        Object.keys(BUNDLE_INSTANCE_KEYS).forEach(baseKey => {
+            const key = `${baseKey}_${suffix}`;
+            const imported = instance.data[baseKey];
+
+            if (imported === undefined) {
+                // Replacing an instance drops data the bundle doesn't have
+                if (replace && key in stored) removals.push(key);
+                return;
+            }
+            updates[key] = replace ? imported : mergeInstanceData(baseKey, stored[key], imported);
+        });
+    });
+
+    if (removals.length > 0) {
+        await chrome.storage.local.remove(removals);
+    }
+    await chrome.storage.local.set(updates);
+
+    return { instances: options.instances.length, settings: !!options.includeSettings };
+}
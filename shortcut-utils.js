@@ -0,0 +1,29 @@
+// shortcut-utils.js - Quick-label keyboard shortcuts shared by the popup and the content script
+//
+// Only function declarations live here: the content script may be injected into a tab
+// that already has it, and redeclaring a top-level const would throw.
+
+/**
+ * Gets the quick-label slot of an Alt+1 to Alt+9 key press. Keys are matched by code so the
+ * shortcuts also work on layouts where Alt+digit types a character. Keys typed into text
+ * fields are left alone, as Alt+digit may be part of the text there.
+ * @param {KeyboardEvent} e - The key event
+ * @returns {?number} Slot number 1 to 9, or null if the key press is not a shortcut
+ */
+function getQuickLabelShortcutSlot(e) {
+    if (!e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return null;
+    if (isEditableTarget(e.target)) return null;
+
+    const match = /^Digit([1-9])$/.exec(e.code);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Checks whether key presses on an element type text
+ * @param {EventTarget} target - The event target
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+    if (!target) return false;
+    return target.isContentEditable === true || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
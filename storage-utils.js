@@ -37,15 +37,33 @@ function createInstanceKey(baseKey, instanceId) {
     return `${baseKey}_${sanitized}`;
 }
 
+/**
+ * Finds the entry configured for an instance in a map keyed by configured domain.
+ * Wildcard domains (e.g. https://*.example.com) apply when there is no exact entry.
+ * @param {Object<string, *>} entries - Entries keyed by configured domain
+ * @param {string} instanceId - Instance identifier
+ * @returns {*} The matching entry, or undefined
+ */
+function findInstanceEntry(entries, instanceId) {
+    if (entries[instanceId]) {
+        return entries[instanceId];
+    }
+    const pattern = Object.keys(entries).find(domain =>
+        domain.includes('*') && new RegExp(`^${domain.replace(/\*/g, '.*')}$`).test(instanceId)
+    );
+    return pattern ? entries[pattern] : undefined;
+}
+
 /**
  * Gets instance-specific data
  * @param {string} baseKey - Base storage key
  * @param {*} defaultValue - Default if not found
- * @returns {Promise<*>} Data for current instance
+ * @param {string} [instanceId] - Instance identifier, defaults to the active tab's instance
+ * @returns {Promise<*>} Data for the instance
  */
-async function getInstanceData(baseKey, defaultValue = null) {
+async function getInstanceData(baseKey, defaultValue = null, instanceId = null) {
     try {
-        const instanceId = await getCurrentInstanceId();
+        instanceId = instanceId || await getCurrentInstanceId();
         const key = createInstanceKey(baseKey, instanceId);
         const result = await chrome.storage.local.get(key);
         return result[key] || defaultValue;
@@ -59,11 +77,12 @@ async function getInstanceData(baseKey, defaultValue = null) {
  * Sets instance-specific data
  * @param {string} baseKey - Base storage key
  * @param {*} value - Value to store
+ * @param {string} [instanceId] - Instance identifier, defaults to the active tab's instance
  * @returns {Promise<void>}
  */
-async function setInstanceData(baseKey, value) {
+async function setInstanceData(baseKey, value, instanceId = null) {
     try {
-        const instanceId = await getCurrentInstanceId();
+        instanceId = instanceId || await getCurrentInstanceId();
         const key = createInstanceKey(baseKey, instanceId);
         await chrome.storage.local.set({ [key]: value });
     } catch (error) {
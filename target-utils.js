@@ -0,0 +1,89 @@
+// target-utils.js - Resolves the photos an operation targets beyond the clipboard selection
+
+// Photos requested per page when resolving a search
+const TARGET_PAGE_SIZE = 1000;
+
+// Photo search scope for each PhotoPrism page, by its route name
+const PAGE_FILTERS = {
+    browse: {},
+    favorites: { favorite: 'true' },
+    private: { private: 'true' },
+    archive: { archived: 'true' },
+    review: { review: 'true' },
+    unsorted: { unsorted: 'true' }
+};
+
+// Routes that show the photos of an album (albums, moments, calendar months, folders and states)
+const ALBUM_ROUTES = ['albums', 'moments', 'calendar', 'folders', 'states'];
+
+/**
+ * Reads the photo search filter of a PhotoPrism page from its URL, e.g. the search
+ * query of the browse page or the album being viewed.
+ * @param {string} pageUrl - URL of the PhotoPrism tab
+ * @returns {Object<string, string>|null} Search parameters for searchPhotos, or null if the page has no filter
+ */
+function parsePageFilter(pageUrl) {
+    let url;
+    try {
+        url = new URL(pageUrl);
+    } catch {
+        return null;
+    }
+
+    const segments = url.pathname.split('/').filter(Boolean);
+    const routeIndex = segments.findIndex(segment => segment in PAGE_FILTERS || ALBUM_ROUTES.includes(segment));
+    if (routeIndex < 0) return null;
+
+    const route = segments[routeIndex];
+    let filter;
+    if (ALBUM_ROUTES.includes(route)) {
+        const albumUid = segments[routeIndex + 1];
+        if (!albumUid || albumUid === 'view') return null;
+        filter = { s: albumUid };
+    } else {
+        filter = { ...PAGE_FILTERS[route] };
+    }
+
+    const query = url.searchParams.get('q');
+    if (query && query.trim()) {
+        filter.q = query.trim();
+    }
+
+    // Browsing without a query would target the whole library
+    return Object.keys(filter).length > 0 ? filter : null;
+}
+
+/**
+ * Describes a photo search filter for status and confirmation messages.
+ * @param {Object<string, string>} filter - Search parameters
+ * @returns {string} e.g. 'query "label:beach"' or 'album as6sg6bxpogaaba9'
+ */
+function describePhotoFilter(filter) {
+    const parts = [];
+    if (filter.s) parts.push(`album ${filter.s}`);
+    Object.keys(PAGE_FILTERS).forEach(route => {
+        const [key] = Object.keys(PAGE_FILTERS[route]);
+        if (key && filter[key]) parts.push(route);
+    });
+    if (filter.q) parts.push(`query "${filter.q}"`);
+    return parts.join(', ');
+}
+
+/**
+ * Pages through the photo search and collects the UIDs of all matching photos.
+ * @param {PhotoPrismClient} client - API client of the instance
+ * @param {Object<string, string>} filter - Search parameters
+ * @param {function(number): void} [onProgress] - Called with the number of photos found so far
+ * @returns {Promise<string[]>} Matching photo UIDs
+ */
+async function resolvePhotoFilter(client, filter, onProgress = () => {}) {
+    // Results come one per file, so photos are counted once each
+    const uids = new Set();
+    await client.fetchAllPages(async page => {
+        const photos = await client.searchPhotos(filter, page);
+        photos.forEach(photo => uids.add(photo.UID));
+        onProgress(uids.size);
+        return photos;
+    }, TARGET_PAGE_SIZE);
+    return [...uids];
+}
@@ -0,0 +1,394 @@
+// Tests for the background worker's job queue, run end to end against the mock PhotoPrism server
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub, sendRuntimeMessage } = require('./helpers/chrome-stub');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { startMockPhotoPrism, DEFAULT_TOKEN } = require('./helpers/mock-photoprism');
+
+/**
+ * Waits until the instance's active job has finished.
+ * @param {Object} worker - Loaded worker context
+ * @param {string} instanceId - Instance identifier
+ * @returns {Promise<Object>} The job's execution result
+ */
+async function waitForJob(worker, instanceId) {
+    const deadline = Date.now() + 5000;
+    while (Date.now() < deadline) {
+        const activeJob = await worker.getInstanceData('activeJob', null, instanceId);
+        if (activeJob?.status === 'completed' && activeJob.result) {
+            // Let the queue drop the finished job before the next test step
+            await worker.evaluate('saveChain');
+            return activeJob.result;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Job did not finish');
+}
+
+describe('background.js', () => {
+    let server;
+    let chrome;
+    let worker;
+
+    const loadWorker = () => loadScripts(['background.js'], chrome);
+    const submitJob = job => sendRuntimeMessage(chrome, {
+        action: 'submitJob',
+        job: { instanceId: server.url, token: DEFAULT_TOKEN, ...job }
+    });
+    const setProfile = profile => {
+        chrome.storageData.pluginConfig = {
+            allowedDomains: [server.url],
+            instanceSettings: { [server.url]: { requestsPerSecond: 0, maxRetries: 1, ...profile } }
+        };
+    };
+
+    const undo = async () => {
+        const [entry] = await worker.getInstanceData('executionHistory', [], server.url);
+        const operations = plain(worker.buildUndoOperations(entry));
+        await submitJob({ operations, uids: [...new Set(operations.flatMap(op => op.uids))], undoOf: entry.id });
+        return waitForJob(worker, server.url);
+    };
+
+    beforeEach(async () => {
+        server = await startMockPhotoPrism({
+            photos: [
+                { UID: 'p1', labels: [{ name: 'Beach' }] },
+                { UID: 'p2', labels: [{ name: 'Beach', source: 'image', uncertainty: 30 }] },
+                { UID: 'p3' }
+            ]
+        });
+        chrome = createChromeStub();
+        setProfile({});
+        worker = loadWorker();
+    });
+
+    afterEach(() => server.close());
+
+    it('adds labels and records the execution', async () => {
+        const response = await submitJob({ operations: [{ action: 'add', labelName: 'Sunset' }], uids: ['p1', 'p2', 'p3'] });
+        assert.equal(response.success, true);
+
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 3);
+        ['p1', 'p2', 'p3'].forEach(uid => assert.ok(server.photoLabels(uid).includes('Sunset')));
+
+        const [entry] = await worker.getInstanceData('executionHistory', [], server.url);
+        assert.equal(entry.labelName, 'Sunset');
+        assert.deepEqual(await worker.getInstanceData('recentLabels', [], server.url), ['sunset']);
+        assert.deepEqual(chrome.storageData.jobQueue, []);
+    });
+
+    it('removes labels, skipping photos without them and keeping what undo needs', async () => {
+        await submitJob({ operations: [{ action: 'remove', labelName: 'beach' }], uids: ['p1', 'p2', 'p3'] });
+
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 3);
+        assert.equal(result.unchangedCount, 1);
+        assert.deepEqual(['p1', 'p2'].map(uid => server.photoLabels(uid)), [[], []]);
+
+        const [entry] = await worker.getInstanceData('executionHistory', [], server.url);
+        assert.deepEqual(entry.labels[0].removedLabels.p2, { priority: 0, uncertainty: 30 });
+        assert.deepEqual(entry.labels[0].unchangedUids, ['p3']);
+    });
+
+    it('resolves a stale cached label ID again when no photo carries it', async () => {
+        await worker.setInstanceData('labelCache', { beach: { id: 999, name: 'beach', cachedAt: Date.now() } }, server.url);
+
+        await submitJob({ operations: [{ action: 'remove', labelName: 'beach' }], uids: ['p1', 'p2'] });
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 2);
+        assert.equal(result.unchangedCount, 0);
+        assert.deepEqual(['p1', 'p2'].map(uid => server.photoLabels(uid)), [[], []]);
+        const labelId = server.labels.find(label => label.Name === 'Beach').ID;
+        assert.equal((await worker.getInstanceData('labelCache', {}, server.url)).beach.id, labelId);
+    });
+
+    it('saves progress throttled instead of after every photo', async () => {
+        await server.close();
+        const uids = Array.from({ length: 40 }, (_, index) => `p${index}`);
+        server = await startMockPhotoPrism({ photos: uids.map(uid => ({ UID: uid })) });
+        setProfile({});
+        let queueWrites = 0;
+        chrome.storage.onChanged.addListener(changes => {
+            if (changes.jobQueue) queueWrites++;
+        });
+
+        await submitJob({ operations: [{ action: 'add', labelName: 'Sunset' }], uids });
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 40);
+        assert.ok(queueWrites < 10, `${queueWrites} queue writes`);
+    });
+
+    it('keeps an undo with failures open and retries it with the removed labels\' values', async () => {
+        await submitJob({ operations: [{ action: 'remove', labelName: 'beach' }], uids: ['p1', 'p2'] });
+        await waitForJob(worker, server.url);
+        server.fail({ method: 'POST', path: '/api/v1/photos/p2/label', status: 404 });
+
+        await undo();
+
+        const history = await worker.getInstanceData('executionHistory', [], server.url);
+        assert.equal(history[1].undoneAt, undefined);
+        const [failed] = await worker.getInstanceData('failedOperations', [], server.url);
+        assert.deepEqual(failed.restoreLabels, { p2: { priority: 0, uncertainty: 30 } });
+
+        await submitJob({ operations: [plain(worker.getOperationDefinition(failed))], uids: failed.failedUids, isRetry: true });
+        await waitForJob(worker, server.url);
+
+        assert.equal(server.photos.get('p2').Labels[0].Uncertainty, 30);
+        assert.deepEqual(await worker.getInstanceData('failedOperations', [], server.url), []);
+    });
+
+    it('adds labels only where missing,so undo keeps labels the photos already had', async () => {
+        await submitJob({ operations: [{ action: 'add', labelName: 'beach' }], uids: ['p1', 'p2', 'p3'] });
+
+        const result = await waitForJob(worker, server.url);
+
+        assert.deepEqual([result.successCount, result.unchangedCount], [3, 2]);
+        assert.equal(server.photos.get('p2').Labels[0].LabelSrc, 'image');
+
+        await undo();
+
+        assert.deepEqual(['p1', 'p2', 'p3'].map(uid => server.photoLabels(uid)), [['Beach'], ['Beach'], []]);
+    });
+
+    it('adds photos to an album, leaving existing members out of the undo', async () => {
+        server.albums.set('at1', { UID: 'at1', Title: 'Italy', photos: new Set(['p1']) });
+
+        await submitJob({ operations: [{ type: 'album', action: 'add', albumUid: 'at1', albumTitle: 'Italy' }], uids: ['p1', 'p2'] });
+        const result = await waitForJob(worker, server.url);
+
+        assert.deepEqual([result.successCount, result.unchangedCount], [2, 1]);
+        assert.deepEqual(server.requests.filter(request => request.method === 'POST').map(request => request.body), [{ photos: ['p2'] }]);
+
+        await undo();
+
+        assert.deepEqual([...server.albums.get('at1').photos], ['p1']);
+    });
+
+    it('adds labels with the profile\'s label defaults unless the job chose others', async () => {
+        setProfile({ labelDefaults: [{ labelName: 'Sunset', priority: 10, uncertainty: 5 }, { labelName: 'sea', priority: 3 }] });
+
+        await submitJob({
+            operations: [{ action: 'add', labelName: 'sunset' }, { action: 'add', labelName: 'Sea', priority: 7 }],
+            uids: ['p3']
+        });
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 2);
+        assert.deepEqual(server.requests.filter(request => request.method === 'POST').map(request => request.body), [
+            { Name: 'sunset', Priority: 10, Uncertainty: 5 },
+            { Name: 'Sea', Priority: 7 }
+        ]);
+        const lastAction = await worker.getInstanceData('lastAction', null, server.url);
+        assert.equal(lastAction.operations[0].priority, 10);
+    });
+
+    it('upgrades only classifier labels to manual ones, which cannot be undone', async () => {
+        await submitJob({ operations: [{ action: 'upgrade', labelName: 'beach', priority: 5 }], uids: ['p1', 'p2', 'p3'] });
+
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 3);
+        assert.equal(result.unchangedCount, 2);
+        assert.deepEqual(server.requests.filter(request => request.method === 'POST').map(request => [request.path, request.body]), [
+            ['/api/v1/photos/p2/label', { Name: 'beach', Priority: 5, Uncertainty: 0 }]
+        ]);
+        const [photoLabel] = server.photos.get('p2').Labels;
+        assert.equal(photoLabel.LabelSrc, 'manual');
+        assert.equal(photoLabel.Uncertainty, 0);
+        assert.deepEqual(plain(worker.buildUndoOperations(result)), []);
+    });
+
+    it('stores photos that keep failing and clears them after a successful retry', async () => {
+        server.fail({ method: 'POST', path: '/api/v1/photos/p2/label', status: 500, retryAfter: '0', times: 2 });
+
+        await submitJob({ operations: [{ action: 'add', labelName: 'Sunset' }], uids: ['p1', 'p2'] });
+        const result = await waitForJob(worker, server.url);
+
+        assert.deepEqual(result.failedUids, ['p2']);
+        const [failed] = await worker.getInstanceData('failedOperations', [], server.url);
+        assert.deepEqual([failed.labelName, failed.failedUids], ['Sunset', ['p2']]);
+
+        await submitJob({ operations: [{ action: 'add', labelName: 'Sunset' }], uids: ['p2'], isRetry: true });
+        await waitForJob(worker, server.url);
+
+        assert.deepEqual(await worker.getInstanceData('failedOperations', [], server.url), []);
+        assert.ok(server.photoLabels('p2').includes('Sunset'));
+    });
+
+    it('keeps the category of each failure and leaves permanent failures out of a retry', async () => {
+        server.fail({ method: 'POST', path: '/api/v1/photos/p2/label', status: 500, retryAfter: '0', times: 2 });
+        server.fail({ method: 'POST', path: '/api/v1/photos/p3/label', status: 403, times: Infinity });
+
+        await submitJob({ operations: [{ action: 'add', labelName: 'Sunset' }], uids: ['p1', 'p2', 'p3'] });
+        await waitForJob(worker, server.url);
+
+        const [failed] = await worker.getInstanceData('failedOperations', [], server.url);
+        assert.equal(failed.failures.p2.status, 500);
+        assert.deepEqual([failed.failures.p2.category, failed.failures.p3.category], ['server', 'permission']);
+        assert.deepEqual(plain(worker.getRetryableUids(failed)), ['p2']);
+
+        await submitJob({ operations: [{ action: 'add', labelName: 'Sunset' }], uids: worker.getRetryableUids(failed), isRetry: true });
+        await waitForJob(worker, server.url);
+
+        const [remaining] = await worker.getInstanceData('failedOperations', [], server.url);
+        assert.deepEqual(remaining.failedUids, ['p3']);
+        assert.deepEqual(Object.keys(remaining.failures), ['p3']);
+    });
+
+    it('marks executions whose login was rejected', async () => {
+        await sendRuntimeMessage(chrome, {
+            action: 'submitJob',
+            job: { instanceId: server.url, token: 'expired', operations: [{ action: 'add', labelName: 'Sunset' }], uids: ['p1'] }
+        });
+
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.failedCount, 1);
+        assert.equal(result.error, worker.evaluate('AUTH_FAILED_MESSAGE'));
+        const [entry] = await worker.getInstanceData('executionHistory', [], server.url);
+        assert.equal(entry.authFailed, true);
+    });
+
+    it('uses client credentials instead of the session token', async () => {
+        await server.close();
+        server = await startMockPhotoPrism({ photos: [{ UID: 'p1' }], clients: { helper: 'secret' } });
+        setProfile({});
+        chrome.storageData.instanceCredentials = {
+            [server.url]: { method: 'clientCredentials', clientId: 'helper', clientSecret: 'secret' }
+        };
+
+        await submitJob({ token: null, operations: [{ action: 'add', labelName: 'Sunset' }], uids: ['p1'] });
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 1);
+        assert.equal(server.requests[0].path, '/api/v1/oauth/token');
+        assert.equal((await worker.getInstanceData('accessToken', null, server.url)).token, DEFAULT_TOKEN);
+    });
+
+    it('refuses jobs on read-only profiles', async () => {
+        setProfile({ writeMode: 'readOnly' });
+
+        const response = await submitJob({ operations: [{ action: 'add', labelName: 'Sunset' }], uids: ['p1'] });
+
+        assert.equal(response.success, false);
+        assert.match(response.error, /read-only/);
+        assert.equal(server.requests.length, 0);
+    });
+
+    it('resumes a queued job from its pending photos when the worker starts', async () => {
+        chrome.storageData.jobQueue = [{
+            id: 'job-1',
+            instanceId: server.url,
+            token: DEFAULT_TOKEN,
+            status: 'running',
+            uids: ['p1', 'p3'],
+            startTime: new Date().toISOString(),
+            operations: [{
+                action: 'add', labelName: 'Sunset', uids: ['p1', 'p3'], pendingUids: ['p3'],
+                successCount: 1, failedCount: 0, successUids: ['p1'], failedUids: [], unchangedUids: [],
+                removedLabels: {}, previousValues: {}, failures: {}, error: null
+            }]
+        }];
+
+        worker = loadWorker();
+        const result = await waitForJob(worker, server.url);
+
+        assert.equal(result.successCount, 2);
+        assert.deepEqual(server.requests.map(request => request.path), ['/api/v1/photos/p3', '/api/v1/photos/p3/label']);
+    });
+
+    it('opens the settings after an update when configured instances have no access', async () => {
+        const opened = [];
+        chrome.tabs.create = tab => opened.push(tab.url) && Promise.resolve(tab);
+        chrome.storageData.pluginConfig.allowedDomains.push('https://*.example.com');
+        const update = () => Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'update' }));
+
+        await update();
+        assert.deepEqual(opened, ['chrome-extension://photoprism-helper-test/config.html']);
+
+        await chrome.permissions.request({ origins: [`${server.url}/*`] });
+        await update();
+        await Promise.all(chrome.runtime.onInstalled.dispatch({ reason: 'install' }));
+        assert.equal(opened.length, 1);
+    });
+
+    describe('label catalog', () => {
+        const catalogLabel = name => {
+            const label = server.labels.find(l => l.Name === name);
+            return { id: label.ID, uid: label.UID, name: label.Name };
+        };
+
+        it('merges labels into a new one, deletes the sources and undoes the merge', async () => {
+            await submitJob({
+                operations: [{ type: 'labelCatalog', action: 'merge', labelName: 'Seaside', sources: [catalogLabel('Beach')] }],
+                uids: ['p1', 'p2', 'p3']
+            });
+            const result = await waitForJob(worker, server.url);
+
+            assert.deepEqual([result.successCount, result.unchangedCount], [3, 1]);
+            assert.deepEqual(['p1', 'p2', 'p3'].map(uid => server.photoLabels(uid)), [['Seaside'], ['Seaside'], []]);
+            assert.equal(server.photos.get('p2').Labels.find(l => l.Label.Name === 'Seaside').Uncertainty, 30);
+            assert.ok(!server.labels.some(label => label.Name === 'Beach'));
+
+            await undo();
+
+            assert.deepEqual(['p1', 'p2'].map(uid => server.photoLabels(uid)), [['Beach'], ['Beach']]);
+            assert.equal(server.photos.get('p2').Labels.find(l => l.Label.Name === 'Beach').Uncertainty, 30);
+        });
+
+        it('keeps the sources while photos failed to move', async () => {
+            server.fail({ method: 'GET', path: '/api/v1/photos/p2', status: 404, times: Infinity });
+
+            await submitJob({
+                operations: [{ type: 'labelCatalog', action: 'merge', labelName: 'Seaside', sources: [catalogLabel('Beach')] }],
+                uids: ['p1', 'p2']
+            });
+            await waitForJob(worker, server.url);
+
+            assert.ok(server.labels.some(label => label.Name === 'Beach'));
+            const [failed] = await worker.getInstanceData('failedOperations', [], server.url);
+            assert.deepEqual([failed.action, failed.failedUids], ['merge', ['p2']]);
+        });
+
+        it('renames a label, forgetting cached label IDs, and renames it back on undo', async () => {
+            await worker.setInstanceData('labelCache', { beach: { id: 1, cachedAt: Date.now() } }, server.url);
+            const { uid } = catalogLabel('Beach');
+
+            await submitJob({
+                operations: [{ type: 'labelCatalog', action: 'rename', labelUid: uid, labelName: 'Beach', newName: 'Seaside' }],
+                uids: [uid]
+            });
+            await waitForJob(worker, server.url);
+
+            assert.deepEqual(server.photoLabels('p1'), ['Seaside']);
+            assert.deepEqual(await worker.getInstanceData('labelCache', null, server.url), {});
+
+            await undo();
+            assert.deepEqual(server.photoLabels('p1'), ['Beach']);
+        });
+
+        it('deletes labels, which cannot be undone', async () => {
+            await server.close();
+            server = await startMockPhotoPrism({ labels: ['Unused', 'Old'] });
+            setProfile({});
+            const labels = server.labels.map(label => ({ uid: label.UID, name: label.Name }));
+
+            await submitJob({
+                operations: [{ type: 'labelCatalog', action: 'delete', labelNames: Object.fromEntries(labels.map(l => [l.uid, l.name])) }],
+                uids: labels.map(label => label.uid)
+            });
+            const result = await waitForJob(worker, server.url);
+
+            assert.equal(result.successCount, 2);
+            assert.equal(result.labelName, 'Unused, Old');
+            assert.deepEqual(server.labels, []);
+            assert.deepEqual(plain(worker.buildUndoOperations(result)), []);
+        });
+    });
+});
@@ -0,0 +1,203 @@
+// chrome-stub.js - In-memory stand-ins for the chrome.* APIs the extension scripts use
+//
+// Storage is a plain object that round-trips values through JSON like chrome.storage does.
+// Tabs are a list the test controls; APIs the tests don't look at (context menus, badge,
+// scripting) accept calls and record nothing.
+
+/**
+ * Creates a chrome event that records its listeners and can be fired by a test.
+ * @returns {{addListener: Function, removeListener: Function, hasListeners: Function, dispatch: Function, listeners: Function[]}}
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners: listeners,
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) listeners.splice(index, 1);
+        },
+        hasListeners: () => listeners.length > 0,
+        dispatch: (...args) => listeners.map(listener => listener(...args))
+    };
+}
+
+/**
+ * Copies a value the way chrome.storage serializes it.
+ * @param {*} value - Value to copy
+ * @returns {*}
+ */
+function serialize(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Resolves a promise-based chrome call, also passing the result to a callback if one is given.
+ * @param {*} result - Result of the call
+ * @param {Function} [callback] - Callback-style caller
+ * @returns {Promise<*>}
+ */
+function reply(result, callback) {
+    if (typeof callback === 'function') {
+        callback(result);
+    }
+    return Promise.resolve(result);
+}
+
+/**
+ * Creates the chrome.storage.local area.
+ * @param {Object} data - Backing store, keyed like chrome.storage
+ * @param {Object} onChanged - chrome.storage.onChanged event
+ * @returns {Object}
+ */
+function createStorageArea(data, onChanged) {
+    const notify = changes => {
+        if (Object.keys(changes).length > 0) {
+            onChanged.dispatch(changes, 'local');
+        }
+    };
+
+    return {
+        get(keys, callback) {
+            let result;
+            if (keys === null || keys === undefined) {
+                result = serialize(data);
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                result = {};
+                [].concat(keys).forEach(key => {
+                    if (key in data) result[key] = serialize(data[key]);
+                });
+            } else {
+                result = {};
+                Object.entries(keys).forEach(([key, defaultValue]) => {
+                    result[key] = key in data ? serialize(data[key]) : defaultValue;
+                });
+            }
+            return reply(result, callback);
+        },
+        set(items, callback) {
+            const changes = {};
+            Object.entries(items).forEach(([key, value]) => {
+                changes[key] = { oldValue: data[key], newValue: serialize(value) };
+                data[key] = serialize(value);
+            });
+            notify(changes);
+            return reply(undefined, callback);
+        },
+        remove(keys, callback) {
+            const changes = {};
+            [].concat(keys).forEach(key => {
+                if (key in data) {
+                    changes[key] = { oldValue: data[key] };
+                    delete data[key];
+                }
+            });
+            notify(changes);
+            return reply(undefined, callback);
+        },
+        clear(callback) {
+            Object.keys(data).forEach(key => delete data[key]);
+            return reply(undefined, callback);
+        }
+    };
+}
+
+/**
+ * Creates a chrome object for the extension scripts.
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Initial chrome.storage.local contents
+ * @param {Array<Object>} [options.tabs] - Open tabs, e.g. [{id: 1, url: 'http://localhost:2342/library/browse', active: true}]
+ * @param {string[]} [options.grantedOrigins] - Host permissions the user granted
+ * @returns {Object} The chrome stub; `storageData` and `tabs` expose its state to tests
+ */
+function createChromeStub(options = {}) {
+    const storageData = serialize(options.storage || {});
+    const tabs = options.tabs || [];
+    const grantedOrigins = new Set(options.grantedOrigins || []);
+    const onChanged = createEvent();
+    const noop = () => Promise.resolve();
+
+    const chrome = {
+        storageData: storageData,
+        tabs: {
+            query(queryInfo, callback) {
+                const matching = tabs.filter(tab => !queryInfo.active || tab.active);
+                return reply(serialize(matching), callback);
+            },
+            sendMessage: () => Promise.reject(new Error('Could not establish connection. Receiving end does not exist.')),
+            create: tab => Promise.resolve({ id: tabs.length + 1, ...tab }),
+            onActivated: createEvent(),
+            onUpdated: createEvent()
+        },
+        storage: {
+            local: createStorageArea(storageData, onChanged),
+            onChanged: onChanged
+        },
+        runtime: {
+            id: 'photoprism-helper-test',
+            lastError: undefined,
+            getURL: path => `chrome-extension://photoprism-helper-test/${path}`,
+            sendMessage: noop,
+            openOptionsPage: noop,
+            onMessage: createEvent(),
+            onStartup: createEvent(),
+            onInstalled: createEvent()
+        },
+        permissions: {
+            contains: ({ origins = [] }) => Promise.resolve(origins.every(origin => grantedOrigins.has(origin))),
+            request: ({ origins = [] }) => {
+                origins.forEach(origin => grantedOrigins.add(origin));
+                return Promise.resolve(true);
+            },
+            remove: ({ origins = [] }) => {
+                origins.forEach(origin => grantedOrigins.delete(origin));
+                return Promise.resolve(true);
+            },
+            onAdded: createEvent(),
+            onRemoved: createEvent()
+        },
+        scripting: {
+            getRegisteredContentScripts: () => Promise.resolve([]),
+            registerContentScripts: noop,
+            unregisterContentScripts: noop,
+            executeScript: () => Promise.resolve([])
+        },
+        action: {
+            setBadgeText: noop,
+            setBadgeBackgroundColor: noop
+        },
+        contextMenus: {
+            create: () => {},
+            removeAll: noop,
+            onClicked: createEvent()
+        },
+        commands: {
+            getAll: () => Promise.resolve([]),
+            onCommand: createEvent()
+        },
+        windows: {
+            onFocusChanged: createEvent()
+        }
+    };
+
+    // Replace the tab list entries in place so scripts holding the stub see the change
+    chrome.tabs.setTabs = newTabs => tabs.splice(0, tabs.length, ...newTabs);
+
+    return chrome;
+}
+
+/**
+ * Sends a runtime message to the listeners of a loaded script and waits for the response,
+ * like chrome.runtime.sendMessage does from the popup.
+ * @param {Object} chrome - The chrome stub the script was loaded with
+ * @param {Object} message - The message
+ * @returns {Promise<*>} The response passed to sendResponse
+ */
+function sendRuntimeMessage(chrome, message) {
+    return new Promise(resolve => {
+        const results = chrome.runtime.onMessage.dispatch(message, {}, resolve);
+        if (!results.includes(true)) resolve(undefined);
+    });
+}
+
+module.exports = { createChromeStub, createEvent, sendRuntimeMessage };
@@ -0,0 +1,70 @@
+// load-scripts.js - Runs the extension's classic scripts in an isolated context
+//
+// The extension scripts declare globals instead of exporting modules, so each test loads
+// the scripts a page or the worker would load into a fresh vm context with a chrome stub.
+// Function declarations become properties of the returned context; top-level constants
+// are read with `context.evaluate('NAME')`.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// Set TEST_VERBOSE=1 to see what the scripts log
+const quietConsole = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+/**
+ * Loads extension scripts into a new context, in order.
+ * @param {string[]} files - Script paths relative to the repository root
+ * @param {Object} chrome - chrome stub from createChromeStub
+ * @param {Object} [globals] - Extra globals, e.g. a fetch replacement
+ * @returns {Object} The context
+ */
+function loadScripts(files, chrome, globals = {}) {
+    const context = vm.createContext({
+        chrome: chrome,
+        console: process.env.TEST_VERBOSE ? console : quietConsole,
+        fetch: fetch,
+        Headers: Headers,
+        Request: Request,
+        Response: Response,
+        AbortController: AbortController,
+        URL: URL,
+        URLSearchParams: URLSearchParams,
+        TextEncoder: TextEncoder,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        setInterval: setInterval,
+        clearInterval: clearInterval,
+        structuredClone: structuredClone,
+        ...globals
+    });
+    context.self = context;
+    context.importScripts = (...names) => names.forEach(name => runScript(context, name));
+    context.evaluate = expression => vm.runInContext(expression, context);
+
+    files.forEach(file => runScript(context, file));
+    return context;
+}
+
+/**
+ * Runs one script file in a context.
+ * @param {Object} context - vm context
+ * @param {string} file - Script path relative to the repository root
+ */
+function runScript(context, file) {
+    const filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+}
+
+/**
+ * Copies a value out of a context, so objects created there compare equal to test literals.
+ * @param {*} value - Value from the context
+ * @returns {*}
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
@@ -0,0 +1,320 @@
+// mock-photoprism.js - Local HTTP server imitating the parts of the PhotoPrism API the extension calls
+//
+// Photos, labels and albums live in memory and change like they do on a real instance:
+// manually added labels are deleted on removal, while classifier labels are kept with an
+// uncertainty of 100. Deleting a label also takes it off its photos. Tests can inject error
+// responses and latency:
+//
+//     const server = await startMockPhotoPrism({ photos: [...] });
+//     server.fail({ method: 'POST', path: /\/label$/, status: 429, times: 2, retryAfter: '0' });
+//     server.latency = 50;
+//     ...
+//     await server.close();
+
+const http = require('node:http');
+
+const DEFAULT_TOKEN = 'test-token';
+
+/**
+ * Converts a label name to its slug.
+ * @param {string} name - Label name
+ * @returns {string}
+ */
+function slugify(name) {
+    return name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Starts a mock PhotoPrism instance on a free local port.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.photos] - Photos as {UID, Title, labels: [{name, uncertainty, source}], ...fields}
+ * @param {string[]} [options.labels] - Labels that exist without being on a photo
+ * @param {Array<Object>} [options.albums] - Albums as {UID, Title, photos: [uid]}
+ * @param {string} [options.token] - Token accepted as X-Auth-Token
+ * @param {Object<string, string>} [options.clients] - Client secrets by client ID for the client credentials flow
+ * @returns {Promise<Object>} The server, see the fields at the end of this function
+ */
+async function startMockPhotoPrism(options = {}) {
+    const token = options.token || DEFAULT_TOKEN;
+    const clients = options.clients || {};
+    const labels = [];
+    const photos = new Map();
+    const albums = new Map();
+    const failures = [];
+    const requests = [];
+    let inFlight = 0;
+    let lastLabelId = 0;
+
+    const findLabel = name => labels.find(label => label.Slug === slugify(name) || label.Name.toLowerCase() === name.toLowerCase());
+    const ensureLabel = (name, priority = 0) => {
+        let label = findLabel(name);
+        if (!label) {
+            const id = ++lastLabelId;
+            label = { ID: id, UID: `lb${String(id).padStart(14, '0')}`, Name: name, Slug: slugify(name), CustomSlug: slugify(name), Priority: priority, Favorite: false };
+            labels.push(label);
+        }
+        return label;
+    };
+    const photoCount = label => [...photos.values()]
+        .filter(photo => photo.Labels.some(photoLabel => photoLabel.LabelID === label.ID && photoLabel.Uncertainty < 100)).length;
+
+    (options.labels || []).forEach(name => ensureLabel(name));
+    (options.photos || []).forEach(({ labels: photoLabels = [], ...fields }) => {
+        photos.set(fields.UID, {
+            Title: '',
+            Favorite: false,
+            Private: false,
+            Quality: 3,
+            DeletedAt: null,
+            Details: {},
+            ...fields,
+            Labels: photoLabels.map(photoLabel => {
+                const label = ensureLabel(photoLabel.name);
+                return {
+                    LabelID: label.ID,
+                    Uncertainty: photoLabel.uncertainty ?? 0,
+                    LabelSrc: photoLabel.source || 'manual',
+                    Label: label
+                };
+            })
+        });
+    });
+    (options.albums || []).forEach(album => albums.set(album.UID, { Title: '', ...album, photos: new Set(album.photos || []) }));
+
+    const routes = [
+        ['GET', /^\/api\/v1\/status$/, () => [200, { status: 'operational' }], { public: true }],
+        ['POST', /^\/api\/v1\/oauth\/token$/, (match, body) => {
+            if (body.grant_type !== 'client_credentials' || !clients[body.client_id] || clients[body.client_id] !== body.client_secret) {
+                return [401, { error: 'invalid client' }];
+            }
+            return [200, { access_token: token, token_type: 'Bearer', expires_in: 3600 }];
+        }, { public: true }],
+        ['GET', /^\/api\/v1\/photos$/, (match, body, query) => {
+            let result = [...photos.values()];
+            const labelFilter = /label:(\S+)/.exec(query.get('q') || '');
+            if (labelFilter) {
+                const label = findLabel(labelFilter[1]);
+                result = result.filter(photo => label && photo.Labels.some(l => l.LabelID === label.ID && l.Uncertainty < 100));
+            }
+            if (query.get('s')) {
+                const album = albums.get(query.get('s'));
+                result = result.filter(photo => album?.photos.has(photo.UID));
+            }
+            const offset = parseInt(query.get('offset') || '0', 10);
+            const count = parseInt(query.get('count') || '100', 10);
+            // Like PhotoPrism, count and offset apply to files; merged results combine each photo's files afterwards
+            const rows = result.flatMap(photo => Array.from({ length: Math.max(photo.Files?.length || 0, 1) },
+                () => ({ UID: photo.UID, Title: photo.Title })));
+            const page = rows.slice(offset, offset + count);
+            return [200, query.get('merged') === 'true' ? page.filter((row, index) => page[index - 1]?.UID !== row.UID) : page];
+        }],
+        ['GET', /^\/api\/v1\/photos\/([^/]+)$/, ([, uid]) => {
+            const photo = photos.get(uid);
+            return photo ? [200, photo] : [404, { error: 'Photo not found' }];
+        }],
+        ['PUT', /^\/api\/v1\/photos\/([^/]+)$/, ([, uid], body) => {
+            const photo = photos.get(uid);
+            if (!photo) return [404, { error: 'Photo not found' }];
+            const { Details, ...fields } = body;
+            Object.assign(photo, fields);
+            if (Details) photo.Details = { ...photo.Details, ...Details };
+            return [200, photo];
+        }],
+        ['POST', /^\/api\/v1\/photos\/([^/]+)\/label$/, ([, uid], body) => {
+            const photo = photos.get(uid);
+            if (!photo) return [404, { error: 'Photo not found' }];
+            const label = ensureLabel(body.Name, body.Priority);
+            const existing = photo.Labels.find(photoLabel => photoLabel.LabelID === label.ID);
+            if (existing) {
+                // Like PhotoPrism, only a more certain label replaces the existing one and makes it manual
+                if (existing.Uncertainty > (body.Uncertainty ?? 0)) {
+                    existing.Uncertainty = body.Uncertainty ?? 0;
+                    existing.LabelSrc = 'manual';
+                }
+            } else {
+                photo.Labels.push({ LabelID: label.ID, Uncertainty: body.Uncertainty ?? 0, LabelSrc: 'manual', Label: label });
+            }
+            return [200, photo];
+        }],
+        ['DELETE', /^\/api\/v1\/photos\/([^/]+)\/label\/(\d+)$/, ([, uid, labelId]) => {
+            const photo = photos.get(uid);
+            const index = photo ? photo.Labels.findIndex(photoLabel => photoLabel.LabelID === Number(labelId)) : -1;
+            if (index < 0) return [404, { error: 'Label not found' }];
+            if (photo.Labels[index].LabelSrc === 'manual') {
+                photo.Labels.splice(index, 1);
+            } else {
+                photo.Labels[index].Uncertainty = 100;
+            }
+            return [200, photo];
+        }],
+        ['POST', /^\/api\/v1\/photos\/([^/]+)\/like$/, ([, uid]) => setPhotoField(uid, 'Favorite', true)],
+        ['DELETE', /^\/api\/v1\/photos\/([^/]+)\/like$/, ([, uid]) => setPhotoField(uid, 'Favorite', false)],
+        ['POST', /^\/api\/v1\/photos\/([^/]+)\/approve$/, ([, uid]) => setPhotoField(uid, 'Quality', 3)],
+        ['POST', /^\/api\/v1\/batch\/photos\/(archive|restore)$/, ([, action], body) => {
+            (body.photos || []).forEach(uid => setPhotoField(uid, 'DeletedAt', action === 'archive' ? new Date().toISOString() : null));
+            return [200, { code: 200 }];
+        }],
+        ['GET', /^\/api\/v1\/labels$/, (match, body, query) => {
+            const q = (query.get('q') || '').toLowerCase();
+            const offset = parseInt(query.get('offset') || '0', 10);
+            const count = parseInt(query.get('count') || '100', 10);
+            const result = labels
+                .filter(label => !q || label.Name.toLowerCase().includes(q) || label.Slug.includes(q))
+                .map(label => ({ ...label, PhotoCount: photoCount(label) }));
+            return [200, result.slice(offset, offset + count)];
+        }],
+        ['PUT', /^\/api\/v1\/labels\/([^/]+)$/, ([, uid], body) => {
+            const label = labels.find(l => l.UID === uid);
+            if (!label) return [404, { error: 'Label not found' }];
+            label.Name = body.Name;
+            label.CustomSlug = slugify(body.Name);
+            return [200, label];
+        }],
+        ['DELETE', /^\/api\/v1\/batch\/labels$/, (match, body) => {
+            const deleted = new Set(labels.filter(label => (body.labels || []).includes(label.UID)).map(label => label.ID));
+            labels.splice(0, labels.length, ...labels.filter(label => !deleted.has(label.ID)));
+            photos.forEach(photo => {
+                photo.Labels = photo.Labels.filter(photoLabel => !deleted.has(photoLabel.LabelID));
+            });
+            return [200, { code: 200 }];
+        }],
+        ['GET', /^\/api\/v1\/albums$/, (match, body, query) => {
+            const q = (query.get('q') || '').toLowerCase();
+            const result = [...albums.values()]
+                .filter(album => !q || album.Title.toLowerCase().includes(q))
+                .map(album => ({ UID: album.UID, Title: album.Title, PhotoCount: album.photos.size, Favorite: false }));
+            return [200, result];
+        }],
+        ['POST', /^\/api\/v1\/albums$/, (match, body) => {
+            const uid = `at${String(albums.size + 1).padStart(14, '0')}`;
+            albums.set(uid, { UID: uid, Title: body.Title, photos: new Set() });
+            return [200, { UID: uid, Title: body.Title }];
+        }],
+        ['POST', /^\/api\/v1\/albums\/([^/]+)\/photos$/, ([, uid], body) => updateAlbum(uid, body.photos, true)],
+        ['DELETE', /^\/api\/v1\/albums\/([^/]+)\/photos$/, ([, uid], body) => updateAlbum(uid, body.photos, false)]
+    ];
+
+    function setPhotoField(uid, field, value) {
+        const photo = photos.get(uid);
+        if (!photo) return [404, { error: 'Photo not found' }];
+        photo[field] = value;
+        return [200, photo];
+    }
+
+    function updateAlbum(uid, photoUids = [], add) {
+        const album = albums.get(uid);
+        if (!album) return [404, { error: 'Album not found' }];
+        photoUids.forEach(photoUid => add ? album.photos.add(photoUid) : album.photos.delete(photoUid));
+        return [200, { code: 200, photos: photoUids }];
+    }
+
+    /**
+     * Finds the injected failure for a request and uses it up.
+     * @returns {Object|undefined}
+     */
+    function takeFailure(method, pathname) {
+        const failure = failures.find(rule =>
+            rule.times > 0 &&
+            (!rule.method || rule.method === method) &&
+            (rule.path instanceof RegExp ? rule.path.test(pathname) : rule.path === pathname)
+        );
+        if (failure) failure.times--;
+        return failure;
+    }
+
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', async () => {
+            const url = new URL(request.url, 'http://localhost');
+            const rawBody = Buffer.concat(chunks).toString();
+            let body = {};
+            if (rawBody) {
+                body = request.headers['content-type']?.includes('x-www-form-urlencoded')
+                    ? Object.fromEntries(new URLSearchParams(rawBody))
+                    : JSON.parse(rawBody);
+            }
+            requests.push({ method: request.method, path: url.pathname, query: url.search, body: body, token: request.headers['x-auth-token'] });
+
+            inFlight++;
+            mock.maxInFlight = Math.max(mock.maxInFlight, inFlight);
+            if (mock.latency > 0) {
+                await new Promise(resolve => setTimeout(resolve, mock.latency));
+            }
+            inFlight--;
+
+            const send = (status, payload, headers = {}) => {
+                response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                response.end(JSON.stringify(payload));
+            };
+
+            const failure = takeFailure(request.method, url.pathname);
+            if (failure) {
+                send(failure.status, failure.body || { error: http.STATUS_CODES[failure.status] },
+                    failure.retryAfter !== undefined ? { 'Retry-After': failure.retryAfter } : {});
+                return;
+            }
+
+            for (const [method, pattern, handler, routeOptions = {}] of routes) {
+                const match = request.method === method && pattern.exec(url.pathname);
+                if (!match) continue;
+                if (!routeOptions.public && request.headers['x-auth-token'] !== token) {
+                    send(401, { error: 'Unauthorized' });
+                    return;
+                }
+                send(...handler(match, body, url.searchParams));
+                return;
+            }
+            send(404, { error: 'Not found' });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const mock = {
+        url: `http://127.0.0.1:${server.address().port}`,
+        token: token,
+        photos: photos,
+        labels: labels,
+        albums: albums,
+        requests: requests,
+        // Milliseconds every response is delayed by
+        latency: 0,
+        // Most requests handled at the same time, to check concurrency limits
+        maxInFlight: 0,
+        /**
+         * Makes matching requests fail.
+         * @param {{method?: string, path: string|RegExp, status: number, times?: number, retryAfter?: string, body?: Object}} rule
+         *   `path` is compared with the URL path without the query; `times` defaults to 1 (use Infinity for every request)
+         */
+        fail(rule) {
+            failures.push({ times: 1, ...rule });
+        },
+        /**
+         * Gets the names of the labels a photo has (uncertainty below 100).
+         * @param {string} uid - Photo UID
+         * @returns {string[]}
+         */
+        photoLabels(uid) {
+            return photos.get(uid).Labels.filter(photoLabel => photoLabel.Uncertainty < 100).map(photoLabel => photoLabel.Label.Name);
+        },
+        /**
+         * Forgets recorded requests and unused failures.
+         */
+        reset() {
+            requests.length = 0;
+            failures.length = 0;
+            mock.maxInFlight = 0;
+            mock.latency = 0;
+        },
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+
+    return mock;
+}
+
+module.exports = { startMockPhotoPrism, DEFAULT_TOKEN };
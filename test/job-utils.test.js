@@ -0,0 +1,244 @@
+// Tests for job-utils.js: batching, retries, history and failed operations
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { startMockPhotoPrism, DEFAULT_TOKEN } = require('./helpers/mock-photoprism');
+
+const SCRIPTS = ['storage-utils.js', 'photoprism-api.js', 'job-utils.js'];
+const INSTANCE_ID = 'http://photos.example.com';
+
+// No throttling, so tests only wait for the latency they inject
+const FAST_SETTINGS = { concurrency: 4, requestsPerSecond: 0, maxRetries: 2 };
+
+describe('job-utils.js', () => {
+    let chrome;
+    let jobs;
+
+    beforeEach(() => {
+        chrome = createChromeStub();
+        jobs = loadScripts(SCRIPTS, chrome);
+    });
+
+    describe('batchProcess', () => {
+        let server;
+        const uids = ['p1', 'p2', 'p3', 'p4', 'p5', 'p6'];
+        let client;
+        const getPhoto = uid => client.getPhoto(uid);
+
+        beforeEach(async () => {
+            server = await startMockPhotoPrism({ photos: uids.map(uid => ({ UID: uid })) });
+            client = jobs.evaluate(`new PhotoPrismClient('${server.url}', '${DEFAULT_TOKEN}')`);
+        });
+
+        afterEach(() => server.close());
+
+        it('processes every UID and reports each outcome', async () => {
+            const outcomes = [];
+            const result = await jobs.batchProcess(uids, getPhoto, (uid, success) => outcomes.push([uid, success]), FAST_SETTINGS);
+
+            assert.deepEqual(plain(result), { successCount: 6, failedCount: 0, failedUids: [] });
+            assert.deepEqual(outcomes.map(([uid]) => uid).sort(), uids);
+        });
+
+        it('runs at most `concurrency` requests at once', async () => {
+            server.latency = 30;
+
+            await jobs.batchProcess(uids, getPhoto, () => {}, { ...FAST_SETTINGS, concurrency: 2 });
+
+            assert.equal(server.maxInFlight, 2);
+        });
+
+        it('retries rate-limited and server errors', async () => {
+            server.fail({ path: '/api/v1/photos/p1', status: 429, retryAfter: '0' });
+            server.fail({ path: '/api/v1/photos/p2', status: 503, retryAfter: '0', times: 2 });
+
+            const result = await jobs.batchProcess(uids, getPhoto, () => {}, FAST_SETTINGS);
+
+            assert.equal(result.successCount, 6);
+            assert.equal(server.requests.filter(request => request.path === '/api/v1/photos/p2').length, 3);
+        });
+
+        it('gives up after maxRetries', async () => {
+            server.fail({ path: '/api/v1/photos/p3', status: 500, retryAfter: '0', times: Infinity });
+            const errors = [];
+
+            const result = await jobs.batchProcess(uids, getPhoto, (uid, success, error) => error && errors.push(error), FAST_SETTINGS);
+
+            assert.deepEqual(plain(result.failedUids), ['p3']);
+            assert.equal(errors[0].status, 500);
+            assert.equal(server.requests.filter(request => request.path === '/api/v1/photos/p3').length, 3);
+        });
+
+        it('does not retry auth and not-found errors', async () => {
+            server.fail({ path: '/api/v1/photos/p1', status: 401, times: Infinity });
+            server.fail({ path: '/api/v1/photos/p2', status: 404, times: Infinity });
+
+            const result = await jobs.batchProcess(uids, getPhoto, () => {}, FAST_SETTINGS);
+
+            assert.deepEqual(plain(result.failedUids).sort(), ['p1', 'p2']);
+            assert.equal(server.requests.length, 6);
+        });
+
+        it('retries timed out requests', async () => {
+            client.timeout = 100;
+            server.latency = 150;
+            setTimeout(() => { server.latency = 0; }, 120);
+
+            const result = await jobs.batchProcess(['p1'], getPhoto, () => {}, FAST_SETTINGS);
+
+            assert.equal(result.successCount, 1);
+            assert.equal(server.requests.length, 2);
+        });
+    });
+
+    describe('retry delays', () => {
+        it('prefers Retry-After and caps it', () => {
+            assert.equal(jobs.getRetryDelay(0, { retryAfter: '2' }), 2000);
+            assert.equal(jobs.getRetryDelay(0, { retryAfter: '3600' }), jobs.evaluate('RETRY_MAX_DELAY'));
+        });
+
+        it('backs off exponentially with jitter', () => {
+            const base = jobs.evaluate('RETRY_BASE_DELAY');
+            for (let attempt = 0; attempt < 4; attempt++) {
+                const delay = jobs.getRetryDelay(attempt, {});
+                assert.ok(delay >= base * 2 ** attempt / 2 && delay <= base * 2 ** attempt, `attempt ${attempt}: ${delay}`);
+            }
+        });
+    });
+
+    describe('parseLabelOperations', () => {
+        it('mixes signed and unsigned labels, keeping the last action per label', () => {
+            assert.deepEqual(plain(jobs.parseLabelOperations('beach, +sci-fi -Unsorted, BEACH', 'remove')), [
+                { action: 'add', labelName: 'sci-fi' },
+                { action: 'remove', labelName: 'Unsorted' },
+                { action: 'remove', labelName: 'BEACH' }
+            ]);
+        });
+    });
+
+    describe('execution history', () => {
+        it('keeps the 50 most recent executions, newest first', async () => {
+            const history = Array.from({ length: 50 }, (_, index) => ({ id: String(index), labelName: `old ${index}` }));
+            await jobs.setInstanceData('executionHistory', history, INSTANCE_ID);
+
+            const saved = await jobs.saveExecutionResult({ labelName: 'new' }, INSTANCE_ID);
+            const stored = await jobs.getInstanceData('executionHistory', [], INSTANCE_ID);
+
+            assert.equal(stored.length, 50);
+            assert.equal(stored[0].id, saved.id);
+            assert.equal(stored.at(-1).labelName, 'old 48');
+        });
+
+        it('marks undone executions', async () => {
+            await jobs.setInstanceData('executionHistory', [{ id: '1' }, { id: '2' }], INSTANCE_ID);
+
+            await jobs.markExecutionUndone('2', INSTANCE_ID);
+
+            const stored = await jobs.getInstanceData('executionHistory', [], INSTANCE_ID);
+            assert.equal(stored[0].undoneAt, undefined);
+            assert.ok(stored[1].undoneAt);
+        });
+
+        it('undoes only the changes an execution made', () => {
+            const operations = jobs.buildUndoOperations({
+                labels: [
+                    { action: 'add', labelName: 'beach', successUids: ['p1', 'p2'] },
+                    {
+                        action: 'remove',
+                        labelName: 'cat',
+                        successUids: ['p1', 'p3'],
+                        removedLabels: { p3: { priority: 1, uncertainty: 20 } }
+                    },
+                    { type: 'flag', flag: 'approve', action: 'add', successUids: ['p1'] },
+                    { action: 'add', labelName: 'failed', error: 'Boom', successUids: [] }
+                ]
+            });
+
+            assert.deepEqual(plain(operations), [
+                { action: 'remove', labelName: 'beach', uids: ['p1', 'p2'] },
+                { action: 'add', labelName: 'cat', uids: ['p3'], restoreLabels: { p3: { priority: 1, uncertainty: 20 } } }
+            ]);
+        });
+    });
+
+    describe('failed operations', () => {
+        const failed = (labelName, failedUids) => ({ action: 'add', labelName, failedUids, retryCount: 0 });
+        const apiError = status => jobs.evaluate(`new PhotoPrismApiError('Boom', { status: ${status} })`);
+
+        it('replaces the entry of the same operation, ignoring case', async () => {
+            await jobs.saveFailedOperation(failed('beach', ['p1']), INSTANCE_ID);
+            await jobs.saveFailedOperation(failed('cat', ['p2']), INSTANCE_ID);
+            await jobs.saveFailedOperation(failed('Beach', ['p3']), INSTANCE_ID);
+
+            const stored = await jobs.getInstanceData('failedOperations', [], INSTANCE_ID);
+            assert.deepEqual(stored.map(op => [op.labelName, op.failedUids]), [['cat', ['p2']], ['Beach', ['p3']]]);
+        });
+
+        it('classifies failures by status', () => {
+            assert.deepEqual([null, 401, 403, 404, 429, 502, 400].map(status => jobs.getFailureCategory(apiError(status))),
+                ['network', 'auth', 'permission', 'not-found', 'rate-limit', 'server', 'other']);
+            assert.deepEqual(plain(jobs.describeFailure(new Error('Invalid'))), { status: null, category: 'other', error: 'Invalid' });
+        });
+
+        it('groups failures and retries only the retryable ones', () => {
+            const operation = {
+                ...failed('beach', ['p1', 'p2', 'p3', 'p4']),
+                failures: {
+                    p1: { status: 404, category: 'not-found', error: 'Gone' },
+                    p2: { status: null, category: 'network', error: 'Timed out' },
+                    p3: { status: 404, category: 'not-found', error: 'Gone' }
+                }
+            };
+
+            const groups = plain(jobs.groupFailures(operation));
+
+            assert.deepEqual(groups.map(group => [group.category, group.uids, group.errors]), [
+                ['network', ['p2'], ['Timed out']],
+                ['unknown', ['p4'], []],
+                ['not-found', ['p1', 'p3'], ['Gone']]
+            ]);
+            assert.deepEqual(plain(jobs.getRetryableUids(operation)), ['p2', 'p4']);
+        });
+
+        it('keeps photos left out of a retry and those that failed again', async () => {
+            await jobs.saveFailedOperation({
+                ...failed('beach', ['p1', 'p2', 'p3']),
+                failures: { p1: { category: 'not-found' }, p2: { category: 'server' }, p3: { category: 'network' } }
+            }, INSTANCE_ID);
+
+            await jobs.updateFailedOperationAfterRetry({
+                action: 'add',
+                labelName: 'beach',
+                uids: ['p2', 'p3'],
+                failedUids: ['p3'],
+                failures: { p3: { category: 'rate-limit' } }
+            }, INSTANCE_ID);
+
+            const [stored] = await jobs.getInstanceData('failedOperations', [], INSTANCE_ID);
+            assert.deepEqual(stored.failedUids, ['p1', 'p3']);
+            assert.deepEqual(stored.failures, { p1: { category: 'not-found' }, p3: { category: 'rate-limit' } });
+            assert.equal(stored.retryCount, 1);
+        });
+
+        it('removes the entry once a retry succeeded', async () => {
+            await jobs.saveFailedOperation(failed('beach', ['p1']), INSTANCE_ID);
+
+            await jobs.updateFailedOperationAfterRetry({ action: 'add', labelName: 'beach', uids: ['p1'], failedUids: [] }, INSTANCE_ID);
+
+            assert.deepEqual(await jobs.getInstanceData('failedOperations', [], INSTANCE_ID), []);
+        });
+
+        it('dismisses permanent failures', async () => {
+            await jobs.saveFailedOperation(failed('beach', ['p1', 'p2']), INSTANCE_ID);
+
+            await jobs.dismissFailedUids({ action: 'add', labelName: 'beach' }, ['p1'], INSTANCE_ID);
+            const [stored] = await jobs.getInstanceData('failedOperations', [], INSTANCE_ID);
+            assert.deepEqual(stored.failedUids, ['p2']);
+
+            await jobs.dismissFailedUids({ action: 'add', labelName: 'beach' }, ['p2'], INSTANCE_ID);
+            assert.deepEqual(await jobs.getInstanceData('failedOperations', [], INSTANCE_ID), []);
+        });
+    });
+});
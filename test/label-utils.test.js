@@ -0,0 +1,88 @@
+// Tests for label-utils.js: the cached label catalog and fuzzy matching
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { startMockPhotoPrism, DEFAULT_TOKEN } = require('./helpers/mock-photoprism');
+
+const SCRIPTS = ['storage-utils.js', 'photoprism-api.js', 'label-utils.js'];
+
+describe('label-utils.js', () => {
+    let server;
+    let labels;
+    let client;
+
+    beforeEach(async () => {
+        server = await startMockPhotoPrism({
+            photos: [{ UID: 'p1', labels: [{ name: 'Beach' }] }],
+            labels: ['Beach Volleyball', 'Cat', 'Sunset']
+        });
+        labels = loadScripts(SCRIPTS, createChromeStub());
+        client = labels.evaluate(`new PhotoPrismClient('${server.url}', '${DEFAULT_TOKEN}')`);
+    });
+
+    afterEach(() => server.close());
+
+    describe('getLabelCatalog', () => {
+        it('fetches the catalog once and serves it from the cache', async () => {
+            const catalog = await labels.getLabelCatalog(client);
+            await labels.getLabelCatalog(client);
+
+            assert.deepEqual(plain(catalog).map(label => label.name).sort(), ['Beach', 'Beach Volleyball', 'Cat', 'Sunset']);
+            assert.equal(catalog.find(label => label.name === 'Beach').photoCount, 1);
+            assert.equal(server.requests.length, 1);
+        });
+
+        it('fetches again when asked to refresh', async () => {
+            await labels.getLabelCatalog(client);
+            await labels.getLabelCatalog(client, true);
+
+            assert.equal(server.requests.length, 2);
+        });
+
+        it('does not cache a failed fetch', async () => {
+            server.fail({ path: '/api/v1/labels', status: 500 });
+
+            await assert.rejects(labels.getLabelCatalog(client), /500/);
+            assert.equal((await labels.getLabelCatalog(client)).length, 4);
+        });
+    });
+
+    describe('suggestions', () => {
+        const catalog = ['Beach', 'Beach Volleyball', 'Cat', 'Sunset'].map(name => ({ name: name, photoCount: 0 }));
+
+        it('ranks prefix matches first', () => {
+            assert.deepEqual(plain(labels.rankLabelSuggestions('bea', catalog)).map(label => label.name), ['Beach', 'Beach Volleyball']);
+        });
+
+        it('finds near-miss spellings of existing labels', () => {
+            assert.deepEqual(plain(labels.findSimilarLabels('Sunsett', catalog)).map(label => label.name), ['Sunset']);
+        });
+    });
+
+    describe('label maintenance', () => {
+        const catalog = [
+            { id: 1, uid: 'lb1', name: 'Beach', slug: 'beach', photoCount: 3 },
+            { id: 2, uid: 'lb2', name: 'beaches', slug: 'beaches', photoCount: 1 }
+        ];
+
+        it('finds catalog labels by name or slug', () => {
+            assert.equal(labels.findCatalogLabel(catalog, ' BEACH ').uid, 'lb1');
+            assert.equal(labels.findCatalogLabel(catalog, 'Beaches!').uid, 'lb2');
+            assert.equal(labels.findCatalogLabel(catalog, 'Sea'), undefined);
+        });
+
+        it('builds label catalog operations', () => {
+            assert.deepEqual(plain(labels.buildMergeLabelsOperation(' Beach ', [catalog[1]], ['p1'])), {
+                type: 'labelCatalog', action: 'merge', labelName: 'Beach', sources: [{ id: 2, uid: 'lb2', name: 'beaches' }], uids: ['p1']
+            });
+            assert.deepEqual(plain(labels.buildDeleteLabelsOperation(catalog)), {
+                type: 'labelCatalog', action: 'delete', labelNames: { lb1: 'Beach', lb2: 'beaches' }, uids: ['lb1', 'lb2']
+            });
+            assert.deepEqual(plain(labels.buildRenameLabelOperation(catalog[0], 'Seaside ')), {
+                type: 'labelCatalog', action: 'rename', labelUid: 'lb1', labelName: 'Beach', newName: 'Seaside', uids: ['lb1']
+            });
+        });
+    });
+});
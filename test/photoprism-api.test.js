@@ -0,0 +1,235 @@
+// Tests for photoprism-api.js against the mock PhotoPrism server
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { startMockPhotoPrism, DEFAULT_TOKEN } = require('./helpers/mock-photoprism');
+
+const SCRIPTS = ['storage-utils.js', 'photoprism-api.js'];
+
+describe('photoprism-api.js', () => {
+    let server;
+    let chrome;
+    let api;
+    let client;
+
+    beforeEach(async () => {
+        server = await startMockPhotoPrism({
+            photos: [
+                { UID: 'p1', Title: 'Beach', labels: [{ name: 'Beach' }, { name: 'Sunset', source: 'image', uncertainty: 20 }] },
+                { UID: 'p2', Title: 'Forest', labels: [{ name: 'Hidden Label', source: 'image' }] }
+            ],
+            labels: ['Mountains']
+        });
+
+        chrome = createChromeStub();
+        api = loadScripts(SCRIPTS, chrome);
+        client = api.evaluate(`new PhotoPrismClient('${server.url}', '${DEFAULT_TOKEN}')`);
+    });
+
+    afterEach(() => server.close());
+
+    describe('errors', () => {
+        it('keeps the status, body and Retry-After header', async () => {
+            server.fail({ path: '/api/v1/photos/p1', status: 429, retryAfter: '7', body: { error: 'Slow down' } });
+
+            const error = await client.getPhoto('p1').catch(e => e);
+
+            assert.equal(error.name, 'PhotoPrismApiError');
+            assert.equal(error.status, 429);
+            assert.equal(error.retryAfter, '7');
+            assert.equal(error.retryable, true);
+            assert.deepEqual(plain(error.body), { error: 'Slow down' });
+            assert.match(error.message, /^Failed to fetch photo p1: API Error: 429/);
+        });
+
+        it('explains rejected logins', async () => {
+            const error = await api.evaluate(`new PhotoPrismClient('${server.url}', 'wrong-token')`).getPhoto('p1').catch(e => e);
+
+            assert.equal(error.status, 401);
+            assert.equal(error.retryable, false);
+            assert.ok(error.message.includes(api.evaluate('AUTH_FAILED_MESSAGE')));
+        });
+
+        it('reports missing photos as 404', async () => {
+            const error = await client.getPhoto('missing').catch(e => e);
+
+            assert.equal(error.status, 404);
+            assert.equal(error.retryable, false);
+        });
+
+        it('aborts requests that take longer than the timeout', async () => {
+            server.latency = 200;
+            const slowClient = api.evaluate(`new PhotoPrismClient('${server.url}', '${DEFAULT_TOKEN}', { timeout: 50 })`);
+
+            const error = await slowClient.getPhoto('p1').catch(e => e);
+
+            assert.equal(error.status, null);
+            assert.equal(error.retryable, true);
+            assert.match(error.message, /timed out/);
+        });
+
+        it('reports unreachable servers as retryable network errors', async () => {
+            const offline = api.evaluate(`new PhotoPrismClient('http://127.0.0.1:9', '${DEFAULT_TOKEN}')`);
+
+            const error = await offline.getPhoto('p1').catch(e => e);
+
+            assert.equal(error.status, null);
+            assert.equal(error.retryable, true);
+            assert.match(error.message, /Network error/);
+        });
+    });
+
+    describe('requests', () => {
+        it('sends the token and JSON bodies', async () => {
+            await client.updatePhoto('p1', { Title: 'Renamed' });
+
+            const request = server.requests.at(-1);
+            assert.equal(request.token, DEFAULT_TOKEN);
+            assert.deepEqual(request.body, { Title: 'Renamed' });
+            assert.equal(server.photos.get('p1').Title, 'Renamed');
+        });
+
+        it('gets access tokens with client credentials', async () => {
+            await server.close();
+            server = await startMockPhotoPrism({ clients: { helper: 'secret' } });
+
+            const response = await api.evaluate('PhotoPrismClient').createAccessToken(server.url, 'helper', 'secret');
+
+            assert.equal(response.access_token, DEFAULT_TOKEN);
+            assert.equal(server.requests[0].token, undefined);
+            await assert.rejects(api.evaluate('PhotoPrismClient').createAccessToken(server.url, 'helper', 'wrong'),
+                /^PhotoPrismApiError: Failed to get an access token/);
+        });
+
+        it('collects every page of a search', async () => {
+            await server.close();
+            server = await startMockPhotoPrism({ photos: Array.from({ length: 5 }, (_, index) => ({ UID: `p${index}` })) });
+            client = api.evaluate(`new PhotoPrismClient('${server.url}', '${DEFAULT_TOKEN}')`);
+            const progress = [];
+
+            const photos = await client.fetchAllPages(page => client.searchPhotos({}, page), 2, count => progress.push(count));
+
+            assert.equal(photos.length, 5);
+            assert.deepEqual(progress, [2, 4, 5]);
+            assert.deepEqual(server.requests.map(request => new URLSearchParams(request.query).get('offset')), ['0', '2', '4']);
+        });
+    });
+
+    describe('labels', () => {
+        it('adds a label with priority and uncertainty', async () => {
+            await client.addLabel('p2', 'Forest', { priority: 5, uncertainty: 10 });
+
+            const request = server.requests.at(-1);
+            assert.equal(request.method, 'POST');
+            assert.deepEqual(request.body, { Name: 'Forest', Priority: 5, Uncertainty: 10 });
+            assert.ok(server.photoLabels('p2').includes('Forest'));
+        });
+
+        it('removes a label and returns null when the photo does not have it', async () => {
+            const labelId = server.labels.find(label => label.Name === 'Beach').ID;
+
+            assert.ok(await client.removeLabel('p1', labelId));
+            assert.ok(!server.photoLabels('p1').includes('Beach'));
+            assert.equal(await client.removeLabel('p1', labelId), null);
+        });
+
+        it('ignores removed classifier labels when finding a label on a photo', async () => {
+            const photo = await client.getPhoto('p1');
+            assert.equal(api.findPhotoLabel(photo, 'sunset').Label.Name, 'Sunset');
+
+            photo.Labels.find(label => label.Label.Name === 'Sunset').Uncertainty = 100;
+            assert.equal(api.findPhotoLabel(photo, 'Sunset'), null);
+        });
+
+        it('finds labels on photos whose label details are incomplete', () => {
+            const photo = { Labels: [{ Uncertainty: 0, Label: { Slug: 'beach' } }, { Uncertainty: 0, Label: { Name: 'Sunset' } }] };
+
+            assert.equal(api.findPhotoLabel(photo, 'beach').Label.Slug, 'beach');
+            assert.equal(api.findPhotoLabel(photo, 'sunset').Label.Name, 'Sunset');
+            assert.equal(api.findPhotoLabel(photo, 'forest'), null);
+        });
+
+        it('renames and deletes labels', async () => {
+            const beach = server.labels.find(label => label.Name === 'Beach');
+
+            await client.renameLabel(beach.UID, 'Seaside');
+            assert.deepEqual(server.requests.at(-1).body, { Name: 'Seaside' });
+            assert.deepEqual(server.photoLabels('p1'), ['Seaside', 'Sunset']);
+
+            await client.deleteLabels([beach.UID]);
+            assert.deepEqual(server.requests.at(-1).body, { labels: [beach.UID] });
+            assert.deepEqual(server.photoLabels('p1'), ['Sunset']);
+        });
+
+        it('builds slugs like PhotoPrism', () => {
+            assert.equal(api.labelSlug('Café au Lait!'), 'cafe-au-lait');
+            assert.equal(api.labelSlug('  Sci-Fi  '), 'sci-fi');
+        });
+    });
+
+    describe('getLabelId', () => {
+        const cacheKey = () => api.createInstanceKey('labelCache', server.url);
+
+        it('looks the label up and caches its ID', async () => {
+            const id = await client.getLabelId('mountains', ['p1']);
+
+            assert.equal(id, server.labels.find(label => label.Name === 'Mountains').ID);
+            assert.equal(chrome.storageData[cacheKey()].mountains.id, id);
+
+            server.reset();
+            assert.equal(await client.getLabelId('Mountains', ['p1']), id);
+            assert.equal(server.requests.length, 0);
+        });
+
+        it('looks the label up again once the cache entry expired', async () => {
+            const ttl = api.evaluate('LABEL_CACHE_TTL');
+            chrome.storageData[cacheKey()] = { mountains: { id: 999, name: 'Mountains', cachedAt: Date.now() - ttl - 1 } };
+
+            const id = await client.getLabelId('Mountains', ['p1']);
+
+            assert.notEqual(id, 999);
+            assert.equal(server.requests[0].path, '/api/v1/labels');
+        });
+
+        it('scans the selected photos when the label search fails', async () => {
+            server.fail({ path: '/api/v1/labels', status: 500 });
+
+            const id = await client.getLabelId('Hidden Label', ['p1', 'p2']);
+
+            assert.equal(id, server.labels.find(label => label.Name === 'Hidden Label').ID);
+            assert.deepEqual(server.requests.map(request => request.path),
+                ['/api/v1/labels', '/api/v1/photos/p1', '/api/v1/photos/p2']);
+        });
+
+        it('fails for labels that do not exist', async () => {
+            const error = await client.getLabelId('Nope', ['p1']).catch(e => e);
+
+            assert.match(error.message, /Label "Nope" not found/);
+            assert.equal(error.retryable, false);
+        });
+    });
+
+    describe('searchPhotos', () => {
+        it('passes the filter and page', async () => {
+            const photos = await client.searchPhotos({ q: 'label:beach' }, { count: 10, offset: 0 });
+
+            assert.deepEqual(plain(photos), [{ UID: 'p1', Title: 'Beach' }]);
+            const query = new URLSearchParams(server.requests[0].query);
+            assert.equal(query.get('count'), '10');
+            assert.equal(query.get('merged'), 'false');
+        });
+
+        it('pages through photos with several files without missing any', async () => {
+            await server.close();
+            const files = [{ Name: 'a.jpg' }, { Name: 'a.raw' }];
+            server = await startMockPhotoPrism({ photos: ['p1', 'p2', 'p3'].map(uid => ({ UID: uid, Files: files })) });
+            client = api.evaluate(`new PhotoPrismClient('${server.url}', '${DEFAULT_TOKEN}')`);
+
+            const photos = await client.fetchAllPages(page => client.searchPhotos({}, page), 2);
+
+            assert.deepEqual([...new Set(photos.map(photo => photo.UID))], ['p1', 'p2', 'p3']);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+// Tests for rules-utils.js: rule conditions and the label operations they produce
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const rules = loadScripts(['rules-utils.js'], createChromeStub());
+
+const screenshot = {
+    id: 'r1',
+    name: 'Screenshots',
+    match: 'all',
+    conditions: [
+        { field: 'Camera.Model', operator: 'equals', value: 'pixel 7' },
+        { field: 'Files.Name', operator: 'contains', value: 'Screenshots' }
+    ],
+    actions: [{ action: 'add', labelName: 'screenshot' }, { action: 'remove', labelName: 'camera' }]
+};
+
+const photos = {
+    p1: { Title: 'Shot', Camera: { Model: 'Pixel 7' }, Files: [{ Name: 'DCIM/1.jpg' }, { Name: 'Screenshots/1.png' }] },
+    p2: { Title: 'Photo', Camera: { Model: 'Pixel 7' }, Files: [{ Name: 'DCIM/2.jpg' }] },
+    p3: { Title: 'Old', Camera: { Model: 'EOS 5D' }, Iso: 3200, Files: [] }
+};
+
+describe('rules-utils.js', () => {
+    it('reads values through objects and lists', () => {
+        assert.deepEqual(plain(rules.getRuleFieldValues(photos.p1, 'Files.Name')), ['DCIM/1.jpg', 'Screenshots/1.png']);
+        assert.deepEqual(plain(rules.getRuleFieldValues(photos.p3, 'Lens.Model')), ['']);
+    });
+
+    it('matches all or any conditions', () => {
+        assert.equal(rules.ruleMatchesPhoto(screenshot, photos.p1), true);
+        assert.equal(rules.ruleMatchesPhoto(screenshot, photos.p2), false);
+        assert.equal(rules.ruleMatchesPhoto({ ...screenshot, match: 'any' }, photos.p2), true);
+    });
+
+    it('compares numbers and empty values', () => {
+        const highIso = { conditions: [{ field: 'Iso', operator: 'greaterThan', value: '1600' }] };
+        const noLens = { conditions: [{ field: 'Lens.Model', operator: 'isEmpty' }] };
+
+        assert.equal(rules.ruleMatchesPhoto(highIso, photos.p3), true);
+        assert.equal(rules.ruleMatchesPhoto(highIso, photos.p1), false);
+        assert.equal(rules.ruleMatchesPhoto(noLens, photos.p3), true);
+    });
+
+    it('treats empty lists as an empty value', () => {
+        const noFiles = { conditions: [{ field: 'Files.Name', operator: 'isEmpty' }] };
+
+        assert.deepEqual(plain(rules.getRuleFieldValues(photos.p3, 'Files.Name')), ['']);
+        assert.equal(rules.ruleMatchesPhoto(noFiles, photos.p3), true);
+        assert.equal(rules.ruleMatchesPhoto(noFiles, photos.p1), false);
+    });
+
+    it('requires negative operators to hold for every value in a list', () => {
+        const notScreenshot = { conditions: [{ field: 'Files.Name', operator: 'notEquals', value: 'screenshots/1.png' }] };
+        const someFileUnnamed = { conditions: [{ field: 'Files.Name', operator: 'isEmpty' }] };
+        const unnamed = { Files: [{ Name: 'DCIM/3.jpg' }, { Name: '' }] };
+
+        assert.equal(rules.ruleMatchesPhoto(notScreenshot, photos.p1), false);
+        assert.equal(rules.ruleMatchesPhoto(notScreenshot, photos.p2), true);
+        assert.equal(rules.ruleMatchesPhoto(someFileUnnamed, unnamed), false);
+    });
+
+    it('reports incomplete rules', () => {
+        const errors = rules.validateRule({
+            name: 'Broken',
+            conditions: [{ field: 'Title', operator: 'matches', value: '(' }, { field: 'Iso', operator: 'lessThan', value: 'high' }],
+            actions: [{ action: 'add', labelName: '' }]
+        });
+
+        assert.equal(errors.length, 3);
+        assert.deepEqual(plain(rules.validateRule(screenshot)), []);
+    });
+
+    it('groups matches into label operations, skipping disabled rules', () => {
+        const keepCamera = {
+            ...screenshot,
+            id: 'r2',
+            name: 'Keep camera',
+            match: 'any',
+            actions: [{ action: 'add', labelName: 'Camera' }]
+        };
+        const matches = rules.evaluateRules([screenshot, keepCamera, { ...screenshot, enabled: false }], photos);
+
+        assert.deepEqual(plain(matches).map(match => [match.uid, match.rules]), [
+            ['p1', ['Screenshots', 'Keep camera']],
+            ['p2', ['Keep camera']]
+        ]);
+        assert.deepEqual(plain(rules.buildRuleOperations(matches)), [
+            { action: 'add', labelName: 'screenshot', uids: ['p1'] },
+            { action: 'add', labelName: 'Camera', uids: ['p1', 'p2'] }
+        ]);
+    });
+});
@@ -0,0 +1,99 @@
+// Tests for settings-bundle.js: validating and importing settings bundles
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// The scripts config.html loads before settings-bundle.js that it depends on
+const SCRIPTS = ['storage-utils.js', 'job-utils.js', 'auth-utils.js', 'profile-utils.js', 'rules-utils.js', 'settings-bundle.js'];
+
+const bundleWith = pluginConfig => ({ format: 'photoprism-helper-settings', version: 1, pluginConfig, instances: {} });
+
+const rule = (id, labelName) => ({
+    id,
+    name: labelName,
+    enabled: true,
+    match: 'all',
+    conditions: [{ field: 'Title', operator: 'contains', value: labelName }],
+    actions: [{ action: 'add', labelName }]
+});
+
+describe('settings-bundle.js', () => {
+    let chrome;
+    let bundles;
+
+    beforeEach(() => {
+        chrome = createChromeStub();
+        bundles = loadScripts(SCRIPTS, chrome);
+    });
+
+    describe('validateSettingsBundle', () => {
+        it('accepts a complete bundle', () => {
+            const bundle = bundleWith({
+                allowedDomains: ['https://a.example.com'],
+                debugEnabled: true,
+                instanceSettings: { 'https://a.example.com': { displayName: 'A', writeMode: 'confirm', labelDefaults: [{ labelName: 'cat', priority: 5 }] } },
+                quickLabels: [{ labels: 'family', action: 'add' }, null],
+                labelRules: [rule('r1', 'beach')]
+            });
+            bundle.instances = {
+                https___a_example_com: {
+                    instanceId: 'https://a.example.com',
+                    data: { recentLabels: ['cat'], failedOperations: [{ action: 'add', labelName: 'cat', failedUids: ['p1'] }] }
+                }
+            };
+            bundle.credentials = { 'https://a.example.com': { method: 'appPassword', appPassword: 'secret' } };
+
+            assert.deepEqual([...bundles.validateSettingsBundle(bundle)], []);
+        });
+
+        it('rejects entries that would break the settings pages or the worker', () => {
+            const bundle = bundleWith({
+                instanceSettings: { 'https://a.example.com': { writeMode: 'sometimes', defaultLabels: 'cat' } },
+                quickLabels: [{ labels: 5 }],
+                labelRules: [{}, { ...rule('r2', 'dog'), conditions: [] }]
+            });
+            bundle.instances = { a: { data: { recentLabels: [1], failedOperations: [{ action: 'add' }] } } };
+            bundle.credentials = { 'https://a.example.com': { method: 'password' } };
+
+            assert.deepEqual([...bundles.validateSettingsBundle(bundle)], [
+                'pluginConfig.instanceSettings: defaultLabels of https://a.example.com must be an array.',
+                'pluginConfig.instanceSettings: unknown safety setting "sometimes" for https://a.example.com.',
+                'pluginConfig.quickLabels must be a list of {labels, action} slots.',
+                'pluginConfig.labelRules: rule 1 must have lists of conditions and actions.',
+                'pluginConfig.labelRules: dog: add at least one condition.',
+                'Instance "a": recentLabels has invalid entries.',
+                'Instance "a": failedOperations has invalid entries.',
+                'credentials for https://a.example.com must be an app password or a client ID and secret.'
+            ]);
+        });
+    });
+
+    describe('applySettingsBundle', () => {
+        it('merges every imported setting into the current ones', async () => {
+            chrome.storageData.pluginConfig = {
+                allowedDomains: ['https://a.example.com'],
+                debugEnabled: false,
+                instanceSettings: { 'https://a.example.com': { displayName: 'A' } },
+                quickLabels: [{ labels: 'family', action: 'add' }, { labels: 'travel', action: 'add' }],
+                labelRules: [rule('r1', 'old'), rule('r2', 'kept')]
+            };
+
+            await bundles.applySettingsBundle(bundleWith({
+                allowedDomains: ['https://b.example.com'],
+                debugEnabled: true,
+                instanceSettings: { 'https://b.example.com': { displayName: 'B' } },
+                quickLabels: [{ labels: '', action: 'add' }, { labels: 'beach', action: 'remove' }, { labels: 'cat', action: 'add' }],
+                labelRules: [rule('r1', 'new'), rule('r3', 'added')]
+            }), { mode: 'merge', instances: [], includeSettings: true });
+
+            const config = chrome.storageData.pluginConfig;
+            assert.deepEqual(config.allowedDomains, ['https://a.example.com', 'https://b.example.com']);
+            assert.equal(config.debugEnabled, true);
+            assert.deepEqual(Object.keys(config.instanceSettings), ['https://a.example.com', 'https://b.example.com']);
+            assert.deepEqual(config.quickLabels.map(slot => slot.labels), ['family', 'beach', 'cat']);
+            assert.deepEqual(config.labelRules.map(r => [r.id, r.name]), [['r2', 'kept'], ['r1', 'new'], ['r3', 'added']]);
+        });
+    });
+});
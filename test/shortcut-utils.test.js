@@ -0,0 +1,28 @@
+// Tests for shortcut-utils.js: quick-label key presses in the popup and on the page
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const shortcuts = loadScripts(['shortcut-utils.js'], createChromeStub());
+
+const keydown = (code, target = { tagName: 'BODY' }, modifiers = { altKey: true }) => ({ code, target, ...modifiers });
+
+describe('shortcut-utils.js', () => {
+    it('maps Alt+1 to Alt+9 to quick-label slots by key code', () => {
+        assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit1')), 1);
+        assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit9')), 9);
+        assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit0')), null);
+        assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit2', undefined, { altKey: true, shiftKey: true })), null);
+        assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit2', undefined, {})), null);
+    });
+
+    it('leaves key presses in text fields alone', () => {
+        ['INPUT', 'TEXTAREA', 'SELECT'].forEach(tagName => {
+            assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit3', { tagName })), null);
+        });
+        assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit3', { tagName: 'DIV', isContentEditable: true })), null);
+        assert.equal(shortcuts.getQuickLabelShortcutSlot(keydown('Digit3', { tagName: 'BUTTON', isContentEditable: false })), 3);
+    });
+});
@@ -0,0 +1,48 @@
+// Tests for storage-utils.js: per-instance keys and the active tab's instance
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { loadScripts } = require('./helpers/load-scripts');
+
+describe('storage-utils.js', () => {
+    const load = tabs => {
+        const chrome = createChromeStub({ tabs: tabs });
+        return { chrome, storage: loadScripts(['storage-utils.js'], chrome) };
+    };
+
+    it('derives the instance from the active tab', async () => {
+        const { storage } = load([
+            { id: 1, url: 'https://other.example.com/', active: false },
+            { id: 2, url: 'https://photos.example.com:2342/library/browse?q=cat', active: true }
+        ]);
+
+        assert.equal(await storage.getCurrentInstanceId(), 'https://photos.example.com:2342');
+    });
+
+    it('fails without an active tab', async () => {
+        const { storage } = load([]);
+        await assert.rejects(storage.getCurrentInstanceId(), /Could not determine current instance/);
+    });
+
+    it('keeps data of each instance apart', async () => {
+        const { chrome, storage } = load([{ id: 1, url: 'https://a.example.com/library', active: true }]);
+
+        await storage.setInstanceData('recentLabels', ['beach']);
+        await storage.setInstanceData('recentLabels', ['cat'], 'https://b.example.com');
+
+        assert.deepEqual(chrome.storageData.recentLabels_https___a_example_com, ['beach']);
+        assert.deepEqual(await storage.getInstanceData('recentLabels', []), ['beach']);
+        assert.deepEqual(await storage.getInstanceData('recentLabels', [], 'https://b.example.com'), ['cat']);
+        assert.deepEqual(await storage.getInstanceData('recentLabels', [], 'https://c.example.com'), []);
+    });
+
+    it('prefers exact entries over wildcard domains', () => {
+        const { storage } = load([]);
+        const entries = { 'https://*.example.com': 'wildcard', 'https://photos.example.com': 'exact' };
+
+        assert.equal(storage.findInstanceEntry(entries, 'https://photos.example.com'), 'exact');
+        assert.equal(storage.findInstanceEntry(entries, 'https://family.example.com'), 'wildcard');
+        assert.equal(storage.findInstanceEntry(entries, 'https://example.org'), undefined);
+    });
+});